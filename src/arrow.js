@@ -10,46 +10,58 @@ export default class Arrow {
      * @param {Gantt} gantt - Reference to the Gantt instance
      * @param {Bar} fromBar - The predecessor bar (dependency)
      * @param {Bar} toBar - The dependent bar
+     * @param {{type: string, lag: string|null}} [link] - Dependency link (defaults to finish-to-start)
      */
-    constructor(gantt, fromBar, toBar) {
+    constructor(gantt, fromBar, toBar, link = { type: 'FS', lag: null }) {
         this.gantt = gantt;
         this.from_task = fromBar;
         this.to_task = toBar;
+        this.link = link;
 
         this.calculatePath();
         this.draw();
     }
 
     calculatePath() {
+        if (this.link.type !== 'FS') {
+            this.path = this.computeSidePath();
+            return;
+        }
+
         const fromBar = this.from_task;
         const toBar = this.to_task;
+        const from = fromBar.getShapeBounds();
+        const to = toBar.getShapeBounds();
         const padding = this.gantt.options.padding;
         const curve = this.gantt.options.arrow_curve;
 
         // Start point: bottom center of fromBar, adjusted left if needed
-        let startX = fromBar.$bar.getX() + fromBar.$bar.getWidth() / 2;
-        const startY = fromBar.$bar.getY() + fromBar.$bar.getHeight();
-
-        // Adjust startX if toBar is too close or to the left
-        const minStartX = fromBar.$bar.getX() + padding;
-        while (toBar.$bar.getX() < startX + padding && startX > minStartX) {
+        let startX = from.x + from.width / 2;
+        const startY = from.y + from.height;
+
+        // Adjust startX if toBar is too close or to the left. Milestones
+        // always start from their bottom vertex.
+        if (!fromBar.task.isMilestone()) {
+            const minStartX = from.x + padding;
+            while (to.x < startX + padding && startX > minStartX) {
+                startX -= 10;
+            }
             startX -= 10;
         }
-        startX -= 10;
 
         // End point: left side of toBar (with arrowhead offset)
-        const endX = toBar.$bar.getX() - 13;
-        const endY = toBar.$bar.getY() + toBar.$bar.getHeight() / 2;
+        const endX = to.x - 13;
+        const endY = to.y + to.height / 2;
 
         // Direction: is fromBar below toBar?
-        const fromIsBelowTo = fromBar.task._index > toBar.task._index;
+        const fromIsBelowTo = fromBar.task._row > toBar.task._row;
         const clockwise = fromIsBelowTo ? 1 : 0;
 
-        if (toBar.$bar.getX() <= fromBar.$bar.getX() + padding) {
+        if (to.x <= from.x + padding) {
             // Complex path: need to go around
             this.path = this.computeComplexPath(
                 startX, startY, endX, endY,
-                padding, curve, fromIsBelowTo, clockwise, toBar
+                padding, curve, fromIsBelowTo, clockwise, to
             );
         } else {
             // Simple path: direct vertical then horizontal
@@ -60,7 +72,7 @@ export default class Arrow {
         }
     }
 
-    computeComplexPath(startX, startY, endX, endY, padding, curve, fromIsBelowTo, clockwise, toBar) {
+    computeComplexPath(startX, startY, endX, endY, padding, curve, fromIsBelowTo, clockwise, to) {
         let adjustedCurve = curve;
         let down1 = padding / 2 - adjustedCurve;
 
@@ -70,8 +82,8 @@ export default class Arrow {
         }
 
         const curveY = fromIsBelowTo ? -adjustedCurve : adjustedCurve;
-        const down2 = toBar.$bar.getY() + toBar.$bar.getHeight() / 2 - curveY;
-        const left = toBar.$bar.getX() - padding;
+        const down2 = to.y + to.height / 2 - curveY;
+        const left = to.x - padding;
 
         return `
             M ${startX} ${startY}
@@ -107,16 +119,90 @@ export default class Arrow {
             l -5 5`;
     }
 
+    /**
+     * Path for SS, FF and SF links: leaves the predecessor from the side of
+     * the anchored edge and enters the successor at its anchored edge.
+     * Runs along the row boundary when a single vertical segment would
+     * cross the bars.
+     */
+    computeSidePath() {
+        const from = this.from_task.getShapeBounds();
+        const to = this.to_task.getShapeBounds();
+        const gap = this.gantt.options.padding;
+        const rowHeight = this.gantt.options.bar_height + this.gantt.options.padding;
+
+        // Direction the line leaves / enters: -1 = left edge, 1 = right edge
+        const startDir = this.link.type[0] === 'S' ? -1 : 1;
+        const endDir = this.link.type[1] === 'S' ? -1 : 1;
+
+        const startX = startDir < 0 ? from.x : from.x + from.width;
+        const startY = from.y + from.height / 2;
+        const endX = endDir < 0 ? to.x - 3 : to.x + to.width + 3;
+        const endY = to.y + to.height / 2;
+
+        const outX = startX + startDir * gap;
+        const inX = endX + endDir * gap;
+
+        // Arrowhead pointing into the successor
+        const head = endDir < 0 ? 'm -5 -5 l 5 5 l -5 5' : 'm 5 -5 l -5 5 l 5 5';
+
+        let verticalX = null;
+        if (startDir === endDir) {
+            verticalX = startDir < 0 ? Math.min(outX, inX) : Math.max(outX, inX);
+        } else if (startDir * (inX - outX) >= 0) {
+            verticalX = (outX + inX) / 2;
+        }
+
+        if (verticalX !== null) {
+            return `
+                M ${startX} ${startY}
+                H ${verticalX}
+                V ${endY}
+                L ${endX} ${endY}
+                ${head}`;
+        }
+
+        const fromIsBelowTo = this.from_task.task._row > this.to_task.task._row;
+        const boundaryY = endY + (fromIsBelowTo ? rowHeight / 2 : -rowHeight / 2);
+
+        return `
+            M ${startX} ${startY}
+            H ${outX}
+            V ${boundaryY}
+            H ${inX}
+            V ${endY}
+            L ${endX} ${endY}
+            ${head}`;
+    }
+
     draw() {
+        this.group = createSVG('g', { class: 'arrow-wrapper', tabindex: '-1' });
+
+        // Wide transparent twin of the path that makes the arrow easy to click
+        this.$hit = createSVG('path', {
+            d: this.path,
+            class: 'arrow-hit',
+            append_to: this.group,
+        });
+
         this.element = createSVG('path', {
             d: this.path,
             'data-from': this.from_task.task.uid,
             'data-to': this.to_task.task.uid,
+            'data-type': this.link.type,
+            append_to: this.group,
         });
+
+        const fromId = this.from_task.task.uid;
+        const inCycle = this.to_task.task._derived.errors?.some(
+            (error) => error.kind === 'cycle' && error.ids.includes(fromId),
+        );
+        if (inCycle) this.element.classList.add('cycle');
     }
 
     update() {
         this.calculatePath();
         this.element.setAttribute('d', this.path);
+        this.$hit.setAttribute('d', this.path);
     }
 }
\ No newline at end of file
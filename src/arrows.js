@@ -1,3 +1,4 @@
+import { $ } from './svg_utils';
 import Arrow from './arrow';
 
 /**
@@ -12,38 +13,122 @@ export default class Arrows {
      */
     constructor(gantt) {
         this.gantt = gantt;
+        this.$layer = null;
         this._arrows = [];
         this._byFromId = new Map();
         this._byToId = new Map();
+        this._selected = null;
     }
 
     /**
-     * Create arrows for all task dependencies and append to the arrow layer
+     * Create arrows for all task dependencies and append to the arrow layer.
+     * When the chart is virtualized, only arrows crossing the render window
+     * are created.
      * @param {SVGElement} layer - The SVG layer to append arrows to
      */
     render(layer) {
         this.clear();
+        this.$layer = layer;
+        this.updateWindow();
+    }
+
+    /**
+     * Add arrows that entered the render window and remove those that
+     * left it
+     */
+    updateWindow() {
+        const gantt = this.gantt;
+        const win = gantt.chart.getRenderWindow();
 
-        for (const task of this.gantt.tasks.getAll()) {
+        // Arrows between visible tasks, keyed "from->to"
+        const wanted = new Map();
+        for (const task of gantt.tasks.getAll()) {
+            if (!gantt.tasks.isVisible(task.uid)) continue;
             for (const depId of task.dependencies) {
-                const dependency = this.gantt.tasks.get(depId);
-                if (!dependency) continue;
+                if (!gantt.tasks.isVisible(depId)) continue;
+                if (win && !this._inWindow(gantt.tasks.get(depId), task, win)) continue;
+                wanted.set(`${depId}->${task.uid}`, [depId, task]);
+            }
+        }
 
-                const fromBar = this.gantt.chart.bars.get(depId);
-                const toBar = this.gantt.chart.bars.get(task.uid);
-                if (!fromBar || !toBar) continue;
+        for (const arrow of [...this._arrows]) {
+            const key = `${arrow.from_task.task.uid}->${arrow.to_task.task.uid}`;
+            if (wanted.has(key)) wanted.delete(key);
+            else this._remove(arrow);
+        }
+
+        for (const [depId, task] of wanted.values()) {
+            this._add(depId, task);
+        }
+    }
 
-                const arrow = new Arrow(this.gantt, fromBar, toBar);
-                layer.appendChild(arrow.element);
+    /**
+     * Bring the arrows in line with the bars after tasks were added,
+     * removed or changed (see Bars.sync). Arrows of changed or redrawn
+     * tasks are recreated, since their links and positions may differ;
+     * the rest stay as they are.
+     * @param {Iterable<string>} [changedIds] - Tasks whose arrows to recreate
+     */
+    sync(changedIds = []) {
+        const bars = this.gantt.chart.bars;
+        const changed = new Set(changedIds);
 
-                this._arrows.push(arrow);
-                this._addToIndex(this._byFromId, depId, arrow);
-                this._addToIndex(this._byToId, task.uid, arrow);
+        for (const arrow of [...this._arrows]) {
+            const from = arrow.from_task;
+            const to = arrow.to_task;
+            if (changed.has(from.task.uid) || changed.has(to.task.uid) ||
+                bars.get(from.task.uid) !== from || bars.get(to.task.uid) !== to) {
+                this._remove(arrow);
             }
         }
+        this.updateWindow();
+    }
+
+    /**
+     * Whether the box spanned by two tasks' bars intersects the window
+     * @private
+     */
+    _inWindow(from, to, win) {
+        const chart = this.gantt.chart;
+        const rowHeight = this.gantt.options.bar_height + this.gantt.options.padding;
+        const margin = this.gantt.options.padding;
+
+        const rows = [from._row, to._row];
+        const top = this.gantt.config.header_height + Math.min(...rows) * rowHeight;
+        const bottom = this.gantt.config.header_height + (Math.max(...rows) + 1) * rowHeight;
+        const xs = [from.start, from.end, to.start, to.end].map((date) => chart.viewport.dateToX(date));
 
-        // Map arrows to bars so bars can update them on move
-        this._mapArrowsToBars();
+        return bottom >= win.top && top <= win.bottom &&
+            Math.max(...xs) + margin >= win.left && Math.min(...xs) - margin <= win.right;
+    }
+
+    _add(depId, task) {
+        const bars = this.gantt.chart.bars;
+        const fromBar = bars.get(depId);
+        const toBar = bars.get(task.uid);
+        if (!fromBar || !toBar) return;
+
+        const arrow = new Arrow(this.gantt, fromBar, toBar, task.getLink(depId));
+        this.$layer.appendChild(arrow.group);
+
+        this._arrows.push(arrow);
+        this._addToIndex(this._byFromId, depId, arrow);
+        this._addToIndex(this._byToId, task.uid, arrow);
+
+        // Bars update their arrows on move
+        fromBar.arrows.push(arrow);
+        toBar.arrows.push(arrow);
+    }
+
+    _remove(arrow) {
+        if (arrow === this._selected) this._selected = null;
+        arrow.group.remove();
+        this._arrows.splice(this._arrows.indexOf(arrow), 1);
+        this._removeFromIndex(this._byFromId, arrow.from_task.task.uid, arrow);
+        this._removeFromIndex(this._byToId, arrow.to_task.task.uid, arrow);
+        for (const bar of [arrow.from_task, arrow.to_task]) {
+            bar.arrows = bar.arrows.filter((other) => other !== arrow);
+        }
     }
 
     _addToIndex(map, key, arrow) {
@@ -53,15 +138,59 @@ export default class Arrows {
         map.get(key).push(arrow);
     }
 
-    _mapArrowsToBars() {
-        for (const bar of this.gantt.chart.bars.getAll()) {
-            bar.arrows = this._arrows.filter((arrow) => {
-                return (
-                    arrow.from_task.task.uid === bar.task.uid ||
-                    arrow.to_task.task.uid === bar.task.uid
-                );
-            });
-        }
+    _removeFromIndex(map, key, arrow) {
+        const arrows = (map.get(key) ?? []).filter((other) => other !== arrow);
+        if (arrows.length) map.set(key, arrows);
+        else map.delete(key);
+    }
+
+    // =========================================================================
+    // SELECTION
+    // =========================================================================
+
+    /**
+     * Bind selecting an arrow by clicking it, and removing the selected
+     * arrow's dependency with Delete or Backspace
+     * @param {SVGElement} svg - The SVG element to bind events to
+     */
+    bindSelectEvents(svg) {
+        $.on(svg, 'click', '.arrow-wrapper', (e, group) => {
+            const options = this.gantt.options;
+            if (options.readonly || options.readonly_dependencies) return;
+
+            this.select(this._arrows.find((arrow) => arrow.group === group));
+            group.focus();
+        });
+
+        $.on(svg, 'keydown', '.arrow-wrapper', (e) => {
+            const arrow = this._selected;
+            if (!arrow) return;
+
+            if (e.key === 'Delete' || e.key === 'Backspace') {
+                e.preventDefault();
+                this.gantt.removeDependency(arrow.to_task.task.uid, arrow.from_task.task.uid);
+            } else if (e.key === 'Escape') {
+                this.select(null);
+            }
+        });
+    }
+
+    /**
+     * Select an arrow, unselecting the previous one
+     * @param {Arrow|null} arrow - The arrow to select, or null to unselect
+     */
+    select(arrow) {
+        this._selected?.group.classList.remove('selected');
+        this._selected = arrow ?? null;
+        this._selected?.group.classList.add('selected');
+    }
+
+    /**
+     * Get the selected arrow
+     * @returns {Arrow|null}
+     */
+    getSelected() {
+        return this._selected;
     }
 
     /**
@@ -102,10 +231,14 @@ export default class Arrows {
     }
 
     /**
-     * Clear all arrows
+     * Remove all arrows
      */
     clear() {
+        for (const arrow of this._arrows) {
+            arrow.group.remove();
+        }
         this._arrows = [];
+        this._selected = null;
         this._byFromId.clear();
         this._byToId.clear();
     }
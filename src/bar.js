@@ -1,4 +1,8 @@
 import { $, createSVG, animateSVG } from './svg_utils';
+import { formatDatetime } from './temporal_utils';
+
+// Gap (px) between a bar's edge and its link connector
+const CONNECTOR_OFFSET = 7;
 
 /**
  * Bar - Visual representation of a task in the Gantt chart
@@ -19,7 +23,11 @@ export default class Bar {
 
         this.prepareHelpers();
         this.prepareWrappers();
+
+        // Only a new bar grows into place; redraws keep it still
+        this._animate = true;
         this.refresh();
+        this._animate = false;
     }
 
     // ─────────────────────────────────────────────────────────────────────────
@@ -71,7 +79,7 @@ export default class Bar {
         this.handle_group.innerHTML = '';
 
         if (this.task.custom_class) {
-            this.group.classList.add(this.task.custom_class);
+            this.group.classList.add(...this.task.custom_class.split(/\s+/).filter(Boolean));
         } else {
             this.group.classList = ['bar-wrapper'];
         }
@@ -82,13 +90,18 @@ export default class Bar {
 
     draw() {
         this.drawBar();
+        this.drawDateHighlight();
         this.drawProgressBar();
         this.drawLabel();
         this.drawResizeHandles();
+        this.drawConnectors();
+        this.drawToggle();
 
         if (this.task.thumbnail) {
             this.drawThumbnail();
         }
+
+        this.updateAria();
     }
 
     drawBar() {
@@ -117,12 +130,44 @@ export default class Bar {
             this.$bar.classList.add('bar-invalid');
         }
 
-        animateSVG(this.$bar, 'width', 0, width);
+        if (this.task.isSummary()) {
+            this.$bar.classList.add('bar-summary');
+        }
+
+        // Dependency cycles and missing dependencies (see Tasks.validate)
+        if (this.task._derived.errors?.length) {
+            this.$bar.classList.add('bar-error');
+        }
+
+        // Milestones are a square rotated into a diamond via CSS, so x/width
+        // keep working for dragging
+        if (this.task.isMilestone()) {
+            this.$bar.classList.add('bar-milestone');
+            return;
+        }
+
+        if (this._animate) animateSVG(this.$bar, 'width', 0, width);
     }
 
-    drawProgressBar() {
+    drawDateHighlight() {
         if (this.task.invalid) return;
 
+        // Date highlight element in header, shown while the bar is in
+        // the DOM (see Bars)
+        this.$date_highlight?.remove();
+        this.$date_highlight = this.gantt.chart.createElement({
+            classes: `date-range-highlight hide highlight-${this.task.uid}`,
+            width: this.getWidth(),
+            left: this.getX(),
+        });
+        if (this.group.isConnected) {
+            this.gantt.$lower_header.prepend(this.$date_highlight);
+        }
+    }
+
+    drawProgressBar() {
+        if (this.task.invalid || this.task.isMilestone()) return;
+
         const x = this.getX();
         const y = this.getY();
         const height = this.getHeight();
@@ -150,15 +195,7 @@ export default class Bar {
             this.$bar_progress.style.fill = this.task.color_progress;
         }
 
-        // Date highlight element in header
-        this.$date_highlight = this.gantt.chart.createElement({
-            classes: `date-range-highlight hide highlight-${this.task.uid}`,
-            width: this.getWidth(),
-            left: this.getX(),
-        });
-        this.gantt.$lower_header.prepend(this.$date_highlight);
-
-        animateSVG(this.$bar_progress, 'width', 0, progressWidth);
+        if (this._animate) animateSVG(this.$bar_progress, 'width', 0, progressWidth);
     }
 
     drawLabel() {
@@ -231,7 +268,10 @@ export default class Bar {
     }
 
     drawResizeHandles() {
-        if (this.task.invalid || this.gantt.options.readonly) return;
+        // Milestones can be moved but have neither a duration nor progress;
+        // summaries roll up from their children
+        if (this.task.invalid || this.task.isMilestone() || this.task.isSummary()) return;
+        if (this.gantt.options.readonly) return;
 
         const handleWidth = 3;
         const height = this.getHeight();
@@ -284,15 +324,56 @@ export default class Bar {
         }
     }
 
+    drawConnectors() {
+        const options = this.gantt.options;
+        this.$connectors = null;
+        if (this.task.invalid || options.readonly || options.readonly_dependencies) return;
+
+        // Dragged onto another bar to link the tasks; the edge each side
+        // of the drag starts or ends at gives the link type
+        this.$connectors = ['start', 'finish'].map((edge) =>
+            createSVG('circle', {
+                r: 4,
+                class: `connector ${edge}`,
+                'data-edge': edge,
+                append_to: this.handle_group,
+            }),
+        );
+        this.updateConnectorPosition();
+    }
+
+    drawToggle() {
+        if (!this.task.isSummary()) return;
+
+        this.$toggle = createSVG('text', {
+            x: this.$bar.getX() - 4,
+            y: this.$bar.getY() + this.getHeight() / 2,
+            innerHTML: this.task.collapsed ? '▸' : '▾',
+            class: 'bar-toggle',
+            append_to: this.handle_group,
+        });
+
+        $.on(this.$toggle, 'click', (e) => {
+            e.stopPropagation();
+            this.gantt.toggleTask(this.task.uid);
+        });
+    }
+
     // ─────────────────────────────────────────────────────────────────────────
     // Position/Size (all via viewport)
     // ─────────────────────────────────────────────────────────────────────────
 
     getX() {
-        return this.gantt.chart.viewport.dateToX(this.task.start);
+        const x = this.gantt.chart.viewport.dateToX(this.task.start);
+        // Milestones are centered on their instant
+        return this.task.isMilestone() ? x - this.getWidth() / 2 : x;
     }
 
     getWidth() {
+        if (this.task.isMilestone()) {
+            // Side of the square whose diagonal spans the bar height
+            return this.gantt.options.bar_height / Math.SQRT2;
+        }
         return this.gantt.chart.viewport.dateToX(this.task.end) - this.getX();
     }
 
@@ -300,32 +381,67 @@ export default class Bar {
         const headerHeight = this.gantt.config.header_height;
         const padding = this.gantt.options.padding;
         const barHeight = this.gantt.options.bar_height;
-        return headerHeight + padding / 2 + this.task._index * (barHeight + padding);
+        const y = headerHeight + padding / 2 + this.task._row * (barHeight + padding);
+        return this.task.isMilestone() ? y + (barHeight - this.getWidth()) / 2 : y;
     }
 
     getHeight() {
+        if (this.task.isMilestone()) return this.getWidth();
         return this.gantt.options.bar_height;
     }
 
+    /**
+     * Bounding box of the drawn shape at its current visual position.
+     * For milestones this is the box around the rotated diamond.
+     * @returns {{ x: number, y: number, width: number, height: number }}
+     */
+    getShapeBounds() {
+        const x = this.$bar.getX();
+        const y = this.$bar.getY();
+        const width = this.$bar.getWidth();
+        const height = this.$bar.getHeight();
+
+        if (!this.task.isMilestone()) return { x, y, width, height };
+
+        const half = (width * Math.SQRT2) / 2;
+        const cx = x + width / 2;
+        const cy = y + height / 2;
+        return { x: cx - half, y: cy - half, width: 2 * half, height: 2 * half };
+    }
+
     getProgressWidth() {
         const progress = Math.max(0, Math.min(100, this.task.progress || 0));
         return (this.getWidth() * progress) / 100;
     }
 
+    /**
+     * Whether the drawn bar no longer matches its task, e.g. after rows
+     * shifted or summaries rolled up (see Bars.sync)
+     * @returns {boolean}
+     */
+    isStale() {
+        const $bar = this.$bar;
+        if ($bar.getX() !== this.getX() || $bar.getY() !== this.getY() ||
+            $bar.getWidth() !== this.getWidth()) {
+            return true;
+        }
+        if (this.$bar_progress && this.$bar_progress.getWidth() !== this.getProgressWidth()) {
+            return true;
+        }
+        return $bar.classList.contains('bar-summary') !== this.task.isSummary() ||
+            $bar.classList.contains('bar-error') !== !!this.task._derived.errors?.length;
+    }
+
     // ─────────────────────────────────────────────────────────────────────────
     // Visual Updates (during drag/resize, before task update)
     // ─────────────────────────────────────────────────────────────────────────
 
     updateBarPosition({ x = null, width = null }) {
-        if (x !== null) {
-            // Validate against dependencies
-            const depXs = this.task.dependencies.map((dep) => {
-                const depBar = this.gantt.getBar(dep);
-                return depBar ? depBar.$bar.getX() : -Infinity;
-            });
-            const validX = depXs.every((depX) => x >= depX);
-            if (!validX) return;
+        const newX = x ?? this.$bar.getX();
+        const newWidth = width !== null ? Math.max(0, width) : this.$bar.getWidth();
+        if (!this.satisfiesDependencies(newX, newWidth)) return;
 
+        if (x !== null) {
             this.$bar.setAttribute('x', x);
             this.$date_highlight.style.left = x + 'px';
         }
@@ -342,8 +458,84 @@ export default class Bar {
         this.updateArrowPosition();
     }
 
+    /**
+     * Check a proposed position against the dependency links of the task,
+     * using the predecessors' current visual positions. A bar already
+     * violating a link may still move towards satisfying it.
+     * @param {number} x - Proposed bar x
+     * @param {number} width - Proposed bar width
+     * @returns {boolean}
+     */
+    satisfiesDependencies(x, width) {
+        const viewport = this.gantt.chart.viewport;
+        const isMilestone = this.task.isMilestone();
+
+        for (const link of this.task.links) {
+            const depBar = this.gantt.getBar(link.id);
+            if (!depBar) continue;
+
+            const { newStart, newEnd } = depBar.computeStartEndFromPosition();
+            const { edge, min } = this.gantt.scheduler.getLinkConstraint(link, newStart, newEnd);
+            const minX = viewport.dateToX(min);
+
+            let newEdge, currentEdge;
+            if (isMilestone) {
+                newEdge = x + width / 2;
+                currentEdge = this.$bar.getX() + this.$bar.getWidth() / 2;
+            } else if (edge === 'start') {
+                newEdge = x;
+                currentEdge = this.$bar.getX();
+            } else {
+                newEdge = x + width;
+                currentEdge = this.$bar.getEndX();
+            }
+
+            // Tolerate rounding from the pixel/instant round trip
+            if (newEdge < minX - 0.5 && newEdge < currentEdge) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Restore the visual position from the task's committed dates
+     * (e.g. after a vetoed drag)
+     */
+    resetPosition() {
+        this.moveToDates(this.task.start, this.task.end);
+        this.updateAria();
+    }
+
+    /**
+     * Move the bar to the given dates without touching the task
+     * (e.g. to preview auto-scheduled successors during a drag)
+     * @param {Temporal.Instant} start
+     * @param {Temporal.Instant} end
+     */
+    moveToDates(start, end) {
+        const viewport = this.gantt.chart.viewport;
+        let x = viewport.dateToX(start);
+        let width = viewport.dateToX(end) - x;
+        if (this.task.isMilestone()) {
+            width = this.getWidth();
+            x -= width / 2;
+        }
+
+        this.$bar.setAttribute('x', x);
+        this.$bar.setAttribute('width', width);
+        if (this.$date_highlight) {
+            this.$date_highlight.style.left = x + 'px';
+            this.$date_highlight.style.width = width + 'px';
+        }
+
+        this.updateLabelPosition();
+        this.updateProgressBarPosition();
+        this.updateHandlePosition();
+        this.updateArrowPosition();
+        this.$toggle?.setAttribute('x', x - 4);
+    }
+
     updateProgressBarPosition() {
-        if (this.task.invalid || this.gantt.options.readonly) return;
+        if (this.task.invalid || this.gantt.options.readonly || !this.$bar_progress) return;
 
         this.$bar_progress.setAttribute('x', this.$bar.getX());
         const barWidth = this.$bar.getWidth();
@@ -433,6 +625,16 @@ export default class Bar {
         if (progressHandle) {
             progressHandle.setAttribute('cx', this.$bar_progress.getEndX());
         }
+        this.updateConnectorPosition();
+    }
+
+    updateConnectorPosition() {
+        if (!this.$connectors) return;
+
+        const { x, y, width, height } = this.getShapeBounds();
+        const [start, finish] = this.$connectors;
+        $.attr(start, { cx: x - CONNECTOR_OFFSET, cy: y + height / 2 });
+        $.attr(finish, { cx: x + width + CONNECTOR_OFFSET, cy: y + height / 2 });
     }
 
     updateArrowPosition() {
@@ -441,12 +643,58 @@ export default class Bar {
         }
     }
 
+    // ─────────────────────────────────────────────────────────────────────────
+    // Accessibility
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Describe the task in words: name, kind, dates and progress
+     * @returns {string}
+     */
+    describe() {
+        const task = this.task;
+        const options = {
+            lang: this.gantt.options.language,
+            showMilliseconds: false,
+            maxTimeUnits: 3,
+            timezone: this.gantt.config.timezone,
+        };
+        const start = formatDatetime(task.start, options);
+
+        if (task.isMilestone()) {
+            return `${task.name}, milestone, ${start}`;
+        }
+
+        const end = formatDatetime(task.end, options);
+        const kind = task.isSummary() ? ', summary' : '';
+        return `${task.name}${kind}, ${start} to ${end}, ${Math.round(task.progress)}% complete`;
+    }
+
+    /**
+     * Expose the bar to assistive technology as a focusable task
+     */
+    updateAria() {
+        $.attr(this.group, {
+            role: 'button',
+            'aria-roledescription': 'task',
+            'aria-label': this.describe(),
+        });
+        if (this.task.isSummary()) {
+            $.attr(this.group, 'aria-expanded', String(!this.task.collapsed));
+        }
+        if (!this.group.hasAttribute('tabindex')) {
+            $.attr(this.group, 'tabindex', '-1');
+        }
+    }
+
     // ─────────────────────────────────────────────────────────────────────────
     // Event Binding
     // ─────────────────────────────────────────────────────────────────────────
 
     bind() {
-        if (this.task.invalid) return;
+        // Listeners live on the group, which survives refresh()
+        if (this.task.invalid || this._bound) return;
+        this._bound = true;
         this.setupClickEvent();
     }
 
@@ -460,16 +708,19 @@ export default class Bar {
 
         // Click popup
         if (this.gantt.options.popup_on === 'click') {
-            $.on(this.group, 'mouseup', (e) => {
-                const posX = e.offsetX || e.layerX;
+            $.on(this.group, 'pointerup', (e) => {
+                if (e.target === this.$toggle) return;
+                // Modifier clicks add to or remove from the selection
+                if (e.ctrlKey || e.metaKey || e.shiftKey) return;
+                const { x, y } = this.gantt.chart.getSVGPoint(e);
                 if (this.$handle_progress) {
                     const cx = +this.$handle_progress.getAttribute('cx');
-                    if (cx > posX - 1 && cx < posX + 1) return;
+                    if (cx > x - 1 && cx < x + 1) return;
                     if (this.gantt.bar_being_dragged) return;
                 }
                 this.gantt.showPopup({
-                    x: e.offsetX || e.layerX,
-                    y: e.offsetY || e.layerY,
+                    x,
+                    y,
                     task: this.task,
                     target: this.$bar,
                 });
@@ -479,11 +730,12 @@ export default class Bar {
         // Hover popup with delay
         let timeout;
         $.on(this.group, 'mouseenter', (e) => {
+            const { x, y } = this.gantt.chart.getSVGPoint(e);
             timeout = setTimeout(() => {
                 if (this.gantt.options.popup_on === 'hover') {
                     this.gantt.showPopup({
-                        x: e.offsetX || e.layerX,
-                        y: e.offsetY || e.layerY,
+                        x,
+                        y,
                         task: this.task,
                         target: this.$bar,
                     });
@@ -545,6 +797,12 @@ export default class Bar {
      * @returns {{ newStart: Temporal.Instant, newEnd: Temporal.Instant }}
      */
     computeStartEndFromPosition() {
+        if (this.task.isMilestone()) {
+            const center = this.$bar.getX() + this.$bar.getWidth() / 2;
+            const instant = this.gantt.chart.viewport.xToDate(center);
+            return { newStart: instant, newEnd: instant };
+        }
+
         const newStart = this.gantt.chart.viewport.xToDate(this.$bar.getX());
         const newEnd = this.gantt.chart.viewport.xToDate(this.$bar.getEndX());
         return { newStart, newEnd };
@@ -1,6 +1,19 @@
-import { $ } from './svg_utils';
+import { $, createSVG } from './svg_utils';
+import { add, ensureInstant, floor, Temporal } from './temporal_utils';
 import Bar from './bar';
 
+// Distance (px) a finger may move during a long press before it counts as scrolling
+const HOLD_TOLERANCE = 10;
+// Distance (px) the pointer must move before a press on the chart becomes a drag
+const DRAG_THRESHOLD = 10;
+// Distance (px) beside a bar that still counts as dropping a link on it,
+// enough to cover its connectors
+const LINK_DROP_MARGIN = 12;
+// Letters of a dependency type (see Tasks) for the bar edges a link joins
+const LINK_EDGES = { start: 'S', finish: 'F' };
+// Height (px) of the line that shows where a dragged row will be dropped
+const DROP_LINE_HEIGHT = 2;
+
 /**
  * Bars - Collection manager for Bar objects
  *
@@ -13,36 +26,184 @@ export default class Bars {
      */
     constructor(gantt) {
         this.gantt = gantt;
+        this.$layer = null;
         this._bars = [];
         this._byTaskId = new Map();
+        // Bars of tasks outside the render window, created by get()
+        this._offscreen = new Map();
 
         // Drag/resize state
+        this.$svg = null;
+        this._cancelHold = null; // cancels a pending touch long press
         this._dragState = null;
         this.dragging = null; // null = not dragging, false = drag started, true = actually dragging
+        this._createState = null; // task being drawn by dragging across a row
+        this._linkState = null; // dependency being drawn from a connector
+        this._reorderState = null; // task being dragged to another row
+
+        // Task UID of the bar in the tab order
+        this._focusId = null;
     }
 
     /**
-     * Create bars for all tasks and append to the bar layer
+     * Create bars for all visible tasks and append to the bar layer. When
+     * the chart is virtualized, only tasks in the render window get one.
      * @param {SVGElement} layer - The SVG layer to append bars to
      */
     render(layer) {
         this.clear();
+        this.$layer = layer;
+
+        // A re-render replaces the bars an unfinished drag refers to
+        this._dragState = null;
+        this.dragging = null;
+
+        if (!this.gantt.tasks.isVisible(this._focusId)) this._focusId = null;
+        this.updateWindow();
+
+        // Roving focus: a single bar is in the tab order
+        this._focusId ??= this._bars[0]?.task.uid;
+        this._byTaskId.get(this._focusId)?.group.setAttribute('tabindex', '0');
+    }
+
+    /**
+     * Add bars that entered the render window and remove those that left
+     * it. The focused bar and bars being dragged stay.
+     */
+    updateWindow() {
+        const wanted = new Set(
+            this._tasksInWindow(this.gantt.chart.getRenderWindow()).map((task) => task.uid),
+        );
+        if (this._focusId) wanted.add(this._focusId);
+        for (const bar of this._dragState?.bars ?? []) wanted.add(bar.task.uid);
+        for (const bar of this._reorderState?.bars ?? []) wanted.add(bar.task.uid);
+
+        for (const bar of [...this._bars]) {
+            if (!wanted.has(bar.task.uid)) this._detach(bar);
+        }
+        for (const id of wanted) {
+            if (!this._byTaskId.has(id)) this._attach(id);
+        }
+    }
+
+    /**
+     * Bring the bars in line with the tasks after tasks were added, removed
+     * or changed: bars of tasks that are gone or hidden are removed, new
+     * ones created, and bars that no longer match their task redrawn in
+     * place. Other bars are left untouched.
+     * @param {Iterable<string>} [changedIds] - Tasks to redraw even if their bars look current
+     * @returns {Set<string>} UIDs of the bars that were redrawn
+     */
+    sync(changedIds = []) {
+        const tasks = this.gantt.tasks;
+        const changed = new Set(changedIds);
+        const redrawn = new Set();
+
+        for (const [id, bar] of this._offscreen) {
+            if (tasks.get(id) !== bar.task || changed.has(id) || bar.isStale()) {
+                this._offscreen.delete(id);
+            }
+        }
+
+        if (!tasks.isVisible(this._focusId)) this._focusId = null;
+
+        for (const bar of [...this._bars]) {
+            const id = bar.task.uid;
+            if (tasks.get(id) !== bar.task || !tasks.isVisible(id)) {
+                this._detach(bar);
+            } else if (changed.has(id) || bar.isStale()) {
+                bar.refresh();
+                redrawn.add(id);
+            }
+        }
+        this.updateWindow();
 
-        for (const task of this.gantt.tasks.getAll()) {
-            const bar = new Bar(this.gantt, task);
-            layer.appendChild(bar.group);
-            this._bars.push(bar);
-            this._byTaskId.set(task.uid, bar);
+        if (!this._focusId) {
+            this._focusId = this._bars[0]?.task.uid ?? null;
+            this._byTaskId.get(this._focusId)?.group.setAttribute('tabindex', '0');
         }
+        return redrawn;
     }
 
     /**
-     * Get bar by task ID
+     * Visible tasks whose bars intersect the render window
+     * @private
+     */
+    _tasksInWindow(win) {
+        const rows = this.gantt.tasks.getVisible();
+        if (!win) return rows;
+
+        const chart = this.gantt.chart;
+        const [from, to] = chart.getRowRange(win);
+        // Room for milestone diamonds and summary toggles beside the bar
+        const margin = this.gantt.options.bar_height;
+
+        return rows.slice(from, to).filter((task) => {
+            const x1 = chart.viewport.dateToX(task.start) - margin;
+            const x2 = chart.viewport.dateToX(task.end) + margin;
+            return x2 >= win.left && x1 <= win.right;
+        });
+    }
+
+    _attach(id) {
+        const task = this.gantt.tasks.get(id);
+        if (!task || !this.gantt.tasks.isVisible(id)) return;
+
+        // Reuse a bar created for an off-screen lookup
+        const bar = this._offscreen.get(id) ?? new Bar(this.gantt, task);
+        this._offscreen.delete(id);
+
+        this.$layer.appendChild(bar.group);
+        if (bar.$date_highlight) this.gantt.$lower_header.prepend(bar.$date_highlight);
+        this._bars.push(bar);
+        this._byTaskId.set(id, bar);
+        return bar;
+    }
+
+    _detach(bar) {
+        bar.group.remove();
+        bar.$date_highlight?.remove();
+        this._bars.splice(this._bars.indexOf(bar), 1);
+        this._byTaskId.delete(bar.task.uid);
+    }
+
+    /**
+     * Move keyboard focus to a bar, making it the one in the tab order
+     * @param {string} id - Task UID
+     */
+    focus(id) {
+        const bar = this._byTaskId.get(id) ?? this._attach(id);
+        if (!bar) return;
+
+        this._byTaskId.get(this._focusId)?.group.setAttribute('tabindex', '-1');
+        bar.group.setAttribute('tabindex', '0');
+        this._focusId = id;
+        bar.group.focus();
+    }
+
+    /**
+     * Get bar by task ID. Tasks outside the render window get a bar that
+     * isn't in the DOM but is positioned like one that is.
      * @param {string} id - Task UID
      * @returns {Bar|undefined}
      */
     get(id) {
-        return this._byTaskId.get(id);
+        const bar = this._byTaskId.get(id);
+        if (bar || !this.gantt.tasks.isVisible(id)) return bar;
+
+        if (!this._offscreen.has(id)) {
+            this._offscreen.set(id, new Bar(this.gantt, this.gantt.tasks.get(id)));
+        }
+        return this._offscreen.get(id);
+    }
+
+    /**
+     * Check whether a task's bar is in the DOM
+     * @param {string} id - Task UID
+     * @returns {boolean}
+     */
+    isRendered(id) {
+        return this._byTaskId.has(id);
     }
 
     /**
@@ -55,7 +216,7 @@ export default class Bars {
     }
 
     /**
-     * Get all bars
+     * Get all bars in the DOM
      * @returns {Bar[]}
      */
     getAll() {
@@ -72,11 +233,16 @@ export default class Bars {
     }
 
     /**
-     * Clear all bars
+     * Remove all bars
      */
     clear() {
+        for (const bar of this._bars) {
+            bar.group.remove();
+            bar.$date_highlight?.remove();
+        }
         this._bars = [];
         this._byTaskId.clear();
+        this._offscreen.clear();
     }
 
     get length() {
@@ -109,24 +275,81 @@ export default class Bars {
      * @param {SVGElement} svg - The SVG element to bind events to
      */
     bindDragEvents(svg) {
-        $.on(svg, 'mousedown', '.bar-wrapper, .handle', (e, element) => {
-            this._startDrag(e, element);
+        this.$svg = svg;
+
+        $.on(svg, 'pointerdown', '.bar-wrapper, .handle', (e, element) => {
+            if (!e.isPrimary || e.button > 0) return;
+            // Progress handles and link connectors are bound separately
+            if (element.classList.contains('progress')) return;
+            if (e.target.classList.contains('connector')) return;
+            this._whenHeld(e, () => this._startDrag(e, element));
         });
 
-        $.on(svg, 'mousemove', (e) => {
+        $.on(svg, 'pointermove', (e) => {
             this._onDragMove(e);
         });
 
-        $.on(svg, 'mouseup', () => {
+        $.on(svg, 'pointerup', () => {
             this._endDrag();
         });
 
-        // Also end drag if mouse leaves the document
-        document.addEventListener('mouseup', () => {
+        // The browser took over the pointer (e.g. to scroll): snap back
+        $.on(svg, 'pointercancel', () => {
+            this._endDrag(false);
+        });
+
+        // Also end drag if the pointer is released outside the chart
+        // before the drag captured it
+        document.addEventListener('pointerup', () => {
             if (this._dragState) {
                 this._endDrag();
             }
         });
+
+        // Once a touch drag has begun, keep the finger from scrolling the page
+        svg.addEventListener('touchmove', (e) => {
+            if (this._dragState) e.preventDefault();
+        }, { passive: false });
+    }
+
+    /**
+     * Run begin() for a pointerdown. Mouse and pen begin right away; touch
+     * begins after a long press so that swiping still scrolls the chart.
+     * Moving or lifting the finger before the delay cancels the press.
+     * @private
+     */
+    _whenHeld(e, begin) {
+        this._cancelHold?.();
+        if (e.pointerType !== 'touch') {
+            begin();
+            return;
+        }
+
+        const svg = this.$svg;
+        const { pointerId, clientX, clientY } = e;
+
+        const onMove = (moveEvent) => {
+            if (moveEvent.pointerId !== pointerId) return;
+            const distance = Math.hypot(moveEvent.clientX - clientX, moveEvent.clientY - clientY);
+            if (distance > HOLD_TOLERANCE) cancel();
+        };
+        const cancel = () => {
+            clearTimeout(timer);
+            svg.removeEventListener('pointermove', onMove);
+            svg.removeEventListener('pointerup', cancel);
+            svg.removeEventListener('pointercancel', cancel);
+            this._cancelHold = null;
+        };
+        const timer = setTimeout(() => {
+            cancel();
+            $.closest('.bar-wrapper', e.target)?.classList.add('pressed');
+            begin();
+        }, this.gantt.options.long_press_delay);
+
+        svg.addEventListener('pointermove', onMove);
+        svg.addEventListener('pointerup', cancel);
+        svg.addEventListener('pointercancel', cancel);
+        this._cancelHold = cancel;
     }
 
     /**
@@ -142,6 +365,13 @@ export default class Bars {
         const parentBar = this.get(parentBarId);
         if (!parentBar) return;
 
+        // Summary dates are derived from their children; summaries can
+        // only change rows
+        if (parentBar.task.isSummary()) {
+            this._armReorder(e, parentBar);
+            return;
+        }
+
         // Determine drag type
         let dragType = 'move';
         if (element.classList.contains('left')) {
@@ -155,12 +385,37 @@ export default class Bars {
             return;
         }
 
+        if (dragType === 'move') this._armReorder(e, parentBar);
+        this._beginDrag(parentBar, dragType, gantt.chart.getSVGPoint(e).x);
+    }
+
+    /**
+     * Set up drag state for a bar: collect the bars that move with it and
+     * remember their positions. Moving a selected bar moves the whole
+     * selection by the same delta.
+     * @private
+     */
+    _beginDrag(parentBar, type, startX) {
+        const gantt = this.gantt;
+        const parentBarId = parentBar.task.uid;
+
         // Hide popup during drag
         gantt.hidePopup();
 
+        // Bars moved by the pointer; summaries roll up from their children
+        const selection = gantt.chart.selection;
+        const leaders = new Set([parentBarId]);
+        if (type === 'move' && selection.has(parentBarId)) {
+            for (const id of selection.get()) {
+                if (!gantt.tasks.get(id).isSummary()) leaders.add(id);
+            }
+        }
+
         // Collect affected bars (Scheduler determines dependency policy)
-        const barIds = gantt.scheduler.getAffectedTaskIds(parentBarId);
-        const bars = barIds.map((id) => this.get(id)).filter(Boolean);
+        const barIds = new Set(
+            [...leaders].flatMap((id) => gantt.scheduler.getAffectedTaskIds(id)),
+        );
+        const bars = [...barIds].map((id) => this.get(id)).filter(Boolean);
 
         // Store initial positions
         for (const bar of bars) {
@@ -172,9 +427,10 @@ export default class Bars {
         }
 
         this._dragState = {
-            type: dragType,
-            startX: e.offsetX || e.layerX,
+            type,
+            startX,
             parentBarId,
+            leaders,
             bars,
             dragging: false, // Becomes true after threshold movement
         };
@@ -183,31 +439,47 @@ export default class Bars {
     }
 
     /**
-     * Handle mouse move during drag
+     * Handle pointer move during drag
      * @private
      */
     _onDragMove(e) {
         if (!this._dragState) return;
 
         const gantt = this.gantt;
-        const { type, startX, parentBarId, bars } = this._dragState;
-        const currentX = e.offsetX || e.layerX;
+        const { startX } = this._dragState;
+        const currentX = gantt.chart.getSVGPoint(e).x;
         const rawDx = currentX - startX;
 
-        // Detect if actually dragging (threshold for click vs drag)
-        if (!this._dragState.dragging && Math.abs(rawDx) > 10) {
+        // Detect if actually dragging (threshold for click vs drag); from
+        // then on the pointer stays with the drag even outside the chart
+        if (!this._dragState.dragging && Math.abs(rawDx) > DRAG_THRESHOLD) {
             this._dragState.dragging = true;
             this.dragging = true;
+            this.$svg.setPointerCapture(e.pointerId);
         }
 
         if (!this._dragState.dragging) return;
 
         // Get snapped delta from Scheduler
-        const dx = gantt.scheduler.getSnapPosition(rawDx);
+        this._dragTo(gantt.scheduler.getSnapPosition(rawDx));
+    }
+
+    /**
+     * Show the dragged bars a (snapped) distance from where the drag began
+     * @private
+     */
+    _dragTo(dx) {
+        const gantt = this.gantt;
+        const { type, parentBarId, leaders, bars } = this._dragState;
         gantt.hidePopup();
 
+        // Successors follow from the auto scheduler instead of the raw delta
+        const autoSchedule = gantt.options.auto_schedule;
+
         // Update each affected bar's visual position
         for (const bar of bars) {
+            if (autoSchedule && !leaders.has(bar.task.uid)) continue;
+
             const $bar = bar.$bar;
             $bar.finaldx = dx;
 
@@ -226,78 +498,787 @@ export default class Bars {
                 }
             } else if (type === 'move') {
                 if (!gantt.options.readonly && !gantt.options.readonly_dates) {
-                    bar.updateBarPosition({ x: $bar.ox + dx });
+                    this._moveBar(bar, $bar.ox + dx);
                 }
             }
         }
+
+        if (autoSchedule) {
+            this._previewSchedule();
+        }
+    }
+
+    /**
+     * Move a bar to a new x. With a working-time calendar the bar snaps
+     * out of non-working time and stretches to keep its working duration.
+     * @private
+     */
+    _moveBar(bar, x) {
+        const gantt = this.gantt;
+        if (!gantt.config.calendar || bar.task.isMilestone()) {
+            bar.updateBarPosition({ x });
+            return;
+        }
+
+        const viewport = gantt.chart.viewport;
+        const { newStart, newEnd } = gantt.scheduler.getMovedDates(bar.task, viewport.xToDate(x));
+        const startX = viewport.dateToX(newStart);
+        bar.updateBarPosition({ x: startX, width: viewport.dateToX(newEnd) - startX });
+    }
+
+    /**
+     * Dates of a bar at its current visual position. Moved bars keep their
+     * (working) duration exactly instead of going through pixels.
+     * @private
+     */
+    _datesFromPosition(bar) {
+        const dates = bar.computeStartEndFromPosition();
+        if (this._dragState.type !== 'move') return dates;
+        return this.gantt.scheduler.getMovedDates(bar.task, dates.newStart);
+    }
+
+    /**
+     * Compute the auto schedule for the dragged bars' current positions and
+     * move the successor bars there (back to their own dates if they no
+     * longer need to move)
+     * @private
+     */
+    _previewSchedule() {
+        const { leaders, bars } = this._dragState;
+        const planned = new Map();
+        for (const id of leaders) {
+            const { newStart, newEnd } = this._datesFromPosition(this.get(id));
+            planned.set(id, { start: newStart, end: newEnd });
+        }
+
+        const schedule = this.gantt.scheduler.scheduleForward(planned);
+
+        for (const bar of bars) {
+            if (leaders.has(bar.task.uid)) continue;
+            const dates = schedule.get(bar.task.uid);
+            bar.moveToDates(dates?.start ?? bar.task.start, dates?.end ?? bar.task.end);
+        }
+
+        this._dragState.schedule = schedule;
     }
 
     /**
      * End drag operation and commit changes
+     * @param {boolean} [commit=true] - False to put the bars back instead
      * @private
      */
-    _endDrag() {
+    _endDrag(commit = true) {
         if (!this._dragState) return;
 
         const gantt = this.gantt;
-        const { bars } = this._dragState;
+        const { bars, schedule, parentBarId } = this._dragState;
 
-        // Clear visible handle state
+        // Clear visible handle and long-press state
         gantt.chart.$container
             .querySelector('.visible')
             ?.classList?.remove?.('visible');
+        gantt.chart.$container
+            .querySelector('.bar-wrapper.pressed')
+            ?.classList.remove('pressed');
 
-        // Commit changes for each bar
-        for (const bar of bars) {
-            const $bar = bar.$bar;
-            if (!$bar.finaldx) continue;
+        if (!commit) {
+            bars.forEach((bar) => bar.resetPosition());
+            this.dragging = null;
+            this._dragState = null;
+            return;
+        }
 
-            // Compute new dates from visual position
-            const { newStart, newEnd } = bar.computeStartEndFromPosition();
+        // Compute new dates from visual position of each moved bar
+        let moved = bars.filter((bar) => bar.$bar.finaldx);
+        const changes = moved.map((bar) => ({
+            task: bar.task,
+            ...this._datesFromPosition(bar),
+        }));
 
-            // Commit task update via Scheduler
-            gantt.scheduler.commitDateChange(bar.task, newStart, newEnd);
+        // Auto-scheduled successors take their exact scheduled dates;
+        // hidden tasks (under collapsed summaries) have no bar but move too
+        if (moved.length && schedule) {
+            for (const [id, { start, end }] of schedule) {
+                changes.push({ task: gantt.tasks.get(id), newStart: start, newEnd: end });
+            }
+            moved = bars;
+        }
 
-            bar.setActionCompleted();
+        // Commit task updates via Scheduler; snap back if vetoed
+        if (gantt.scheduler.commitDateChanges(changes)) {
+            moved.forEach((bar) => {
+                bar.setActionCompleted();
+                bar.updateAria();
+            });
+            this._updateSummaryBars(changes.map(({ task }) => task));
+            gantt.chart.highlightCriticalPath();
+            if (changes.length) this._announceChange(this.get(parentBarId), changes.length - 1);
+        } else {
+            moved.forEach((bar) => bar.resetPosition());
         }
 
         this.dragging = null;
         this._dragState = null;
     }
 
+    /**
+     * Announce a committed change to screen readers
+     * @param {Bar} bar - The bar the user changed
+     * @param {number} [others=0] - Number of other tasks that moved with it
+     * @private
+     */
+    _announceChange(bar, others = 0) {
+        let message = `Updated ${bar.describe()}.`;
+        if (others === 1) message += ' 1 other task moved.';
+        else if (others > 1) message += ` ${others} other tasks moved.`;
+        this.gantt.chart.announce(message);
+    }
+
+    /**
+     * Move summary bars above the given tasks to their rolled-up dates,
+     * and update the table rows of all of them
+     * @private
+     */
+    _updateSummaryBars(tasks) {
+        const ids = new Set(
+            tasks.flatMap((task) => this.gantt.tasks.getAncestorIds(task.uid)),
+        );
+        for (const id of ids) {
+            this.get(id)?.resetPosition();
+        }
+
+        for (const task of tasks) ids.add(task.uid);
+        this.gantt.chart.table?.update(ids);
+    }
+
+    // =========================================================================
+    // DRAG TO CREATE
+    // =========================================================================
+
+    /**
+     * Bind drawing new tasks by dragging across an empty part of a grid
+     * row (`drag_to_create` option). A ghost bar follows the pointer,
+     * snapped like a bar drag; on release 'task_create' fires with the task
+     * to add and the row it was drawn on. Handlers may fill in the task
+     * (e.g. its name or id) or return false to cancel.
+     * @param {SVGElement} svg - The SVG element to bind events to
+     */
+    bindCreateEvents(svg) {
+        this.$svg = svg;
+
+        // Weekend and holiday highlights cover parts of the rows
+        $.on(svg, 'pointerdown', '.grid-row, .holiday-highlight, .ignored-bar', (e) => {
+            const options = this.gantt.options;
+            if (!options.drag_to_create || options.readonly || options.readonly_dates) return;
+            if (!e.isPrimary || e.button > 0) return;
+            // With a modifier held the drag draws a selection lasso instead
+            if (e.ctrlKey || e.metaKey || e.shiftKey) return;
+            this._whenHeld(e, () => this._beginCreate(e));
+        });
+
+        $.on(svg, 'pointermove', (e) => {
+            this._onCreateMove(e);
+        });
+
+        $.on(svg, 'pointerup', () => {
+            this._endCreate();
+        });
+
+        $.on(svg, 'pointercancel', () => {
+            this._endCreate(false);
+        });
+
+        document.addEventListener('pointerup', () => {
+            if (this._createState) {
+                this._endCreate();
+            }
+        });
+
+        svg.addEventListener('touchmove', (e) => {
+            if (this._createState) e.preventDefault();
+        }, { passive: false });
+    }
+
+    /**
+     * Remember where a new task's drag began
+     * @private
+     */
+    _beginCreate(e) {
+        const gantt = this.gantt;
+        const { x, y } = gantt.chart.getSVGPoint(e);
+        const headerHeight = gantt.config.header_height;
+        const rowHeight = gantt.options.bar_height + gantt.options.padding;
+        const row = Math.floor((y - headerHeight) / rowHeight);
+        if (row < 0) return;
+
+        this._createState = {
+            startX: x,
+            row,
+            y: headerHeight + row * rowHeight + gantt.options.padding / 2,
+            $ghost: null,
+        };
+    }
+
+    /**
+     * Stretch the ghost bar between the snapped start and pointer positions
+     * @private
+     */
+    _onCreateMove(e) {
+        const state = this._createState;
+        if (!state) return;
+
+        const gantt = this.gantt;
+        const x = gantt.chart.getSVGPoint(e).x;
+
+        if (!state.$ghost) {
+            if (Math.abs(x - state.startX) <= DRAG_THRESHOLD) return;
+
+            gantt.hidePopup();
+            this.$svg.setPointerCapture(e.pointerId);
+            state.$ghost = createSVG('rect', {
+                y: state.y,
+                height: gantt.options.bar_height,
+                rx: gantt.options.bar_corner_radius,
+                ry: gantt.options.bar_corner_radius,
+                class: 'bar-ghost',
+                append_to: gantt.chart.layers.bar,
+            });
+        }
+
+        const scheduler = gantt.scheduler;
+        const start = scheduler.getSnapPosition(Math.min(state.startX, x));
+        const end = scheduler.getSnapPosition(Math.max(state.startX, x));
+        // At least one snap unit long
+        state.x1 = start;
+        state.x2 = Math.max(end, start + scheduler.getSnapWidth());
+
+        $.attr(state.$ghost, { x: state.x1, width: state.x2 - state.x1 });
+    }
+
+    /**
+     * Remove the ghost bar and, unless cancelled, create the task it shows
+     * @private
+     */
+    _endCreate(commit = true) {
+        const state = this._createState;
+        if (!state) return;
+        this._createState = null;
+
+        // A click, not a drag
+        if (!state.$ghost) return;
+        state.$ghost.remove();
+        if (!commit) return;
+
+        const gantt = this.gantt;
+        const viewport = gantt.chart.viewport;
+        const task = {
+            name: 'New task',
+            start: viewport.xToDate(state.x1),
+            end: viewport.xToDate(state.x2),
+        };
+
+        // The new task takes the drawn row: it goes before the row's task,
+        // as its sibling. Below the last row it is added at the end.
+        const rowTask = gantt.tasks.getVisible()[state.row];
+        if (rowTask?.parent) task.parent = rowTask.parent;
+
+        if (!gantt.triggerEvent('task_create', [task, state.row])) return;
+
+        // Task lists read an end at midnight as the end of that day (see
+        // Tasks), so an exclusive end at midnight is given as the day before
+        const timezone = gantt.config.timezone;
+        const end = ensureInstant(task.end, timezone);
+        if (Temporal.Instant.compare(floor(end, 'day', timezone), end) === 0) {
+            task.end = add(end, -1, 'day', timezone);
+        }
+
+        let index;
+        if (rowTask && (task.parent ?? null) === (rowTask.parent ?? null)) {
+            index = gantt.tasks
+                .filter((other) => (other.parent || null) === (rowTask.parent || null))
+                .indexOf(rowTask);
+        }
+        const created = gantt.addTask(task, index);
+        if (created) {
+            gantt.chart.announce(`Created ${created.name}`);
+        }
+    }
+
+    // =========================================================================
+    // DRAG TO LINK
+    // =========================================================================
+
+    /**
+     * Bind linking tasks by dragging from a bar's connector onto another
+     * bar. The connector's edge and the half of the target bar it is
+     * dropped on give the link type: finish onto the start half is FS,
+     * start onto the start half SS, and so on. A rubber band follows the
+     * pointer meanwhile; links that would close a cycle are refused.
+     * @param {SVGElement} svg - The SVG element to bind events to
+     */
+    bindLinkEvents(svg) {
+        this.$svg = svg;
+
+        $.on(svg, 'pointerdown', '.connector', (e, $connector) => {
+            if (!e.isPrimary || e.button > 0) return;
+            this._whenHeld(e, () => this._beginLink(e, $connector));
+        });
+
+        $.on(svg, 'pointermove', (e) => {
+            this._onLinkMove(e);
+        });
+
+        $.on(svg, 'pointerup', () => {
+            this._endLink();
+        });
+
+        $.on(svg, 'pointercancel', () => {
+            this._endLink(false);
+        });
+
+        document.addEventListener('pointerup', () => {
+            if (this._linkState) {
+                this._endLink();
+            }
+        });
+
+        svg.addEventListener('touchmove', (e) => {
+            if (this._linkState) e.preventDefault();
+        }, { passive: false });
+    }
+
+    /**
+     * Start a rubber band at a connector
+     * @private
+     */
+    _beginLink(e, $connector) {
+        const bar = this.get($.closest('.bar-wrapper', $connector)?.getAttribute('data-id'));
+        if (!bar) return;
+
+        this.gantt.hidePopup();
+        this.$svg.setPointerCapture(e.pointerId);
+
+        const x = +$connector.getAttribute('cx');
+        const y = +$connector.getAttribute('cy');
+        this._linkState = {
+            bar,
+            edge: $connector.getAttribute('data-edge'),
+            x,
+            y,
+            target: null,
+            $band: createSVG('path', {
+                d: `M ${x} ${y} L ${x} ${y}`,
+                class: 'link-preview',
+                append_to: this.gantt.chart.layers.arrow,
+            }),
+        };
+    }
+
+    /**
+     * Stretch the rubber band to the pointer and mark the bar it would link to
+     * @private
+     */
+    _onLinkMove(e) {
+        const state = this._linkState;
+        if (!state) return;
+
+        const { x, y } = this.gantt.chart.getSVGPoint(e);
+        state.$band.setAttribute('d', `M ${state.x} ${state.y} L ${x} ${y}`);
+
+        const target = this._linkTargetAt(x, y);
+        if (target?.bar !== state.target?.bar) {
+            state.target?.bar.group.classList.remove('link-target');
+            target?.bar.group.classList.add('link-target');
+        }
+        state.target = target;
+
+        // Show up front that the link would be refused
+        const tasks = this.gantt.tasks;
+        const from = state.bar.task.uid;
+        const refused = target && (
+            tasks.wouldCreateCycle(target.bar.task.uid, from) ||
+            target.bar.task.dependencies.includes(from)
+        );
+        state.$band.classList.toggle('invalid', !!refused);
+    }
+
+    /**
+     * The bar under a point, and which half of it (start or finish)
+     * @private
+     */
+    _linkTargetAt(x, y) {
+        const gantt = this.gantt;
+        const rowHeight = gantt.options.bar_height + gantt.options.padding;
+        const row = Math.floor((y - gantt.config.header_height) / rowHeight);
+        const task = gantt.tasks.getVisible()[row];
+        if (!task || task === this._linkState.bar.task || task.invalid) return null;
+
+        const bar = this.get(task.uid);
+        const bounds = bar.getShapeBounds();
+        if (x < bounds.x - LINK_DROP_MARGIN || x > bounds.x + bounds.width + LINK_DROP_MARGIN) {
+            return null;
+        }
+
+        return { bar, edge: x < bounds.x + bounds.width / 2 ? 'start' : 'finish' };
+    }
+
+    /**
+     * Remove the rubber band and, unless cancelled, link the tasks
+     * @private
+     */
+    _endLink(commit = true) {
+        const state = this._linkState;
+        if (!state) return;
+        this._linkState = null;
+
+        state.$band.remove();
+        state.target?.bar.group.classList.remove('link-target');
+        if (!commit || !state.target) return;
+
+        const from = state.bar.task;
+        const to = state.target.bar.task;
+        const type = LINK_EDGES[state.edge] + LINK_EDGES[state.target.edge];
+        if (this.gantt.addDependency(to.uid, from.uid, type)) {
+            this.gantt.chart.announce(`Linked ${from.name} to ${to.name}`);
+        }
+    }
+
+    // =========================================================================
+    // DRAG TO REORDER
+    // =========================================================================
+
+    /**
+     * Bind moving tasks to other rows by dragging their bars up or down
+     * (`drag_to_reorder` option). A drag that goes vertical before it goes
+     * sideways picks the task up with its descendants, and a line shows
+     * where it will land. When tasks are nested, dropping on the middle of
+     * a row moves the task under that row's task. Dropping calls
+     * Gantt.moveTask, which fires 'order_change'.
+     * @param {SVGElement} svg - The SVG element to bind events to
+     */
+    bindReorderEvents(svg) {
+        this.$svg = svg;
+
+        // Pointerdown is handled by the date drag (see _startDrag)
+        $.on(svg, 'pointermove', (e) => {
+            this._onReorderMove(e);
+        });
+
+        $.on(svg, 'pointerup', () => {
+            this._endReorder();
+        });
+
+        $.on(svg, 'pointercancel', () => {
+            this._endReorder(false);
+        });
+
+        document.addEventListener('pointerup', () => {
+            if (this._reorderState) {
+                this._endReorder();
+            }
+        });
+
+        svg.addEventListener('touchmove', (e) => {
+            if (this._reorderState?.bars) e.preventDefault();
+        }, { passive: false });
+    }
+
+    /**
+     * Remember where a press on a bar began, in case it turns into a
+     * vertical drag
+     * @private
+     */
+    _armReorder(e, bar) {
+        const options = this.gantt.options;
+        if (!options.drag_to_reorder || options.readonly) return;
+
+        const { x, y } = this.gantt.chart.getSVGPoint(e);
+        this._reorderState = { bar, x, y, bars: null, target: null, $indicator: null };
+    }
+
+    /**
+     * Pick the task up once the pointer moved vertically, then follow the
+     * pointer and show the drop position
+     * @private
+     */
+    _onReorderMove(e) {
+        const state = this._reorderState;
+        if (!state) return;
+
+        const gantt = this.gantt;
+        const { x, y } = gantt.chart.getSVGPoint(e);
+        const dy = y - state.y;
+
+        if (!state.bars) {
+            // The bar went sideways first: it's a date drag
+            if (this.dragging) {
+                this._reorderState = null;
+                return;
+            }
+            if (Math.abs(dy) <= DRAG_THRESHOLD || Math.abs(dy) <= Math.abs(x - state.x)) return;
+
+            // Take over from the date drag, which hasn't moved anything yet
+            this._dragState = null;
+            this.dragging = null;
+            gantt.hidePopup();
+            this.$svg.setPointerCapture(e.pointerId);
+
+            const id = state.bar.task.uid;
+            state.bars = [id, ...gantt.tasks.getDescendantIds(id)]
+                .map((uid) => this._byTaskId.get(uid))
+                .filter(Boolean);
+            state.bars.forEach((bar) => bar.group.classList.add('reordering'));
+            // Without nesting, every drop is between rows
+            state.nest = gantt.tasks.find((task) => task.parent) !== undefined;
+            state.$indicator = createSVG('rect', {
+                x: 0,
+                width: '100%',
+                class: 'drop-indicator',
+                append_to: gantt.chart.layers.bar,
+            });
+        }
+
+        for (const bar of state.bars) {
+            bar.group.setAttribute('transform', `translate(0, ${dy})`);
+        }
+
+        state.target = this._reorderTargetAt(y);
+        const target = state.target;
+        state.$indicator.classList.toggle('hide', !target);
+        state.$indicator.classList.toggle('into', !!target?.into);
+        if (target) {
+            $.attr(state.$indicator, {
+                y: target.into ? target.y : target.y - DROP_LINE_HEIGHT / 2,
+                height: target.into ? target.height : DROP_LINE_HEIGHT,
+            });
+        }
+    }
+
+    /**
+     * Where the dragged task would land for a pointer y: the new parent
+     * and position among its children, and where to draw the indicator.
+     * Null over the dragged task's own rows.
+     * @private
+     */
+    _reorderTargetAt(y) {
+        const gantt = this.gantt;
+        const tasks = gantt.tasks;
+        const rows = tasks.getVisible();
+        const { bar, nest } = this._reorderState;
+        const moved = bar.task.uid;
+
+        const rowHeight = gantt.options.bar_height + gantt.options.padding;
+        const position = (y - gantt.config.header_height) / rowHeight;
+        const row = Math.max(0, Math.min(rows.length - 1, Math.floor(position)));
+        const offset = Math.max(0, Math.min(1, position - row));
+        const task = rows[row];
+        const top = gantt.config.header_height + row * rowHeight;
+
+        if (task.uid === moved || tasks.getAncestorIds(task.uid).includes(moved)) return null;
+
+        // Positions count the siblings without the dragged task
+        const parent = task.parent || null;
+        const siblings = parent
+            ? tasks.getChildIds(parent)
+            : tasks.filter((other) => !other.parent).map((other) => other.uid);
+        const index = siblings.filter((id) => id !== moved).indexOf(task.uid);
+
+        if (nest && offset > 1 / 3 && offset < 2 / 3) {
+            return { parent: task.uid, index: Infinity, into: true, y: top, height: rowHeight };
+        }
+        if (offset < 0.5) {
+            return { parent, index, y: top };
+        }
+        // Below an expanded summary is its first child's place
+        if (task.isSummary() && !task.collapsed) {
+            return { parent: task.uid, index: 0, y: top + rowHeight };
+        }
+        return { parent, index: index + 1, y: top + rowHeight };
+    }
+
+    /**
+     * Put the picked up bars back and, unless cancelled, move the task
+     * to where it was dropped
+     * @private
+     */
+    _endReorder(commit = true) {
+        const state = this._reorderState;
+        if (!state) return;
+        this._reorderState = null;
+
+        // A press that didn't go vertical
+        if (!state.bars) return;
+
+        state.$indicator.remove();
+        this.$svg.querySelector('.bar-wrapper.pressed')?.classList.remove('pressed');
+        for (const bar of state.bars) {
+            bar.group.removeAttribute('transform');
+            bar.group.classList.remove('reordering');
+            bar.setActionCompleted();
+        }
+        if (!commit || !state.target) return;
+
+        const task = state.bar.task;
+        const { parent, index } = state.target;
+        if (this.gantt.moveTask(task.uid, { parent, index })) {
+            this.gantt.chart.announce(`Moved ${task.name}`);
+        }
+    }
+
+    // =========================================================================
+    // KEYBOARD INTERACTION
+    // =========================================================================
+
+    /**
+     * Bind keyboard navigation and editing of the focused bar:
+     * Up/Down/Home/End move focus between tasks, Left/Right move the task
+     * by one snap unit (Shift+Left/Right resize its end), Enter commits the
+     * move or opens the popup, Escape cancels, Space collapses a summary.
+     * @param {SVGElement} svg - The SVG element to bind events to
+     */
+    bindKeyboardEvents(svg) {
+        $.on(svg, 'focusin', '.bar-wrapper', (e, wrapper) => {
+            const id = wrapper.getAttribute('data-id');
+            if (id !== this._focusId) this.focus(id);
+        });
+
+        // Leaving a bar keeps what was done to it
+        $.on(svg, 'focusout', '.bar-wrapper', () => {
+            if (this._dragState?.keyboard) this._endDrag();
+        });
+
+        $.on(svg, 'keydown', '.bar-wrapper', (e, wrapper) => {
+            // Leave shortcuts like Ctrl+Z to the chart
+            if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+            const bar = this.get(wrapper.getAttribute('data-id'));
+            if (!bar) return;
+            const rows = this.gantt.tasks.getVisible();
+            const index = bar.task._row;
+
+            switch (e.key) {
+                case 'ArrowUp':
+                    this.focus(rows[index - 1]?.uid);
+                    break;
+                case 'ArrowDown':
+                    this.focus(rows[index + 1]?.uid);
+                    break;
+                case 'Home':
+                    this.focus(rows[0].uid);
+                    break;
+                case 'End':
+                    this.focus(rows[rows.length - 1].uid);
+                    break;
+                case 'ArrowLeft':
+                case 'ArrowRight':
+                    this._keyDrag(
+                        bar,
+                        e.shiftKey ? 'resize-right' : 'move',
+                        e.key === 'ArrowLeft' ? -1 : 1,
+                    );
+                    break;
+                case 'Enter':
+                    if (this._dragState) this._endDrag();
+                    else this._showPopupFor(bar);
+                    break;
+                case 'Escape':
+                    if (this._dragState) this._endDrag(false);
+                    else this.gantt.hidePopup();
+                    break;
+                case ' ':
+                    if (!bar.task.isSummary()) return;
+                    this.gantt.toggleTask(bar.task.uid);
+                    this.focus(bar.task.uid);
+                    break;
+                default:
+                    return;
+            }
+            e.preventDefault();
+        });
+    }
+
+    /**
+     * Move or resize a bar by one snap unit from the keyboard. Steps add up
+     * until Enter (or leaving the bar) commits them.
+     * @private
+     */
+    _keyDrag(bar, type, direction) {
+        const gantt = this.gantt;
+        const state = this._dragState;
+        if (state && (state.parentBarId !== bar.task.uid || state.type !== type)) {
+            this._endDrag();
+        }
+
+        if (!this._dragState) {
+            if (gantt.options.readonly || gantt.options.readonly_dates) return;
+            if (bar.task.isSummary() || bar.task.invalid) return;
+            if (type === 'resize-right' && bar.task.isMilestone()) return;
+
+            this._beginDrag(bar, type, 0);
+            this._dragState.keyboard = true;
+            this._dragState.dragging = true;
+            this._dragState.keyDx = 0;
+            this.dragging = true;
+        }
+
+        this._dragState.keyDx += direction * gantt.scheduler.getSnapWidth();
+        this._dragTo(this._dragState.keyDx);
+    }
+
+    /**
+     * Open the popup next to a bar
+     * @private
+     */
+    _showPopupFor(bar) {
+        this.gantt.showPopup({
+            x: bar.$bar.getEndX(),
+            y: bar.$bar.getY(),
+            task: bar.task,
+            target: bar.$bar,
+        });
+    }
+
     /**
      * Bind progress drag events to the SVG element
      * @param {SVGElement} svg - The SVG element to bind events to
      */
     bindProgressEvents(svg) {
         const gantt = this.gantt;
+        this.$svg = svg;
         let progressState = null;
 
-        $.on(svg, 'mousedown', '.handle.progress', (e, handle) => {
-            const barWrapper = $.closest('.bar-wrapper', handle);
-            const id = barWrapper.getAttribute('data-id');
-            const bar = this.get(id);
-            if (!bar) return;
+        $.on(svg, 'pointerdown', '.handle.progress', (e, handle) => {
+            if (!e.isPrimary || e.button > 0) return;
 
-            const $bar_progress = bar.$bar_progress;
-            const $bar = bar.$bar;
+            this._whenHeld(e, () => {
+                const barWrapper = $.closest('.bar-wrapper', handle);
+                const id = barWrapper.getAttribute('data-id');
+                const bar = this.get(id);
+                if (!bar) return;
+
+                const $bar_progress = bar.$bar_progress;
+                const $bar = bar.$bar;
 
-            progressState = {
-                bar,
-                $bar_progress,
-                startX: e.offsetX || e.layerX,
-                owidth: $bar_progress.getWidth(),
-                minDx: -$bar_progress.getWidth(),
-                maxDx: $bar.getWidth() - $bar_progress.getWidth(),
-                finaldx: 0,
-            };
+                // Keep receiving moves when the pointer leaves the handle
+                svg.setPointerCapture(e.pointerId);
+
+                progressState = {
+                    bar,
+                    $bar_progress,
+                    startX: gantt.chart.getSVGPoint(e).x,
+                    owidth: $bar_progress.getWidth(),
+                    minDx: -$bar_progress.getWidth(),
+                    maxDx: $bar.getWidth() - $bar_progress.getWidth(),
+                    finaldx: 0,
+                };
+            });
         });
 
-        $.on(svg, 'mousemove', (e) => {
+        $.on(svg, 'pointermove', (e) => {
             if (!progressState) return;
 
             const { $bar_progress, startX, owidth, minDx, maxDx, bar } = progressState;
-            const currentX = e.offsetX || e.layerX;
+            const currentX = gantt.chart.getSVGPoint(e).x;
             let dx = currentX - startX;
 
             // Clamp to valid range
@@ -309,22 +1290,35 @@ export default class Bars {
             progressState.finaldx = dx;
         });
 
-        $.on(svg, 'mouseup', () => {
-            if (!progressState || !progressState.finaldx) {
-                progressState = null;
+        $.on(svg, 'pointerup pointercancel', (e) => {
+            if (!progressState) return;
+
+            const { bar, finaldx } = progressState;
+            progressState = null;
+            bar.group.classList.remove('pressed');
+            if (!finaldx) return;
+
+            if (e.type === 'pointercancel') {
+                bar.resetPosition();
                 return;
             }
 
-            const { bar } = progressState;
-
             // Compute new progress from visual position
             const newProgress = bar.computeProgressFromPosition();
 
-            // Commit task update via Scheduler
-            gantt.scheduler.commitProgressChange(bar.task, newProgress);
-
-            bar.setActionCompleted();
-            progressState = null;
+            // Commit task update via Scheduler; snap back if vetoed
+            if (gantt.scheduler.commitProgressChange(bar.task, newProgress)) {
+                bar.setActionCompleted();
+                bar.updateAria();
+                this._updateSummaryBars([bar.task]);
+                this._announceChange(bar);
+            } else {
+                bar.resetPosition();
+            }
         });
+
+        svg.addEventListener('touchmove', (e) => {
+            if (progressState) e.preventDefault();
+        }, { passive: false });
     }
 }
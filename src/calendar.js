@@ -0,0 +1,218 @@
+import {
+    DEFAULT_TIMEZONE,
+    Temporal,
+    ensureInstant,
+    toPlainDateTime,
+} from './temporal_utils';
+
+const MS_PER_MINUTE = 60 * 1000;
+const MINUTES_PER_DAY = 24 * 60;
+
+// Upper bound on days walked by a single query (about 30 years)
+const MAX_DAYS = 11000;
+
+/**
+ * Calendar - Working-time model
+ *
+ * Working time is the daily `hours` window on working `weekdays` that
+ * aren't `holidays`. Durations measured against a calendar count working
+ * time only: with `hours: ['09:00', '17:00']` a working day is 8 hours.
+ *
+ * Purely temporal - no visual/DOM awareness.
+ */
+export default class Calendar {
+    /**
+     * @param {Object} [spec]
+     * @param {number[]} [spec.weekdays=[1, 2, 3, 4, 5]] - Working ISO weekdays (1 = Monday)
+     * @param {string[]} [spec.hours=['00:00', '24:00']] - Daily working window
+     * @param {Array<string|Date|Temporal.Instant>} [spec.holidays=[]] - Non-working dates
+     * @param {string} [timezone] - Timezone whose wall clock defines days
+     */
+    constructor(spec = {}, timezone = DEFAULT_TIMEZONE) {
+        this.timezone = timezone;
+
+        this.weekdays = new Set(spec.weekdays ?? [1, 2, 3, 4, 5]);
+        if (![...this.weekdays].some((day) => day >= 1 && day <= 7)) {
+            console.warn('calendar has no working weekdays; using Monday to Friday');
+            this.weekdays = new Set([1, 2, 3, 4, 5]);
+        }
+
+        const [start, end] = spec.hours ?? ['00:00', '24:00'];
+        this.startMinute = this._parseTime(start);
+        this.endMinute = this._parseTime(end);
+        if (this.startMinute === null || this.endMinute === null || this.startMinute >= this.endMinute) {
+            console.warn(`invalid calendar hours "${spec.hours}"; using the whole day`);
+            this.startMinute = 0;
+            this.endMinute = MINUTES_PER_DAY;
+        }
+
+        this.holidays = new Set(
+            (spec.holidays ?? []).map((date) =>
+                toPlainDateTime(ensureInstant(date, timezone), timezone).toPlainDate().toString(),
+            ),
+        );
+    }
+
+    _parseTime(time) {
+        const match = /^(\d{1,2}):(\d{2})$/.exec(time ?? '');
+        if (!match) return null;
+
+        const minute = parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+        return minute <= MINUTES_PER_DAY ? minute : null;
+    }
+
+    /**
+     * Length of a working day in milliseconds
+     * @returns {number}
+     */
+    get msPerDay() {
+        return (this.endMinute - this.startMinute) * MS_PER_MINUTE;
+    }
+
+    /**
+     * Check whether a date is a working day
+     * @param {Temporal.PlainDate} date
+     * @returns {boolean}
+     */
+    isWorkingDay(date) {
+        return this.weekdays.has(date.dayOfWeek) && !this.holidays.has(date.toString());
+    }
+
+    /**
+     * Convert a duration quantity to working milliseconds. Months and
+     * years have no fixed working length and return null.
+     * @param {number} value
+     * @param {string} unit - Unit name as returned by parseDurationString
+     * @returns {number|null}
+     */
+    toWorkingMs(value, unit) {
+        switch (unit) {
+            case 'week':
+                return value * this.weekdays.size * this.msPerDay;
+            case 'day':
+                return value * this.msPerDay;
+            case 'hour':
+                return value * 60 * MS_PER_MINUTE;
+            case 'minute':
+                return value * MS_PER_MINUTE;
+            case 'second':
+                return value * 1000;
+            case 'millisecond':
+                return value;
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Format working milliseconds as a duration string ("3d", "1d 4h")
+     * @param {number} ms
+     * @returns {string}
+     */
+    formatWorkingMs(ms) {
+        const parts = [];
+        const days = Math.floor(ms / this.msPerDay);
+        let rest = ms - days * this.msPerDay;
+        if (days) parts.push(`${days}d`);
+
+        for (const [unit, size] of [['h', 3600000], ['min', 60000], ['s', 1000], ['ms', 1]]) {
+            const count = Math.floor(rest / size);
+            if (count) parts.push(`${count}${unit}`);
+            rest -= count * size;
+        }
+        return parts.length ? parts.join(' ') : '0d';
+    }
+
+    /**
+     * Earliest working instant at or after the given instant
+     * @param {Temporal.Instant} instant
+     * @returns {Temporal.Instant}
+     */
+    nextWorkingTime(instant) {
+        let date = this._dateOf(instant);
+        for (let i = 0; i < MAX_DAYS; i++, date = date.add({ days: 1 })) {
+            if (!this.isWorkingDay(date)) continue;
+
+            const [windowStart, windowEnd] = this._window(date);
+            if (Temporal.Instant.compare(instant, windowEnd) < 0) {
+                return Temporal.Instant.compare(instant, windowStart) > 0 ? instant : windowStart;
+            }
+        }
+        return instant;
+    }
+
+    /**
+     * Add working time to an instant, skipping non-working time
+     * @param {Temporal.Instant} instant
+     * @param {number} ms - Working milliseconds (>= 0)
+     * @returns {Temporal.Instant}
+     */
+    addWorkingTime(instant, ms) {
+        if (ms <= 0) return instant;
+
+        let remaining = ms;
+        let date = this._dateOf(instant);
+        for (let i = 0; i < MAX_DAYS; i++, date = date.add({ days: 1 })) {
+            if (!this.isWorkingDay(date)) continue;
+
+            const [windowStart, windowEnd] = this._window(date);
+            const from = Temporal.Instant.compare(instant, windowStart) > 0 ? instant : windowStart;
+            const available = windowEnd.epochMilliseconds - from.epochMilliseconds;
+            if (available <= 0) continue;
+
+            if (remaining <= available) {
+                return from.add({ milliseconds: remaining });
+            }
+            remaining -= available;
+        }
+
+        console.warn('calendar has too little working time for the requested duration');
+        return instant.add({ milliseconds: ms });
+    }
+
+    /**
+     * Working time between two instants
+     * @param {Temporal.Instant} start
+     * @param {Temporal.Instant} end
+     * @returns {number} Working milliseconds
+     */
+    workingTimeBetween(start, end) {
+        if (Temporal.Instant.compare(end, start) <= 0) return 0;
+
+        let total = 0;
+        let date = this._dateOf(start);
+        const lastDate = this._dateOf(end);
+        for (let i = 0; i < MAX_DAYS && Temporal.PlainDate.compare(date, lastDate) <= 0; i++) {
+            if (this.isWorkingDay(date)) {
+                const [windowStart, windowEnd] = this._window(date);
+                const from = Math.max(windowStart.epochMilliseconds, start.epochMilliseconds);
+                const to = Math.min(windowEnd.epochMilliseconds, end.epochMilliseconds);
+                if (to > from) total += to - from;
+            }
+            date = date.add({ days: 1 });
+        }
+        return total;
+    }
+
+    _dateOf(instant) {
+        return toPlainDateTime(instant, this.timezone).toPlainDate();
+    }
+
+    /**
+     * Working window of a day as [start, end) instants
+     * @private
+     */
+    _window(date) {
+        return [this._at(date, this.startMinute), this._at(date, this.endMinute)];
+    }
+
+    _at(date, minute) {
+        if (minute === MINUTES_PER_DAY) {
+            return date.add({ days: 1 }).toZonedDateTime(this.timezone).toInstant();
+        }
+        return date
+            .toPlainDateTime({ hour: Math.floor(minute / 60), minute: minute % 60 })
+            .toZonedDateTime(this.timezone)
+            .toInstant();
+    }
+}
@@ -1,11 +1,33 @@
 import { $, createSVG } from './svg_utils';
-import { parseInstant, ensureInstant, add, floor, isRelativeOffset, applyRelativeOffset, Temporal } from './temporal_utils';
+import { ensureInstant, add, floor, isRelativeOffset, applyRelativeOffset, Temporal } from './temporal_utils';
 import Arrows from './arrows';
 import Bars from './bars';
 import Grid from './grid';
 import Popup from './popup';
+import Selection from './selection';
+import TaskTable from './task_table';
 import Viewport from './viewport';
 
+// With `virtualize: 'auto'`, charts with more visible rows than this only
+// render what is on screen
+const VIRTUALIZE_THRESHOLD = 500;
+// Rows rendered above and below the visible part of a virtualized chart
+const OVERSCAN_ROWS = 10;
+// Options that only affect one layer; changing any other option that is
+// rendered rebuilds the whole chart (see getAffectedLayers)
+const LAYER_OPTIONS = {
+    bars: [
+        'arrow_curve', 'bar_corner_radius', 'critical_path', 'popup_on',
+        'readonly', 'readonly_dates', 'readonly_progress',
+    ],
+    table: ['table', 'table_columns', 'table_width'],
+};
+// Options only read while interacting; changing them renders nothing
+const BEHAVIOR_OPTIONS = [
+    'auto_move_label', 'auto_schedule', 'drag_to_reorder', 'history_depth',
+    'long_press_delay', 'move_dependencies', 'scroll_to', 'snap_at',
+];
+
 /**
  * Chart - Visual layer composition and scroll/rendering policy
  *
@@ -29,6 +51,7 @@ export default class Chart {
         this.$container = null;
         this.$svg = null;
         this.$popup_wrapper = null;
+        this.$live_region = null;
         this.$header = null;
         this.$upper_header = null;
         this.$lower_header = null;
@@ -48,6 +71,8 @@ export default class Chart {
         this.bars = null;
         this.arrows = null;
         this.popup = null;
+        this.table = null;
+        this.selection = null;
 
         // Rendered range - what time range is currently rendered in SVG
         this.renderedRange = { start: null, end: null };
@@ -58,6 +83,13 @@ export default class Chart {
 
         // Upper text elements for scroll tracking
         this.upperTexts = [];
+
+        // Last critical path analysis, reapplied to bars entering the render window
+        this.criticalPath = null;
+        // Pending render window update (animation frame id)
+        this._windowFrame = null;
+        // Render every row regardless of virtualization (set while exporting)
+        this.fullRender = false;
     }
 
     /**
@@ -113,6 +145,14 @@ export default class Chart {
             classes: 'popup-wrapper',
             appendTo: this.$container,
         });
+
+        // Screen readers announce committed changes from here
+        this.$live_region = this.createElement({
+            classes: 'gantt-live-region',
+            appendTo: this.$container,
+        });
+        this.$live_region.setAttribute('aria-live', 'polite');
+        this.$live_region.setAttribute('role', 'status');
     }
 
     // =========================================================================
@@ -163,6 +203,7 @@ export default class Chart {
             columnWidth: options.columnWidth,
             stepInterval: options.stepInterval,
             stepUnit: options.stepUnit,
+            timezone: this.gantt.config.timezone,
         });
 
         // Set up grid
@@ -175,6 +216,9 @@ export default class Chart {
         if (!this.arrows) {
             this.arrows = new Arrows(this.gantt);
         }
+        if (!this.selection) {
+            this.selection = new Selection(this.gantt);
+        }
     }
 
     /**
@@ -184,10 +228,11 @@ export default class Chart {
     computeRenderedRange(taskExtent) {
         const { interval, unit, columnWidth } = this._stepConfig;
         const extendByUnits = this.gantt.config.extend_by_units || 2;
+        const timezone = this.gantt.config.timezone;
 
         // Start a bit before the earliest task
-        const ganttStart = floor(taskExtent.earliestStart, unit);
-        this.renderedRange.start = add(ganttStart, -extendByUnits, unit);
+        const ganttStart = floor(taskExtent.earliestStart, unit, timezone);
+        this.renderedRange.start = add(ganttStart, -extendByUnits, unit, timezone);
 
         // Compute end to fill container
         const containerWidth = this.$container?.clientWidth || 0;
@@ -195,17 +240,17 @@ export default class Chart {
             ? Math.ceil(containerWidth / columnWidth) + 1
             : 30;
         const rangeWidth = columnsNeeded * interval;
-        this.renderedRange.end = add(this.renderedRange.start, rangeWidth, unit);
+        this.renderedRange.end = add(this.renderedRange.start, rangeWidth, unit, timezone);
 
         // Ensure today is in range if today_button is enabled
         if (this.gantt.options.today_button) {
             const today = Temporal.Now.instant();
-            const bufferDate = add(today, columnsNeeded * interval, unit);
+            const bufferDate = add(today, columnsNeeded * interval, unit, timezone);
             if (Temporal.Instant.compare(bufferDate, this.renderedRange.end) > 0) {
                 this.renderedRange.end = bufferDate;
             }
             if (Temporal.Instant.compare(today, this.renderedRange.start) < 0) {
-                this.renderedRange.start = floor(today, unit);
+                this.renderedRange.start = floor(today, unit, timezone);
             }
         }
     }
@@ -217,6 +262,7 @@ export default class Chart {
      * @param {number} options.columnWidth - Pixels per step
      * @param {number} options.stepInterval - Number of units per step
      * @param {string} options.stepUnit - Unit type (day, hour, etc.)
+     * @param {string} options.timezone - Timezone whose wall clock columns follow
      */
     setupViewport(options) {
         if (this.viewport) {
@@ -224,7 +270,8 @@ export default class Chart {
             this.viewport.setScale(
                 options.columnWidth,
                 options.stepInterval,
-                options.stepUnit
+                options.stepUnit,
+                options.timezone
             );
             this.viewport.setOrigin(options.origin);
         } else {
@@ -284,14 +331,15 @@ export default class Chart {
         }
 
         // Resolve absolute bounds now; relative bounds will be resolved later
+        const timezone = this.gantt.config.timezone;
         if (this._boundsConfig.min !== undefined) {
             if (!this._isRelativeBound(this._boundsConfig.min)) {
-                this.bounds.min = ensureInstant(this._boundsConfig.min);
+                this.bounds.min = ensureInstant(this._boundsConfig.min, timezone);
             }
         }
         if (this._boundsConfig.max !== undefined) {
             if (!this._isRelativeBound(this._boundsConfig.max)) {
-                this.bounds.max = ensureInstant(this._boundsConfig.max);
+                this.bounds.max = ensureInstant(this._boundsConfig.max, timezone);
             }
         }
     }
@@ -322,11 +370,12 @@ export default class Chart {
     updateBoundsFromTaskExtent(earliestStart, latestEnd) {
         if (!this._boundsConfig) return;
 
+        const timezone = this.gantt.config.timezone;
         if (this._isRelativeBound(this._boundsConfig.min)) {
-            this.bounds.min = applyRelativeOffset(this._boundsConfig.min, earliestStart);
+            this.bounds.min = applyRelativeOffset(this._boundsConfig.min, earliestStart, timezone);
         }
         if (this._isRelativeBound(this._boundsConfig.max)) {
-            this.bounds.max = applyRelativeOffset(this._boundsConfig.max, latestEnd);
+            this.bounds.max = applyRelativeOffset(this._boundsConfig.max, latestEnd, timezone);
         }
     }
 
@@ -363,8 +412,9 @@ export default class Chart {
      * @param {Temporal.Instant|string} end
      */
     setRenderedRange(start, end) {
-        this.renderedRange.start = ensureInstant(start);
-        this.renderedRange.end = ensureInstant(end);
+        const timezone = this.gantt.config.timezone;
+        this.renderedRange.start = ensureInstant(start, timezone);
+        this.renderedRange.end = ensureInstant(end, timezone);
     }
 
     /**
@@ -374,12 +424,13 @@ export default class Chart {
      * @param {string} unit - Time unit (day, hour, etc.)
      */
     extendRenderedRange(direction, amount, unit) {
+        const timezone = this.gantt.config.timezone;
         if (direction === 'past') {
             // Extend into the past
             if (this.bounds.min !== undefined) {
-                this.bounds.min = add(this.bounds.min, -amount, unit);
+                this.bounds.min = add(this.bounds.min, -amount, unit, timezone);
             }
-            this.renderedRange.start = add(this.renderedRange.start, -amount, unit);
+            this.renderedRange.start = add(this.renderedRange.start, -amount, unit, timezone);
             // Update viewport origin to match new start
             if (this.viewport) {
                 this.viewport.setOrigin(this.renderedRange.start);
@@ -387,9 +438,9 @@ export default class Chart {
         } else if (direction === 'future') {
             // Extend into the future
             if (this.bounds.max !== undefined) {
-                this.bounds.max = add(this.bounds.max, amount, unit);
+                this.bounds.max = add(this.bounds.max, amount, unit, timezone);
             }
-            this.renderedRange.end = add(this.renderedRange.end, amount, unit);
+            this.renderedRange.end = add(this.renderedRange.end, amount, unit, timezone);
         }
     }
 
@@ -422,6 +473,11 @@ export default class Chart {
             });
         }
 
+        // Bars describe their tasks themselves; the rest is decoration
+        this.layers.grid.setAttribute('aria-hidden', 'true');
+        this.layers.arrow.setAttribute('aria-hidden', 'true');
+        $.attr(this.layers.bar, { role: 'group', 'aria-label': 'Tasks' });
+
         this.$extras = this.createElement({
             classes: 'extras',
             appendTo: this.$container,
@@ -471,9 +527,209 @@ export default class Chart {
 
         // Render arrows
         this.arrows.render(this.layers.arrow);
+        this.highlightCriticalPath();
+        this.selection.sync();
 
         // Update dimensions
         this.setDimensions();
+
+        // Task table pane
+        this.setupTable();
+        this.table?.render();
+    }
+
+    /**
+     * Bring the rendered chart in line with the tasks after tasks were
+     * added, removed or changed. Only the rows, bars, arrows and table rows
+     * that differ are touched, so the rest keep their DOM (and hover state).
+     * @param {Iterable<string>} [changedIds] - Tasks whose details changed
+     */
+    update(changedIds = []) {
+        // Nothing rendered yet to patch
+        if (!this.layers.bar?.isConnected) {
+            this.gantt.render(true);
+            return;
+        }
+
+        // Its task may be gone or have moved
+        this.popup?.hide?.();
+
+        this.grid.updateRows();
+        const redrawn = this.bars.sync(changedIds);
+        const changed = [...changedIds, ...redrawn];
+        this.arrows.sync(changed);
+        this.highlightCriticalPath();
+        this.selection.sync();
+        this.setDimensions();
+        this.table?.update(changed);
+    }
+
+    /**
+     * Layers affected by changing the given options
+     * @param {string[]} keys - Names of the changed options
+     * @returns {string[]|null} Layers to re-render ('bars', 'table'), or
+     *   null if the whole chart has to be rebuilt
+     */
+    getAffectedLayers(keys) {
+        const layers = new Set();
+        for (const key of keys) {
+            if (BEHAVIOR_OPTIONS.includes(key) || key.startsWith('on_')) continue;
+
+            const layer = Object.keys(LAYER_OPTIONS).find((name) => LAYER_OPTIONS[name].includes(key));
+            if (!layer) return null;
+            layers.add(layer);
+        }
+        return [...layers];
+    }
+
+    /**
+     * Re-render some layers, leaving the rest of the chart as it is
+     * @param {string[]} layers - Result of getAffectedLayers()
+     */
+    renderLayers(layers) {
+        if (layers.includes('bars')) {
+            this.popup?.hide?.();
+            this.bars.render(this.layers.bar);
+            this.arrows.render(this.layers.arrow);
+            this.highlightCriticalPath();
+            this.selection.mark();
+        }
+        if (layers.includes('table')) {
+            this.setupTable();
+            this.table?.render();
+        }
+    }
+
+    /**
+     * Add or remove the task table pane to follow the `table` option
+     */
+    setupTable() {
+        if (this.gantt.options.table && !this.table) {
+            this.table = new TaskTable(this.gantt, this.$container);
+        } else if (!this.gantt.options.table && this.table) {
+            this.table.destroy();
+            this.table = null;
+        }
+    }
+
+    /**
+     * Mark bars and arrows on the critical path (`critical_path` option)
+     */
+    highlightCriticalPath() {
+        if (!this.gantt.options.critical_path) return;
+
+        this.criticalPath = this.gantt.scheduler.getCriticalPath();
+        this._markCriticalPath();
+    }
+
+    /**
+     * Apply the last critical path analysis to the bars and arrows in the DOM
+     * @private
+     */
+    _markCriticalPath() {
+        if (!this.gantt.options.critical_path || !this.criticalPath) return;
+
+        const { schedule, links } = this.criticalPath;
+
+        for (const bar of this.bars.getAll()) {
+            bar.group.classList.toggle('critical', !!schedule.get(bar.task.uid)?.critical);
+        }
+        for (const arrow of this.arrows.getAll()) {
+            const critical = links.some(
+                ({ from, to }) => from === arrow.from_task.task.uid && to === arrow.to_task.task.uid,
+            );
+            arrow.element.classList.toggle('critical', critical);
+        }
+    }
+
+    // =========================================================================
+    // VIRTUALIZATION
+    // =========================================================================
+
+    /**
+     * Whether only the on-screen part of the chart is rendered
+     * (`virtualize` option)
+     * @returns {boolean}
+     */
+    isVirtualized() {
+        const virtualize = this.gantt.options.virtualize;
+        if (virtualize === 'auto') {
+            return this.gantt.tasks.getVisible().length > VIRTUALIZE_THRESHOLD;
+        }
+        return !!virtualize;
+    }
+
+    /**
+     * Area of the SVG to render: the part on screen (inside both the
+     * container and the browser window) plus overscan
+     * @returns {{top: number, bottom: number, left: number, right: number}|null}
+     *   SVG coordinates, or null to render everything
+     */
+    getRenderWindow() {
+        if (this.fullRender || !this.isVirtualized()) return null;
+
+        const box = this.$container.getBoundingClientRect();
+        // Not laid out (e.g. hidden): nothing to measure against
+        if (!box.width || !box.height) return null;
+
+        const svgBox = this.$svg.getBoundingClientRect();
+        const top = Math.max(box.top, 0);
+        const bottom = Math.min(box.bottom, window.innerHeight);
+        const left = Math.max(box.left, 0);
+        const right = Math.min(box.right, window.innerWidth);
+
+        const overscanY = OVERSCAN_ROWS * (this.gantt.options.bar_height + this.gantt.options.padding);
+        const overscanX = box.width / 2;
+
+        return {
+            top: top - svgBox.top - overscanY,
+            bottom: bottom - svgBox.top + overscanY,
+            left: left - svgBox.left - overscanX,
+            right: right - svgBox.left + overscanX,
+        };
+    }
+
+    /**
+     * Rows that intersect a render window
+     * @param {Object|null} win - Result of getRenderWindow()
+     * @param {number} [count] - Number of rows (defaults to the visible tasks)
+     * @returns {[number, number]} First row and the row after the last
+     */
+    getRowRange(win, count = this.gantt.tasks.getVisible().length) {
+        if (!win) return [0, count];
+
+        const rowHeight = this.gantt.options.bar_height + this.gantt.options.padding;
+        const headerHeight = this.gantt.config.header_height;
+        const from = Math.max(0, Math.floor((win.top - headerHeight) / rowHeight));
+        const to = Math.min(count, Math.ceil((win.bottom - headerHeight) / rowHeight));
+        return [from, Math.max(from, to)];
+    }
+
+    /**
+     * Bring the rendered rows, bars and arrows in line with the render
+     * window (after scrolling or resizing a virtualized chart)
+     */
+    updateRenderWindow() {
+        if (!this.isVirtualized() || !this.viewport) return;
+
+        this.grid.renderRowWindow();
+        this.bars.updateWindow();
+        this.arrows.updateWindow();
+        this._markCriticalPath();
+        this.selection.mark();
+    }
+
+    /**
+     * Update the render window once per animation frame
+     * @private
+     */
+    _scheduleRenderWindow() {
+        if (this._windowFrame || !this.isVirtualized()) return;
+
+        this._windowFrame = requestAnimationFrame(() => {
+            this._windowFrame = null;
+            this.updateRenderWindow();
+        });
     }
 
     /**
@@ -504,6 +760,17 @@ export default class Chart {
         }
     }
 
+    /**
+     * Position of a pointer event in SVG coordinates, whichever element
+     * the event targets
+     * @param {PointerEvent|MouseEvent} e
+     * @returns {{x: number, y: number}}
+     */
+    getSVGPoint(e) {
+        const rect = this.$svg.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    }
+
     /**
      * Set scroll position to a specific date
      * @param {string|Temporal.Instant} date - Date to scroll to
@@ -523,11 +790,9 @@ export default class Chart {
             date = this.renderedRange.end;
         } else if (date === 'today') {
             return this.scrollToNow();
-        } else if (typeof date === 'string') {
-            date = parseInstant(date);
         }
 
-        const scroll_pos = this.viewport.dateToX(ensureInstant(date));
+        const scroll_pos = this.viewport.dateToX(ensureInstant(date, gantt.config.timezone));
 
         this.$container.scrollTo({
             left: scroll_pos - gantt.config.step.column_width / 6,
@@ -553,6 +818,7 @@ export default class Chart {
             current_date,
             null,
             gantt.options.language,
+            gantt.config.timezone,
         );
 
         let $el = this.upperTexts.find(
@@ -567,6 +833,7 @@ export default class Chart {
                 next_date,
                 null,
                 gantt.options.language,
+                gantt.config.timezone,
             );
             $el = this.upperTexts.find((el) => el.textContent === current_upper);
         }
@@ -600,19 +867,20 @@ export default class Chart {
      * @returns {[number, number, number]}
      */
     getStartEndPositions() {
-        const bars = this.bars.getAll();
-        if (!bars.length) return [0, 0, 0];
-
-        let { x, width } = bars[0].group.getBBox();
-        let min_start = x;
-        let max_start = x;
-        let max_end = x + width;
-
-        for (const bar of bars) {
-            const bbox = bar.group.getBBox();
-            if (bbox.x < min_start) min_start = bbox.x;
-            if (bbox.x > max_start) max_start = bbox.x;
-            if (bbox.x + bbox.width > max_end) max_end = bbox.x + bbox.width;
+        // From the task dates, as a virtualized chart has no bars off screen
+        const tasks = this.gantt.tasks.getVisible();
+        if (!tasks.length) return [0, 0, 0];
+
+        let min_start = Infinity;
+        let max_start = -Infinity;
+        let max_end = -Infinity;
+
+        for (const task of tasks) {
+            const start = this.viewport.dateToX(task.start);
+            const end = this.viewport.dateToX(task.end);
+            if (start < min_start) min_start = start;
+            if (start > max_start) max_start = start;
+            if (end > max_end) max_end = end;
         }
 
         return [min_start, max_start, max_end];
@@ -647,6 +915,8 @@ export default class Chart {
      * Unselect all elements
      */
     unselectAll() {
+        this.arrows?.select(null);
+        this.selection?.clear();
         if (this.popup) {
             this.popup.parent.classList.add('hide');
         }
@@ -670,6 +940,35 @@ export default class Chart {
         );
     }
 
+    /**
+     * Announce a message to screen readers
+     * @param {string} message
+     */
+    announce(message) {
+        this.$live_region.textContent = message;
+    }
+
+    /**
+     * Bind Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS) while the chart has focus
+     * @param {{undo: Function, redo: Function}} handlers
+     */
+    bindHistoryKeys({ undo, redo }) {
+        // Focusable so clicking the chart lets it receive key events
+        if (!this.$container.hasAttribute('tabindex')) {
+            this.$container.setAttribute('tabindex', '0');
+        }
+
+        $.on(this.$container, 'keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+            // Leave undo in form fields (e.g. inside the popup) alone
+            if (e.target.closest?.('input, textarea, select, [contenteditable]')) return;
+
+            e.preventDefault();
+            if (e.shiftKey) redo();
+            else undo();
+        });
+    }
+
     /**
      * Bind infinite scroll behavior
      * Extends the rendered range when scrolling near edges
@@ -724,7 +1023,14 @@ export default class Chart {
         const gantt = this.gantt;
         let lastScrollLeft = 0;
 
+        // A virtualized chart follows the page too, as the container may
+        // be taller than the window
+        window.addEventListener('scroll', () => this._scheduleRenderWindow(), { passive: true });
+        window.addEventListener('resize', () => this._scheduleRenderWindow());
+
         $.on(this.$container, 'scroll', (e) => {
+            this._scheduleRenderWindow();
+
             const scrollLeft = e.currentTarget.scrollLeft;
             const dx = scrollLeft - lastScrollLeft;
 
@@ -734,6 +1040,7 @@ export default class Chart {
                 currentDate,
                 null,
                 gantt.options.language,
+                gantt.config.timezone,
             );
             let $el = this.upperTexts.find((el) => el.textContent === currentUpper);
 
@@ -743,6 +1050,7 @@ export default class Chart {
                     nextDate,
                     null,
                     gantt.options.language,
+                    gantt.config.timezone,
                 );
                 $el = this.upperTexts.find((el) => el.textContent === currentUpper);
             }
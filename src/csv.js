@@ -0,0 +1,366 @@
+/**
+ * CSV import and export of task specs
+ *
+ * Rows are task specs (see Tasks.load / Tasks.export) and columns their
+ * fields, mapped to column headers by the `columns` option. Fields are
+ * quoted as RFC 4180 has it, so they may hold the delimiter, quotes and
+ * line breaks. Dates are read and written in the given date order and
+ * separators; dependencies are written as "id", "id SS" or "id FS+2d".
+ *
+ * Purely data - no visual/DOM awareness.
+ */
+import { DEPENDENCY_TYPES } from './tasks';
+import {
+    DEFAULT_TIMEZONE,
+    add,
+    ensureInstant,
+    format,
+    isDurationString,
+    isLagString,
+    isMidnight,
+    parseInstant,
+    toPlainDateTime,
+    toSpecDate,
+    Temporal,
+} from './temporal_utils';
+
+// Order of the spec fields when no columns are given; custom fields follow
+const DEFAULT_COLUMNS = [
+    'id', 'name', 'type', 'start', 'end', 'duration', 'progress',
+    'dependencies', 'parent', 'collapsed',
+    'custom_class', 'color', 'color_progress', 'thumbnail',
+];
+
+const DATE_FIELDS = ['start', 'end'];
+
+// Date orders and the positions of year, month and day in each
+const DATE_ORDERS = { YMD: [0, 1, 2], DMY: [2, 1, 0], MDY: [2, 0, 1] };
+
+// A dependency cell entry: id, optional type and optional signed lag. A lag
+// needs a type or a space before it, so IDs like "task-1" are read whole.
+const DEPENDENCY_REGEX = new RegExp(
+    `^(.+?)(?:(?:\\s+(${DEPENDENCY_TYPES.join('|')})|\\s+(?=[+-]))(?:\\s*([+-])\\s*(\\d.*))?)?$`,
+    'i',
+);
+
+/**
+ * Resolve the options shared by parse and serialize
+ * @private
+ */
+function resolveOptions({
+    columns,
+    delimiter = ',',
+    dateOrder = 'YMD',
+    dateSeparator = '-',
+    timeSeparator = ':',
+    timezone = DEFAULT_TIMEZONE,
+} = {}) {
+    if (!DATE_ORDERS[dateOrder]) {
+        console.warn(`unknown date order "${dateOrder}"; using YMD`);
+        dateOrder = 'YMD';
+    }
+    return { columns, delimiter, dateOrder, dateSeparator, timeSeparator, timezone };
+}
+
+// =========================================================================
+// PARSE
+// =========================================================================
+
+/**
+ * Read CSV into task specs. The first record is the header.
+ * @param {string} text - CSV document
+ * @param {Object} [options]
+ * @param {Object<string, string>} [options.columns] - Column header of each
+ *   field, e.g. `{ name: 'Task', start: 'Begin', owner: 'Assignee' }`; fields
+ *   that aren't spec keys become custom fields. Without it every column is
+ *   read into the field its header names (spec keys match case-insensitively).
+ * @param {string} [options.delimiter=','] - Field delimiter, e.g. ';'
+ * @param {string} [options.dateOrder='YMD'] - 'YMD', 'DMY' or 'MDY'
+ * @param {string} [options.dateSeparator='-'] - Separator of date parts
+ * @param {string|RegExp} [options.timeSeparator=':'] - Separator of time parts
+ * @param {string} [options.timezone='UTC'] - Timezone of the dates
+ * @returns {{tasks: Object[], rows: number[], errors: Array<{row: number, message: string}>}}
+ *   Task specs, the line each of them starts on, and the rows that were
+ *   rejected with why
+ */
+export function parseCSV(text, options) {
+    const settings = resolveOptions(options);
+    const errors = [];
+    const records = readRecords(text, settings.delimiter, errors);
+    if (!records.length) return { tasks: [], rows: [], errors };
+
+    const [{ cells: headers }, ...body] = records;
+    const fields = mapHeaders(headers.map((header) => header.trim()), settings.columns, errors);
+
+    const tasks = [];
+    const rows = [];
+    for (const { row, cells } of body) {
+        if (cells.every((cell) => !cell.trim())) continue;
+
+        const spec = {};
+        let error = null;
+        fields.forEach((columnFields, i) => {
+            const cell = (cells[i] ?? '').trim();
+            if (!cell) return;
+
+            for (const field of columnFields) {
+                if (error) return;
+                try {
+                    spec[field] = readCell(field, cell, settings);
+                } catch (e) {
+                    error = e.message;
+                }
+            }
+        });
+
+        if (error) errors.push({ row, message: error });
+        else {
+            tasks.push(spec);
+            rows.push(row);
+        }
+    }
+    return { tasks, rows, errors };
+}
+
+/**
+ * Split CSV into records of fields (RFC 4180), noting the line each
+ * record starts on
+ * @private
+ */
+function readRecords(text, delimiter, errors) {
+    const records = [];
+    let cells = [];
+    let cell = '';
+    let quoted = false;
+    let line = 1;
+    let row = 1;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                cell += char;
+            }
+        } else if (char === '"' && !cell.trim()) {
+            quoted = true;
+            cell = '';
+        } else if (char === delimiter) {
+            cells.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            cells.push(cell);
+            records.push({ row, cells });
+            cells = [];
+            cell = '';
+            row = ++line;
+        } else {
+            cell += char;
+        }
+    }
+
+    if (quoted) errors.push({ row, message: 'quoted field is never closed' });
+    if (cell || cells.length) {
+        cells.push(cell);
+        records.push({ row, cells });
+    }
+    return records.filter((record) => record.cells.length > 1 || record.cells[0]);
+}
+
+/**
+ * The fields each column is read into; one column may feed several
+ * fields (e.g. a name that is also the id)
+ * @private
+ */
+function mapHeaders(headers, columns, errors) {
+    if (!columns) {
+        return headers.map((header) => {
+            const field = DEFAULT_COLUMNS.find((key) => key === header.toLowerCase()) ?? header;
+            return field ? [field] : [];
+        });
+    }
+
+    const fields = headers.map((header) =>
+        Object.keys(columns).filter((field) => columns[field].toLowerCase() === header.toLowerCase()),
+    );
+    for (const [field, header] of Object.entries(columns)) {
+        if (!fields.some((columnFields) => columnFields.includes(field))) {
+            errors.push({ row: 1, message: `column "${header}" (${field}) is missing` });
+        }
+    }
+    return fields;
+}
+
+/**
+ * Convert a cell to its spec value; throws with the reason if it can't be
+ * @private
+ */
+function readCell(field, cell, settings) {
+    if (DATE_FIELDS.includes(field)) return readDate(cell, settings, field);
+
+    switch (field) {
+        case 'progress': {
+            const progress = Number(cell.replace(/%$/, '').trim());
+            if (Number.isNaN(progress)) throw new Error(`invalid progress "${cell}"`);
+            return progress;
+        }
+        case 'duration':
+            if (!isDurationString(cell)) throw new Error(`invalid duration "${cell}"`);
+            return cell;
+        case 'dependencies':
+            return readDependencies(cell);
+        case 'collapsed':
+            return /^(true|yes|1)$/i.test(cell);
+        default:
+            return cell;
+    }
+}
+
+/**
+ * A date cell as a task spec date ("2024-03-15" or "2024-03-15 09:30")
+ * @private
+ */
+function readDate(cell, { dateOrder, dateSeparator, timeSeparator, timezone }, field) {
+    const [date, time] = cell.split(/\s+/, 2);
+    const parts = date.split(dateSeparator);
+    const [year, month, day] = DATE_ORDERS[dateOrder].map((position) => parts[position]);
+
+    let instant;
+    try {
+        // Reject dates Temporal would otherwise clamp, like a 13th month
+        if (parts.length === 3 && [year, month, day].every((part) => /^\d+$/.test(part))) {
+            Temporal.PlainDate.from({ year: +year, month: +month, day: +day }, { overflow: 'reject' });
+        } else if (dateOrder !== 'YMD') {
+            throw new RangeError();
+        }
+        const ordered = dateOrder === 'YMD' ? cell : [year, month, day].join(dateSeparator) + (time ? ` ${time}` : '');
+        instant = parseInstant(ordered, dateSeparator, timeSeparator, timezone);
+    } catch {
+        throw new Error(`invalid ${field} date "${cell}"`);
+    }
+
+    return toSpecDate(toPlainDateTime(instant, timezone));
+}
+
+/**
+ * A dependency cell ("a, b SS, c FS+2d") as spec dependencies
+ * @private
+ */
+function readDependencies(cell) {
+    const dependencies = cell.split(',').map((entry) => entry.trim()).filter(Boolean).map((entry) => {
+        const [, id, type, sign, lag] = DEPENDENCY_REGEX.exec(entry);
+        if (!type && !lag) return id;
+
+        const dependency = { id, type: (type ?? 'FS').toUpperCase() };
+        if (lag) {
+            // The sign applies to every part of the lag
+            dependency.lag = lag.trim().split(/\s+/).map((part) => (sign === '-' ? '-' : '') + part).join(' ');
+            if (!isLagString(dependency.lag)) throw new Error(`invalid lag in dependency "${entry}"`);
+        }
+        return dependency;
+    });
+
+    return dependencies.every((dependency) => typeof dependency === 'string')
+        ? dependencies.join(', ')
+        : dependencies;
+}
+
+// =========================================================================
+// SERIALIZE
+// =========================================================================
+
+/**
+ * Write task specs as CSV, with a header record
+ * @param {Object[]} specs - Task specs, e.g. from Tasks.export
+ * @param {Object} [options] - As for parseCSV. Without `columns`, every
+ *   field any task has is written, spec keys first, under its own name.
+ * @returns {string} CSV document (CRLF line breaks)
+ */
+export function serializeCSV(specs, options) {
+    const settings = resolveOptions(options);
+    const columns = settings.columns ?? defaultColumns(specs);
+    const fields = Object.keys(columns);
+    const quote = (value) => quoteCell(value, settings.delimiter);
+
+    const lines = [fields.map((field) => quote(columns[field])).join(settings.delimiter)];
+    for (const spec of specs) {
+        lines.push(
+            fields.map((field) => quote(writeCell(field, spec[field], settings))).join(settings.delimiter),
+        );
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Every field used by the specs, each under its own name
+ * @private
+ */
+function defaultColumns(specs) {
+    const used = new Set(specs.flatMap((spec) => Object.keys(spec)));
+    const fields = [
+        ...DEFAULT_COLUMNS.filter((field) => used.has(field)),
+        ...[...used].filter((field) => !DEFAULT_COLUMNS.includes(field)),
+    ];
+    return Object.fromEntries(fields.map((field) => [field, field]));
+}
+
+/**
+ * A spec value as cell text
+ * @private
+ */
+function writeCell(field, value, settings) {
+    if (value === undefined || value === null) return '';
+    if (DATE_FIELDS.includes(field)) return writeDate(field, value, settings);
+
+    if (field === 'dependencies') {
+        if (typeof value === 'string') return value;
+        return value.map((dependency) => {
+            if (typeof dependency !== 'object') return `${dependency}`;
+
+            const type = dependency.type ?? 'FS';
+            let text = dependency.id + (type !== 'FS' || dependency.lag ? ` ${type}` : '');
+            if (dependency.lag) {
+                // "-1d -4h" is written "-1d 4h": the sign covers the whole lag
+                const negative = dependency.lag.trim().startsWith('-');
+                text += (negative ? '-' : '+') + dependency.lag.replaceAll('-', '');
+            }
+            return text;
+        }).join(', ');
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : `${value}`;
+}
+
+/**
+ * A spec date in the date order and separators of the options. Ends at
+ * midnight that weren't given as a bare date are written as the day
+ * before, which reads back as lasting that whole day.
+ * @private
+ */
+function writeDate(field, value, { dateOrder, dateSeparator, timeSeparator, timezone }) {
+    let instant = ensureInstant(value, timezone);
+    const pdt = toPlainDateTime(instant, timezone);
+    const midnight = isMidnight(pdt);
+    const bareDate = typeof value === 'string' && /^\d+\D\d+\D\d+$/.test(value.trim());
+    if (field === 'end' && midnight && !bareDate) {
+        instant = add(instant, -1, 'day', timezone);
+    }
+
+    const tokens = { Y: 'YYYY', M: 'MM', D: 'DD' };
+    let pattern = [...dateOrder].map((part) => tokens[part]).join(dateSeparator);
+    if (!midnight) {
+        const separator = typeof timeSeparator === 'string' ? timeSeparator : ':';
+        pattern += ` HH${separator}mm` + (pdt.second ? `${separator}ss` : '');
+    }
+    return format(instant, pattern, 'en', timezone);
+}
+
+function quoteCell(text, delimiter) {
+    const needsQuotes = text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim();
+    return needsQuotes ? `"${text.replaceAll('"', '""')}"` : text;
+}
@@ -1,18 +1,18 @@
 import { toPlainDateTime, ensureInstant, add, format, formatDatetime, formatDuration } from './temporal_utils';
 
-function getDecade(instant) {
-    const pdt = toPlainDateTime(ensureInstant(instant));
+function getDecade(instant, timezone) {
+    const pdt = toPlainDateTime(ensureInstant(instant), timezone);
     const year = pdt.year;
     return year - (year % 10) + '';
 }
 
-function formatWeek(instant, lastInstant, lang) {
-    const pdt = toPlainDateTime(ensureInstant(instant));
-    let endOfWeek = add(instant, 6, 'day');
-    const endPdt = toPlainDateTime(endOfWeek);
+function formatWeek(instant, lastInstant, lang, timezone) {
+    const pdt = toPlainDateTime(ensureInstant(instant), timezone);
+    let endOfWeek = add(instant, 6, 'day', timezone);
+    const endPdt = toPlainDateTime(endOfWeek, timezone);
     let endFormat = endPdt.month !== pdt.month ? 'D MMM' : 'D';
-    let beginFormat = !lastInstant || toPlainDateTime(ensureInstant(lastInstant)).month !== pdt.month ? 'D MMM' : 'D';
-    return `${format(instant, beginFormat, lang)} - ${format(endOfWeek, endFormat, lang)}`;
+    let beginFormat = !lastInstant || toPlainDateTime(ensureInstant(lastInstant), timezone).month !== pdt.month ? 'D MMM' : 'D';
+    return `${format(instant, beginFormat, lang, timezone)} - ${format(endOfWeek, endFormat, lang, timezone)}`;
 }
 
 const DEFAULT_VIEW_MODES = [
@@ -21,11 +21,11 @@ const DEFAULT_VIEW_MODES = [
         step: '1h',
         date_format: 'YYYY-MM-DD HH:',
         lower_text: 'HH',
-        upper_text: (instant, lastInstant, lang) => {
-            const pdt = toPlainDateTime(ensureInstant(instant));
-            const lastPdt = lastInstant ? toPlainDateTime(ensureInstant(lastInstant)) : null;
+        upper_text: (instant, lastInstant, lang, timezone) => {
+            const pdt = toPlainDateTime(ensureInstant(instant), timezone);
+            const lastPdt = lastInstant ? toPlainDateTime(ensureInstant(lastInstant), timezone) : null;
             return !lastPdt || pdt.day !== lastPdt.day
-                ? format(instant, 'D MMMM', lang)
+                ? format(instant, 'D MMMM', lang, timezone)
                 : '';
         },
         upper_text_frequency: 24,
@@ -35,11 +35,11 @@ const DEFAULT_VIEW_MODES = [
         step: '6h',
         date_format: 'YYYY-MM-DD HH:',
         lower_text: 'HH',
-        upper_text: (instant, lastInstant, lang) => {
-            const pdt = toPlainDateTime(ensureInstant(instant));
-            const lastPdt = lastInstant ? toPlainDateTime(ensureInstant(lastInstant)) : null;
+        upper_text: (instant, lastInstant, lang, timezone) => {
+            const pdt = toPlainDateTime(ensureInstant(instant), timezone);
+            const lastPdt = lastInstant ? toPlainDateTime(ensureInstant(lastInstant), timezone) : null;
             return !lastPdt || pdt.day !== lastPdt.day
-                ? format(instant, 'D MMM', lang)
+                ? format(instant, 'D MMM', lang, timezone)
                 : '';
         },
         upper_text_frequency: 4,
@@ -49,13 +49,13 @@ const DEFAULT_VIEW_MODES = [
         step: '12h',
         date_format: 'YYYY-MM-DD HH:',
         lower_text: 'HH',
-        upper_text: (instant, lastInstant, lang) => {
-            const pdt = toPlainDateTime(ensureInstant(instant));
-            const lastPdt = lastInstant ? toPlainDateTime(ensureInstant(lastInstant)) : null;
+        upper_text: (instant, lastInstant, lang, timezone) => {
+            const pdt = toPlainDateTime(ensureInstant(instant), timezone);
+            const lastPdt = lastInstant ? toPlainDateTime(ensureInstant(lastInstant), timezone) : null;
             return !lastPdt || pdt.day !== lastPdt.day
                 ? !lastPdt || pdt.month !== lastPdt.month
-                    ? format(instant, 'D MMM', lang)
-                    : format(instant, 'D', lang)
+                    ? format(instant, 'D MMM', lang, timezone)
+                    : format(instant, 'D', lang, timezone)
                 : '';
         },
         upper_text_frequency: 2,
@@ -64,22 +64,22 @@ const DEFAULT_VIEW_MODES = [
         name: 'Day',
         step: '1d',
         date_format: 'YYYY-MM-DD',
-        lower_text: (instant, lastInstant, lang) => {
-            const pdt = toPlainDateTime(ensureInstant(instant));
-            const lastPdt = lastInstant ? toPlainDateTime(ensureInstant(lastInstant)) : null;
+        lower_text: (instant, lastInstant, lang, timezone) => {
+            const pdt = toPlainDateTime(ensureInstant(instant), timezone);
+            const lastPdt = lastInstant ? toPlainDateTime(ensureInstant(lastInstant), timezone) : null;
             return !lastPdt || pdt.day !== lastPdt.day
-                ? format(instant, 'D', lang)
+                ? format(instant, 'D', lang, timezone)
                 : '';
         },
-        upper_text: (instant, lastInstant, lang) => {
-            const pdt = toPlainDateTime(ensureInstant(instant));
-            const lastPdt = lastInstant ? toPlainDateTime(ensureInstant(lastInstant)) : null;
+        upper_text: (instant, lastInstant, lang, timezone) => {
+            const pdt = toPlainDateTime(ensureInstant(instant), timezone);
+            const lastPdt = lastInstant ? toPlainDateTime(ensureInstant(lastInstant), timezone) : null;
             return !lastPdt || pdt.month !== lastPdt.month
-                ? format(instant, 'MMMM', lang)
+                ? format(instant, 'MMMM', lang, timezone)
                 : '';
         },
-        thick_line: (instant) => {
-            const pdt = toPlainDateTime(ensureInstant(instant));
+        thick_line: (instant, timezone) => {
+            const pdt = toPlainDateTime(ensureInstant(instant), timezone);
             return pdt.dayOfWeek === 1; // Monday
         },
     },
@@ -89,15 +89,15 @@ const DEFAULT_VIEW_MODES = [
         date_format: 'YYYY-MM-DD',
         column_width: 140,
         lower_text: formatWeek,
-        upper_text: (instant, lastInstant, lang) => {
-            const pdt = toPlainDateTime(ensureInstant(instant));
-            const lastPdt = lastInstant ? toPlainDateTime(ensureInstant(lastInstant)) : null;
+        upper_text: (instant, lastInstant, lang, timezone) => {
+            const pdt = toPlainDateTime(ensureInstant(instant), timezone);
+            const lastPdt = lastInstant ? toPlainDateTime(ensureInstant(lastInstant), timezone) : null;
             return !lastPdt || pdt.month !== lastPdt.month
-                ? format(instant, 'MMMM', lang)
+                ? format(instant, 'MMMM', lang, timezone)
                 : '';
         },
-        thick_line: (instant) => {
-            const pdt = toPlainDateTime(ensureInstant(instant));
+        thick_line: (instant, timezone) => {
+            const pdt = toPlainDateTime(ensureInstant(instant), timezone);
             return pdt.day >= 1 && pdt.day <= 7;
         },
         upper_text_frequency: 4,
@@ -108,15 +108,15 @@ const DEFAULT_VIEW_MODES = [
         column_width: 120,
         date_format: 'YYYY-MM',
         lower_text: 'MMMM',
-        upper_text: (instant, lastInstant, lang) => {
-            const pdt = toPlainDateTime(ensureInstant(instant));
-            const lastPdt = lastInstant ? toPlainDateTime(ensureInstant(lastInstant)) : null;
+        upper_text: (instant, lastInstant, lang, timezone) => {
+            const pdt = toPlainDateTime(ensureInstant(instant), timezone);
+            const lastPdt = lastInstant ? toPlainDateTime(ensureInstant(lastInstant), timezone) : null;
             return !lastPdt || pdt.year !== lastPdt.year
-                ? format(instant, 'YYYY', lang)
+                ? format(instant, 'YYYY', lang, timezone)
                 : '';
         },
-        thick_line: (instant) => {
-            const pdt = toPlainDateTime(ensureInstant(instant));
+        thick_line: (instant, timezone) => {
+            const pdt = toPlainDateTime(ensureInstant(instant), timezone);
             return pdt.month % 3 === 0;
         },
         snap_at: '7d',
@@ -126,29 +126,71 @@ const DEFAULT_VIEW_MODES = [
         step: '1y',
         column_width: 120,
         date_format: 'YYYY',
-        upper_text: (instant, lastInstant, _lang) =>
-            !lastInstant || getDecade(instant) !== getDecade(lastInstant) ? getDecade(instant) : '',
+        upper_text: (instant, lastInstant, _lang, timezone) =>
+            !lastInstant || getDecade(instant, timezone) !== getDecade(lastInstant, timezone)
+                ? getDecade(instant, timezone)
+                : '',
         lower_text: 'YYYY',
         snap_at: '30d',
     },
 ];
 
+const DEFAULT_TABLE_COLUMNS = [
+    { field: 'name', header: 'Task', width: 160 },
+    {
+        field: 'start',
+        header: 'Start',
+        width: 90,
+        formatter: (value, task, gantt) =>
+            format(value, 'YYYY-MM-DD', gantt.options.language, gantt.config.timezone),
+    },
+    {
+        field: 'end',
+        header: 'End',
+        width: 90,
+        // Ends are exclusive; show the last day the task runs on
+        formatter: (value, task, gantt) =>
+            format(
+                task.isMilestone() ? value : value.subtract({ nanoseconds: 1 }),
+                'YYYY-MM-DD',
+                gantt.options.language,
+                gantt.config.timezone,
+            ),
+    },
+    {
+        field: 'progress',
+        header: '%',
+        width: 50,
+        formatter: (value) => `${Math.round(value)}%`,
+    },
+];
+
 const DEFAULT_OPTIONS = {
     arrow_curve: 5,
     auto_move_label: false,
+    auto_schedule: false, // true = push successors as far as their links require; 'tight' = also pull them back
     bar_corner_radius: 3,
     bar_height: 30,
+    calendar: null, // working-time calendar: { weekdays: [1, 2, 3, 4, 5], hours: ['09:00', '17:00'], holidays: [] }
     container_height: 'auto',
+    critical_path: false, // highlight tasks and arrows on the critical path
     column_width: null,
     date_format: 'YYYY-MM-DD HH:mm',
+    drag_to_create: false, // draw new tasks by dragging across empty parts of rows
+    drag_to_reorder: false, // move tasks to other rows by dragging bars vertically
     upper_header_height: 45,
     lower_header_height: 30,
     snap_at: null,
+    table: false, // show the task table pane left of the timeline
+    table_columns: DEFAULT_TABLE_COLUMNS, // { field, header, width, formatter(value, task, gantt) }
+    table_width: 300,
     bounds: null, // null = infinite scrolling; use { min: '-2d', max: '+5d' } for relative bounds
+    history_depth: 50, // number of undoable steps, 0 disables undo/redo
     holidays: { 'var(--g-weekend-highlight-color)': 'weekend' },
     ignore: [],
     language: 'en',
     lines: 'both',
+    long_press_delay: 400, // ms a finger must rest on a bar before dragging it (touch only)
     move_dependencies: true,
     padding: 18,
     popup: (ctx) => {
@@ -156,47 +198,65 @@ const DEFAULT_OPTIONS = {
         if (ctx.task.description) ctx.set_subtitle(ctx.task.description);
         else ctx.set_subtitle('');
 
+        const timezone = ctx.chart.config.timezone;
         const start_time = formatDatetime(ctx.task.start, {
             lang: ctx.chart.options.language,
             showMilliseconds: false,
             maxTimeUnits: 3,
+            timezone,
         });
         const end_time = formatDatetime(ctx.task.end, {
             lang: ctx.chart.options.language,
             showMilliseconds: false,
             maxTimeUnits: 3,
+            timezone,
         });
 
         // Calculate precise duration using Temporal Duration
-        const taskEnd = toPlainDateTime(ctx.task.end);
-        const taskStart = toPlainDateTime(ctx.task.start);
+        const taskEnd = toPlainDateTime(ctx.task.end, timezone);
+        const taskStart = toPlainDateTime(ctx.task.start, timezone);
         const precise_duration = formatDuration(
             taskEnd.since(taskStart),
             { showMilliseconds: false, maxUnits: 4 },
         );
 
+        if (ctx.task.isMilestone()) {
+            ctx.set_details(`<strong>Date:</strong> ${start_time}`);
+            return;
+        }
+
         let details = `<strong>Start:</strong> ${start_time}<br/>`;
         details += `<strong>End:</strong> ${end_time}<br/>`;
         details += `<strong>Duration:</strong> ${precise_duration}`;
 
         details += `<br/><strong>Progress:</strong> ${Math.floor(ctx.task.progress * 100) / 100}%`;
 
+        if (ctx.chart.options.critical_path && ctx.total_float) {
+            const float = ctx.total_float.sign
+                ? formatDuration(ctx.total_float, { showMilliseconds: false, maxUnits: 2 })
+                : 'none (critical)';
+            details += `<br/><strong>Float:</strong> ${float}`;
+        }
+
         ctx.set_details(details);
     },
     popup_on: 'click',
     readonly_progress: false,
     readonly_dates: false,
+    readonly_dependencies: false, // no linking tasks from bar connectors or deleting arrows
     readonly: false,
     scroll_to: 'today',
     show_expected_progress: false,
+    timezone: 'UTC', // IANA timezone for day boundaries and labels; 'local' uses the browser's timezone
     today_button: true,
     view_mode: 'Day',
     view_mode_select: false,
     view_modes: DEFAULT_VIEW_MODES,
-    is_weekend: (instant) => {
-        const pdt = toPlainDateTime(ensureInstant(instant));
+    virtualize: 'auto', // render only on-screen rows, bars and arrows; 'auto' = above 500 visible tasks
+    is_weekend: (instant, timezone) => {
+        const pdt = toPlainDateTime(ensureInstant(instant), timezone);
         return pdt.dayOfWeek === 6 || pdt.dayOfWeek === 7;
     },
 };
 
-export { DEFAULT_OPTIONS, DEFAULT_VIEW_MODES };
+export { DEFAULT_OPTIONS, DEFAULT_TABLE_COLUMNS, DEFAULT_VIEW_MODES };
@@ -0,0 +1,97 @@
+/**
+ * EventEmitter - Minimal multi-listener event dispatcher
+ *
+ * Listeners are called in subscription order. A listener that returns
+ * `false` vetoes the event; `emit` then returns false so the caller can
+ * cancel the pending action (used for `before_*` events).
+ */
+export default class EventEmitter {
+    constructor() {
+        // Map<eventName, Function[]>
+        this._listeners = new Map();
+    }
+
+    /**
+     * Subscribe to an event
+     * @param {string} event - Event name
+     * @param {Function} callback - Event handler
+     */
+    on(event, callback) {
+        if (typeof callback !== 'function') return;
+
+        if (!this._listeners.has(event)) {
+            this._listeners.set(event, []);
+        }
+        this._listeners.get(event).push(callback);
+    }
+
+    /**
+     * Subscribe to an event for a single invocation
+     * @param {string} event - Event name
+     * @param {Function} callback - Event handler
+     */
+    once(event, callback) {
+        if (typeof callback !== 'function') return;
+
+        const emitter = this;
+        // Not an arrow function, so emit's context reaches the callback
+        const wrapper = function (...args) {
+            emitter.off(event, wrapper);
+            return callback.apply(this, args);
+        };
+        // Keep a reference so off(event, callback) can find the wrapper
+        wrapper.listener = callback;
+        this.on(event, wrapper);
+    }
+
+    /**
+     * Unsubscribe from an event
+     * @param {string} event - Event name
+     * @param {Function} [callback] - Handler to remove; removes all handlers if omitted
+     */
+    off(event, callback) {
+        if (!callback) {
+            this._listeners.delete(event);
+            return;
+        }
+
+        const listeners = this._listeners.get(event);
+        if (!listeners) return;
+
+        const index = listeners.findIndex(
+            (l) => l === callback || l.listener === callback,
+        );
+        if (index !== -1) listeners.splice(index, 1);
+        if (!listeners.length) this._listeners.delete(event);
+    }
+
+    /**
+     * Call all listeners of an event
+     * @param {string} event - Event name
+     * @param {Array} [args] - Arguments passed to each listener
+     * @param {*} [context] - Value of `this` inside listeners
+     * @returns {boolean} False if any listener returned false
+     */
+    emit(event, args = [], context = null) {
+        const listeners = this._listeners.get(event);
+        if (!listeners) return true;
+
+        let allowed = true;
+        // Copy so listeners removed during dispatch (once) don't shift the loop
+        for (const listener of [...listeners]) {
+            if (listener.apply(context, args) === false) {
+                allowed = false;
+            }
+        }
+        return allowed;
+    }
+
+    /**
+     * Get the number of listeners for an event
+     * @param {string} event - Event name
+     * @returns {number}
+     */
+    listenerCount(event) {
+        return this._listeners.get(event)?.length ?? 0;
+    }
+}
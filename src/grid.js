@@ -5,6 +5,7 @@ import {
     Temporal,
     parseDuration,
     add,
+    floor,
     format,
     getDaysInMonth,
     getDaysInYear,
@@ -97,6 +98,7 @@ export default class Grid {
      */
     _setupHeaderFormats(viewMode) {
         const lang = this.gantt.options.language;
+        const timezone = this.gantt.config.timezone;
 
         let upper = viewMode.upper_text;
         let lower = viewMode.lower_text;
@@ -105,45 +107,49 @@ export default class Grid {
             this.headerFormat.upper = () => '';
         } else if (typeof upper === 'string') {
             this.headerFormat.upper = (instant, _lastInstant) =>
-                format(instant, upper, lang);
+                format(instant, upper, lang, timezone);
         } else {
             this.headerFormat.upper = (instant, lastInstant) =>
-                upper(instant, lastInstant, lang);
+                upper(instant, lastInstant, lang, timezone);
         }
 
         if (!lower) {
             this.headerFormat.lower = () => '';
         } else if (typeof lower === 'string') {
             this.headerFormat.lower = (instant, _lastInstant) =>
-                format(instant, lower, lang);
+                format(instant, lower, lang, timezone);
         } else {
             this.headerFormat.lower = (instant, lastInstant) =>
-                lower(instant, lastInstant, lang);
+                lower(instant, lastInstant, lang, timezone);
         }
     }
 
     /**
      * Generate dates for the visible range
      * Uses caching to avoid regenerating on every render
+     *
+     * Steps are taken on zoned date-times, so day steps land on local
+     * midnight and hour steps stay one real hour apart across DST changes
+     * (a transition day has 23 or 25 columns in Hour view).
      * @returns {Array<Temporal.Instant>}
      */
     getDates() {
         const start = this.chart.renderedRange.start;
         const end = this.chart.renderedRange.end;
-        const cacheKey = `${start.epochMilliseconds}-${end.epochMilliseconds}-${this.viewMode?.step}`;
+        const timezone = this.gantt.config.timezone;
+        const cacheKey = `${start.epochMilliseconds}-${end.epochMilliseconds}-${this.viewMode?.step}-${timezone}`;
 
         if (this._cachedDates && this._cacheKey === cacheKey) {
             return this._cachedDates;
         }
 
         const dates = [start];
-        let curPdt = toPlainDateTime(start);
-        const endPdt = toPlainDateTime(end);
+        let current = start.toZonedDateTimeISO(timezone);
         const stepDuration = this.step.duration;
 
-        while (Temporal.PlainDateTime.compare(curPdt, endPdt) < 0) {
-            curPdt = curPdt.add(stepDuration);
-            dates.push(toInstant(curPdt));
+        while (Temporal.Instant.compare(current.toInstant(), end) < 0) {
+            current = current.add(stepDuration);
+            dates.push(current.toInstant());
         }
 
         this._cachedDates = dates;
@@ -183,7 +189,7 @@ export default class Grid {
             instant,
             date: instant, // backward compatibility
             formattedDate: this._sanitize(
-                format(instant, dateFormat, this.gantt.options.language)
+                format(instant, dateFormat, this.gantt.options.language, this.gantt.config.timezone)
             ),
             columnWidth: this.step.columnWidth,
             x,
@@ -257,7 +263,7 @@ export default class Grid {
         return Math.max(
             headerHeight +
             opts.padding +
-            (opts.bar_height + opts.padding) * this.gantt.tasks.length - 10,
+            (opts.bar_height + opts.padding) * this.gantt.tasks.getVisible().length - 10,
             opts.container_height !== 'auto' ? opts.container_height : 0
         );
     }
@@ -266,22 +272,113 @@ export default class Grid {
      * Render grid rows
      */
     renderRows() {
-        const rowsLayer = createSVG('g', { append_to: this.layers.grid });
-        const dates = this.getDates();
-        const rowWidth = dates.length * this.step.columnWidth;
+        this.$rows = createSVG('g', { append_to: this.layers.grid });
+        this.$rowLines = null;
+        // Drawn rows and row lines by row index
+        this._rowEls = new Map();
+        this._lineEls = new Map();
+        this._rowRange = null;
+        this.renderRowWindow();
+    }
+
+    /**
+     * Redraw the rows after tasks were added, removed, collapsed or
+     * expanded, resizing whatever spans the grid's height to match
+     */
+    updateRows() {
+        const gridHeight = this._calculateGridHeight();
+        if (gridHeight !== this.gridHeight) {
+            this.gridHeight = gridHeight;
+
+            const headerHeight = this.gantt.config.header_height;
+            const tickHeight = gridHeight - headerHeight;
+            const ignoredHeight = (this.gantt.options.bar_height + this.gantt.options.padding) *
+                                  this.gantt.tasks.getVisible().length;
+            const $svg = this.chart.$svg;
+
+            $.attr($svg, 'height', gridHeight);
+            $svg.querySelector('.grid-background')?.setAttribute('height', gridHeight);
+            for (const $tick of $svg.querySelectorAll('.tick')) {
+                $tick.setAttribute('d', $tick.getAttribute('d').replace(/v [\d.-]+$/, `v ${tickHeight}`));
+            }
+            for (const $highlight of $svg.querySelectorAll('.holiday-highlight')) {
+                $highlight.setAttribute('height', tickHeight);
+            }
+            for (const $ignored of $svg.querySelectorAll('.ignored-bar')) {
+                $ignored.setAttribute('height', ignoredHeight);
+            }
+            if (this.chart.$current_highlight) {
+                this.chart.$current_highlight.style.height = tickHeight + 'px';
+            }
+            if (this.gantt.options.container_height === 'auto') {
+                this.$container.style.height = gridHeight + 'px';
+            }
+        }
+
+        this.renderRowWindow(true);
+    }
+
+    /**
+     * Draw the rows (and horizontal row lines) in the chart's render
+     * window; all of them unless the chart is virtualized. Rows already
+     * drawn are kept: only rows entering or leaving the window are added
+     * or removed, and only rows whose task changed between summary and
+     * plain task are restyled.
+     * @param {boolean} [refresh=false] - Check the drawn rows even if the
+     *   window didn't change (the visible tasks did)
+     */
+    renderRowWindow(refresh = false) {
         const rowHeight = this.gantt.options.bar_height + this.gantt.options.padding;
         const headerHeight = this.gantt.options.lower_header_height +
                             this.gantt.options.upper_header_height + 10;
+        const rowCount = Math.ceil((this.gridHeight - headerHeight) / rowHeight);
+        const [from, to] = this.chart.getRowRange(this.chart.getRenderWindow(), rowCount);
 
-        for (let y = headerHeight; y < this.gridHeight; y += rowHeight) {
-            createSVG('rect', {
-                x: 0,
-                y,
-                width: rowWidth,
-                height: rowHeight,
-                class: 'grid-row',
-                append_to: rowsLayer,
-            });
+        const range = `${from}:${to}`;
+        if (range === this._rowRange && !refresh) return;
+        this._rowRange = range;
+
+        const rowWidth = this.getDates().length * this.step.columnWidth;
+
+        // One row per visible task; rows below collapsed summaries are skipped
+        const visibleTasks = this.gantt.tasks.getVisible();
+
+        for (const elements of [this._rowEls, this._lineEls]) {
+            for (const [row, $el] of elements) {
+                if (row >= from && row < to) continue;
+                $el.remove();
+                elements.delete(row);
+            }
+        }
+
+        for (let row = from; row < to; row++) {
+            const y = headerHeight + row * rowHeight;
+            const className = 'grid-row' + (visibleTasks[row]?.isSummary() ? ' grid-row-summary' : '');
+
+            const $row = this._rowEls.get(row);
+            if (!$row) {
+                this._rowEls.set(row, createSVG('rect', {
+                    x: 0,
+                    y,
+                    width: rowWidth,
+                    height: rowHeight,
+                    class: className,
+                    append_to: this.$rows,
+                }));
+            } else if ($row.getAttribute('class') !== className) {
+                $row.setAttribute('class', className);
+            }
+
+            if (this.$rowLines && !this._lineEls.has(row)) {
+                this._lineEls.set(row, createSVG('line', {
+                    x1: 0,
+                    y1: y + rowHeight,
+                    x2: rowWidth,
+                    y2: y + rowHeight,
+                    class: 'row-line',
+                    append_to: this.$rowLines,
+                }));
+            }
         }
     }
 
@@ -349,29 +446,21 @@ export default class Grid {
         if (this.gantt.options.lines === 'none') return;
 
         const dates = this.getDates();
+        const timezone = this.gantt.config.timezone;
         const headerHeight = this.gantt.options.lower_header_height +
                             this.gantt.options.upper_header_height + 10;
         const tickHeight = this.gridHeight - headerHeight;
-        const rowWidth = dates.length * this.step.columnWidth;
-        const rowHeight = this.gantt.options.bar_height + this.gantt.options.padding;
 
         const $linesLayer = createSVG('g', {
             class: 'lines_layer',
             append_to: this.layers.grid,
         });
 
-        // Horizontal lines
+        // Horizontal lines (drawn with the rows)
         if (this.gantt.options.lines !== 'vertical') {
-            for (let y = headerHeight; y < this.gridHeight; y += rowHeight) {
-                createSVG('line', {
-                    x1: 0,
-                    y1: y + rowHeight,
-                    x2: rowWidth,
-                    y2: y + rowHeight,
-                    class: 'row-line',
-                    append_to: $linesLayer,
-                });
-            }
+            this.$rowLines = createSVG('g', { append_to: $linesLayer });
+            this._lineEls = new Map();
+            this.renderRowWindow(true);
         }
 
         if (this.gantt.options.lines === 'horizontal') return;
@@ -380,7 +469,7 @@ export default class Grid {
         let tickX = 0;
         for (const instant of dates) {
             let tickClass = 'tick';
-            if (this.viewMode.thick_line && this.viewMode.thick_line(instant)) {
+            if (this.viewMode.thick_line && this.viewMode.thick_line(instant, timezone)) {
                 tickClass += ' thick';
             }
 
@@ -392,9 +481,9 @@ export default class Grid {
 
             // Handle variable-width columns for month/year views
             if (this._isMonthView()) {
-                tickX += (getDaysInMonth(instant) * this.step.columnWidth) / 30;
+                tickX += (getDaysInMonth(instant, timezone) * this.step.columnWidth) / 30;
             } else if (this._isYearView()) {
-                tickX += (getDaysInYear(instant) * this.step.columnWidth) / 365;
+                tickX += (getDaysInYear(instant, timezone) * this.step.columnWidth) / 365;
             } else {
                 tickX += this.step.columnWidth;
             }
@@ -420,6 +509,7 @@ export default class Grid {
 
         const labels = new Map();
         const oneDay = Temporal.Duration.from({ days: 1 });
+        const timezone = gantt.config.timezone;
         const headerHeight = gantt.options.lower_header_height +
                             gantt.options.upper_header_height + 10;
 
@@ -427,11 +517,12 @@ export default class Grid {
             let checkHighlight = gantt.options.holidays[color];
 
             if (checkHighlight === 'weekend') {
-                checkHighlight = gantt.options.is_weekend ||
-                    ((instant) => {
-                        const pdt = toPlainDateTime(ensureInstant(instant));
+                const isWeekend = gantt.options.is_weekend ||
+                    ((instant, tz) => {
+                        const pdt = toPlainDateTime(ensureInstant(instant), tz);
                         return pdt.dayOfWeek === 6 || pdt.dayOfWeek === 7;
                     });
+                checkHighlight = (instant) => isWeekend(instant, timezone);
             }
 
             let extraFunc;
@@ -439,7 +530,7 @@ export default class Grid {
             if (typeof checkHighlight === 'object') {
                 // Single named holiday object {date, name}
                 if (checkHighlight.name && checkHighlight.date) {
-                    const dateInstant = ensureInstant(checkHighlight.date + ' ');
+                    const dateInstant = ensureInstant(checkHighlight.date + ' ', timezone);
                     labels.set(dateInstant.toString(), checkHighlight.name);
                     checkHighlight = (instant) =>
                         Temporal.Instant.compare(dateInstant, ensureInstant(instant)) === 0;
@@ -452,11 +543,11 @@ export default class Grid {
                         .filter((k) => typeof k !== 'function')
                         .map((k) => {
                             if (k.name) {
-                                const dateInstant = ensureInstant(k.date + ' ');
+                                const dateInstant = ensureInstant(k.date + ' ', timezone);
                                 labels.set(dateInstant.toString(), k.name);
                                 return dateInstant;
                             }
-                            return ensureInstant(k + ' ');
+                            return ensureInstant(k + ' ', timezone);
                         });
 
                     checkHighlight = (instant) =>
@@ -467,12 +558,15 @@ export default class Grid {
 
             if (typeof checkHighlight !== 'function') continue;
 
-            // Iterate through days
-            let currentPdt = toPlainDateTime(this.chart.renderedRange.start);
-            const endPdt = toPlainDateTime(this.chart.renderedRange.end);
+            // Iterate through days, starting at local midnight
+            let currentPdt = toPlainDateTime(
+                floor(this.chart.renderedRange.start, 'day', timezone),
+                timezone,
+            );
+            const endPdt = toPlainDateTime(this.chart.renderedRange.end, timezone);
 
             while (Temporal.PlainDateTime.compare(currentPdt, endPdt) <= 0) {
-                const d = toInstant(currentPdt);
+                const d = toInstant(currentPdt, timezone);
 
                 if (this._isIgnored(d)) {
                     currentPdt = currentPdt.add(oneDay);
@@ -481,18 +575,18 @@ export default class Grid {
 
                 if (checkHighlight(d) || (extraFunc && extraFunc(d))) {
                     const x = this.chart.viewport.dateToX(d);
-                    const nextDay = add(d, 1, 'day');
+                    const nextDay = add(d, 1, 'day', timezone);
                     const nextX = this.chart.viewport.dateToX(nextDay);
                     const width = nextX - x;
                     const height = this.gridHeight - headerHeight;
-                    const dFormatted = format(d, 'YYYY-MM-DD', gantt.options.language)
+                    const dFormatted = format(d, 'YYYY-MM-DD', gantt.options.language, timezone)
                         .replace(' ', '_');
 
                     const labelText = labels.get(d.toString());
                     if (labelText) {
                         const label = this._createElement({
                             classes: 'holiday-label label_' + dFormatted,
-                            appendTo: gantt.$extras,
+                            appendTo: this.chart.$extras,
                         });
                         label.textContent = labelText;
                     }
@@ -524,22 +618,27 @@ export default class Grid {
         const headerHeight = gantt.options.lower_header_height +
                             gantt.options.upper_header_height + 10;
         const height = (gantt.options.bar_height + gantt.options.padding) *
-                       gantt.tasks.length;
+                       gantt.tasks.getVisible().length;
 
-        // Add hatch pattern for ignored regions
-        this.layers.grid.innerHTML += `<pattern id="diagonalHatch" patternUnits="userSpaceOnUse" width="4" height="4">
+        // Add hatch pattern for ignored regions (without re-parsing the
+        // layer, which would detach the row group kept in this.$rows)
+        this.layers.grid.insertAdjacentHTML('beforeend', `<pattern id="diagonalHatch" patternUnits="userSpaceOnUse" width="4" height="4">
           <path d="M-1,1 l2,-2
                    M0,4 l4,-4
                    M3,5 l2,-2"
                 style="stroke:grey; stroke-width:0.3" />
-        </pattern>`;
+        </pattern>`);
 
         const oneDay = Temporal.Duration.from({ days: 1 });
-        let currentPdt = toPlainDateTime(this.chart.renderedRange.start);
-        const endPdt = toPlainDateTime(this.chart.renderedRange.end);
+        const timezone = gantt.config.timezone;
+        let currentPdt = toPlainDateTime(
+            floor(this.chart.renderedRange.start, 'day', timezone),
+            timezone,
+        );
+        const endPdt = toPlainDateTime(this.chart.renderedRange.end, timezone);
 
         while (Temporal.PlainDateTime.compare(currentPdt, endPdt) <= 0) {
-            const d = toInstant(currentPdt);
+            const d = toInstant(currentPdt, timezone);
 
             if (!this._isIgnored(d)) {
                 currentPdt = currentPdt.add(oneDay);
@@ -550,7 +649,7 @@ export default class Grid {
             gantt.config.ignored_positions.push(x);
 
             // Calculate width based on one day's span in current view
-            const nextDay = add(d, 1, 'day');
+            const nextDay = add(d, 1, 'day', timezone);
             const nextX = this.chart.viewport.dateToX(nextDay);
             const width = nextX - x;
 
@@ -619,23 +718,25 @@ export default class Grid {
         }
 
         const dateFormat = this.viewMode.date_format || gantt.options.date_format;
+        const lang = gantt.options.language;
+        const timezone = gantt.config.timezone;
         let current = now;
         let el = this.$container.querySelector(
-            '.date_' + this._sanitize(format(current, dateFormat, gantt.options.language))
+            '.date_' + this._sanitize(format(current, dateFormat, lang, timezone))
         );
 
         // Safety check to prevent infinite loop
         let c = 0;
         while (!el && c < this.step.interval) {
-            current = add(current, -1, this.step.unit);
+            current = add(current, -1, this.step.unit, timezone);
             el = this.$container.querySelector(
-                '.date_' + this._sanitize(format(current, dateFormat, gantt.options.language))
+                '.date_' + this._sanitize(format(current, dateFormat, lang, timezone))
             );
             c++;
         }
 
-        const formattedDate = format(current, dateFormat, gantt.options.language);
-        return [ensureInstant(formattedDate + ' '), el];
+        const formattedDate = format(current, dateFormat, lang, timezone);
+        return [ensureInstant(formattedDate + ' ', timezone), el];
     }
 
     /**
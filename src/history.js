@@ -0,0 +1,63 @@
+/**
+ * History - Bounded undo/redo stacks
+ *
+ * Stores opaque steps; the Gantt decides what a step contains and how to
+ * apply it. Pushing a new step clears the redo stack.
+ */
+export default class History {
+    /**
+     * @param {number} [depth=50] - Maximum number of undoable steps (0 disables history)
+     */
+    constructor(depth = 50) {
+        this.depth = depth;
+        this._undo = [];
+        this._redo = [];
+    }
+
+    /**
+     * Record a new step
+     * @param {Object} step
+     */
+    push(step) {
+        if (!(this.depth > 0)) return;
+
+        this._undo.push(step);
+        while (this._undo.length > this.depth) {
+            this._undo.shift();
+        }
+        this._redo = [];
+    }
+
+    /**
+     * Take the most recent step off the undo stack
+     * @returns {Object|undefined} The step to revert
+     */
+    undo() {
+        const step = this._undo.pop();
+        if (step) this._redo.push(step);
+        return step;
+    }
+
+    /**
+     * Take the most recently undone step off the redo stack
+     * @returns {Object|undefined} The step to re-apply
+     */
+    redo() {
+        const step = this._redo.pop();
+        if (step) this._undo.push(step);
+        return step;
+    }
+
+    canUndo() {
+        return this._undo.length > 0;
+    }
+
+    canRedo() {
+        return this._redo.length > 0;
+    }
+
+    clear() {
+        this._undo = [];
+        this._redo = [];
+    }
+}
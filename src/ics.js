@@ -0,0 +1,133 @@
+/**
+ * iCalendar (RFC 5545) export of tasks
+ *
+ * Every task becomes a VEVENT. Tasks that start and end at midnight are
+ * all-day events, others are timed events in UTC. Dependencies and parents
+ * are RELATED-TO properties with the relation types of RFC 9253.
+ *
+ * Purely data - no visual/DOM awareness.
+ */
+import { DEFAULT_TIMEZONE, isMidnight, now, toPlainDateTime } from './temporal_utils';
+
+// Identifies the producer of the calendar (PRODID)
+const PRODUCT_ID = '-//Frappe//Frappe Gantt//EN';
+
+// RELTYPE of each dependency type
+const RELATION_TYPES = {
+    FS: 'FINISHTOSTART',
+    SS: 'STARTTOSTART',
+    FF: 'FINISHTOFINISH',
+    SF: 'STARTTOFINISH',
+};
+
+// Longest content line in octets, not counting the line break
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Write tasks as an iCalendar document
+ * @param {Tasks} tasks - Task collection
+ * @param {Object} [options]
+ * @param {string} [options.timezone='UTC'] - Timezone whose midnights make tasks all-day
+ * @param {string} [options.name] - Calendar name shown by calendar apps
+ * @param {string} [options.domain] - Appended to task IDs as `id@domain` to make
+ *   event UIDs globally unique
+ * @param {function(Task): string} [options.description] - Event description;
+ *   defaults to the task's `description` field
+ * @returns {string} iCalendar document (CRLF line breaks)
+ */
+export function serializeICS(tasks, {
+    timezone = DEFAULT_TIMEZONE,
+    name,
+    domain,
+    description = (task) => task.fields.description,
+} = {}) {
+    const uid = (id) => (domain ? `${id}@${domain}` : id);
+    const stamp = formatDateTime(now());
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+    ];
+    if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+
+    tasks.forEach((task) => {
+        lines.push('BEGIN:VEVENT', `UID:${escapeText(uid(task.uid))}`, `DTSTAMP:${stamp}`);
+
+        const start = toPlainDateTime(task.start, timezone);
+        const end = toPlainDateTime(task.end, timezone);
+        if (isMidnight(start) && isMidnight(end)) {
+            // All-day: DTEND is exclusive, like the task's end; a
+            // milestone without one lasts its day
+            lines.push(`DTSTART;VALUE=DATE:${formatDate(start)}`);
+            if (!task.isMilestone()) lines.push(`DTEND;VALUE=DATE:${formatDate(end)}`);
+        } else {
+            lines.push(`DTSTART:${formatDateTime(task.start)}`);
+            if (!task.isMilestone()) lines.push(`DTEND:${formatDateTime(task.end)}`);
+        }
+
+        lines.push(`SUMMARY:${escapeText(task.name ?? '')}`);
+        const text = description(task);
+        if (text) lines.push(`DESCRIPTION:${escapeText(`${text}`)}`);
+
+        if (task.parent) lines.push(`RELATED-TO;RELTYPE=PARENT:${escapeText(uid(task.parent))}`);
+        for (const link of task.links) {
+            lines.push(`RELATED-TO;RELTYPE=${RELATION_TYPES[link.type]}:${escapeText(uid(link.id))}`);
+        }
+        lines.push('END:VEVENT');
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// DATE value: 20240315
+function formatDate(pdt) {
+    return pdt.toPlainDate().toString().replaceAll('-', '');
+}
+
+// DATE-TIME value in UTC: 20240315T093000Z
+function formatDateTime(instant) {
+    const pdt = toPlainDateTime(instant, 'UTC');
+    return `${formatDate(pdt)}T${pdt.toPlainTime().toString({ smallestUnit: 'second' }).replaceAll(':', '')}Z`;
+}
+
+/**
+ * Escape a TEXT value: backslashes, semicolons, commas and line breaks
+ * @private
+ */
+function escapeText(text) {
+    return text
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r\n|\r|\n/g, '\\n');
+}
+
+/**
+ * Fold a content line into lines of at most 75 octets, continued by a
+ * leading space, without splitting UTF-8 characters
+ * @private
+ */
+function foldLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let part = '';
+    let octets = 0;
+    for (const char of line) {
+        const size = encoder.encode(char).length;
+        // Continuation lines spend one octet on the leading space
+        const limit = parts.length ? MAX_LINE_OCTETS - 1 : MAX_LINE_OCTETS;
+        if (octets + size > limit) {
+            parts.push(part);
+            part = '';
+            octets = 0;
+        }
+        part += char;
+        octets += size;
+    }
+    parts.push(part);
+    return parts.join('\r\n ');
+}
@@ -2,15 +2,26 @@ import {
     ensureInstant,
     toPlainDateTime,
     parseDurationString,
+    resolveTimezone,
 } from './temporal_utils';
 
+import Calendar from './calendar';
 import Chart from './chart';
+import { parseCSV, serializeCSV } from './csv';
+import EventEmitter from './event_emitter';
+import History from './history';
+import { serializeICS } from './ics';
+import { parseMermaid, serializeMermaid } from './mermaid';
+import { parseMSProject, serializeMSProject } from './ms_project';
+import Printer from './printer';
 import Scheduler from './scheduler';
+import SVGExporter from './svg_exporter';
 import Tasks from './tasks';
 
 import { DEFAULT_OPTIONS, DEFAULT_VIEW_MODES } from './defaults';
 
 import './styles/gantt.css';
+import './styles/print.css';
 
 /**
  * Gantt - Main orchestrator class
@@ -23,10 +34,16 @@ import './styles/gantt.css';
 export default class Gantt {
     constructor(wrapper, tasks, options) {
         this.config = {};
-        this.tasks = new Tasks();
+        this.events = new EventEmitter();
+        this.setupOptions(options);
+        this.history = new History(this.options.history_depth);
+
+        this.tasks = new Tasks({
+            timezone: this.config.timezone,
+            calendar: this.config.calendar,
+        });
         this.scheduler = new Scheduler(this);
 
-        this.setupOptions(options);
         this.setupChart(wrapper);
         this.loadTaskList(tasks);
         this.changeViewMode();
@@ -81,7 +98,14 @@ export default class Gantt {
             ignored_positions: [],
             extend_by_units: 2,
             step: {},
+            timezone: resolveTimezone(this.options.timezone),
         };
+        const timezone = this.config.timezone;
+
+        // Working-time calendar used for durations and dragging
+        this.config.calendar = this.options.calendar
+            ? new Calendar(this.options.calendar, timezone)
+            : null;
 
         if (typeof this.options.ignore !== 'function') {
             if (typeof this.options.ignore === 'string')
@@ -94,11 +118,11 @@ export default class Gantt {
                 if (typeof option === 'string') {
                     if (option === 'weekend') {
                         this.config.ignored_function = (instant) => {
-                            const pdt = toPlainDateTime(ensureInstant(instant));
+                            const pdt = toPlainDateTime(ensureInstant(instant), timezone);
                             return pdt.dayOfWeek === 6 || pdt.dayOfWeek === 7;
                         };
                     } else {
-                        this.config.ignored_dates.push(ensureInstant(option + ' '));
+                        this.config.ignored_dates.push(ensureInstant(option + ' ', timezone));
                     }
                 }
             }
@@ -108,8 +132,26 @@ export default class Gantt {
     }
 
     updateOptions(options) {
+        const previous = { options: this.options, config: this.config };
         this.setupOptions({ ...this.original_options, ...options });
-        this.changeViewMode(undefined, true);
+        this.tasks.timezone = this.config.timezone;
+        this.tasks.calendar = this.config.calendar;
+        this.history.depth = this.options.history_depth;
+
+        // Options that don't change the scale only re-render what they affect
+        const changed = Object.keys(options).filter((key) => options[key] !== previous.options[key]);
+        const layers = this.chart.viewport && this.chart.getAffectedLayers(changed);
+        if (!layers) {
+            this.changeViewMode(undefined, true);
+            return;
+        }
+
+        // Keep the current view mode and the scale derived from it
+        this.options.view_mode = previous.options.view_mode;
+        for (const key of ['view_mode', 'step', 'header_height', 'date_format', 'ignored_positions']) {
+            this.config[key] = previous.config[key];
+        }
+        this.chart.renderLayers(layers);
     }
 
     /**
@@ -118,22 +160,40 @@ export default class Gantt {
      * @param {Object} newDetails - Properties to update
      */
     updateTask(id, newDetails) {
+        const before = this.tasks.snapshot([id]);
+        const previousAncestors = this.tasks.getAncestorIds(id);
         const task = this.tasks.update(id, newDetails);
-        if (task) {
-            const bar = this.chart.getBar(task.uid);
-            bar?.refresh();
+        if (!task) return;
+        // Collapsing isn't part of the history (see Tasks.restore)
+        if (Object.keys(newDetails).some((key) => key !== 'collapsed')) {
+            this.recordHistory('update', before);
+        }
+
+        if ('dependencies' in newDetails) {
+            this.validateTasks();
         }
+
+        // Summaries the task left or joined roll up differently
+        this.chart.update([
+            task.uid,
+            ...previousAncestors,
+            ...this.tasks.getAncestorIds(task.uid),
+        ]);
     }
 
     /**
      * Add a new task
      * @param {Object} taskData - Raw task data
+     * @param {number} [index] - Position among the task's siblings; defaults to last
      * @returns {Task|null} The created task or null if invalid
      */
-    addTask(taskData) {
-        const task = this.tasks.add(taskData);
+    addTask(taskData, index) {
+        const task = this.tasks.add(taskData, index);
         if (task) {
-            this.render();
+            // Undoing removes the task again
+            this.recordHistory('add', new Map([[task.uid, null]]));
+            this.validateTasks();
+            this.chart.update([task.uid, ...this.tasks.getAncestorIds(task.uid)]);
         }
         return task;
     }
@@ -144,19 +204,118 @@ export default class Gantt {
      * @returns {boolean} True if task was removed
      */
     removeTask(id) {
+        // Children move up to the task's parent
+        const before = this.tasks.snapshot([id, ...this.tasks.getChildIds(id)]);
+        const ancestors = this.tasks.getAncestorIds(id);
         const removed = this.tasks.remove(id);
         if (removed) {
-            this.render();
+            this.recordHistory('remove', before);
+            this.validateTasks();
+            this.chart.update(ancestors);
         }
         return removed;
     }
 
+    /**
+     * Move a task, with its descendants, to another position in the task
+     * list. Fires 'order_change' with the IDs of all tasks in their new
+     * order and the moved task.
+     * @param {string} id - Task ID
+     * @param {Object} [position]
+     * @param {string|null} [position.parent] - ID of the new parent, null for the top
+     *   level; defaults to the current parent
+     * @param {number} [position.index] - Position among the parent's children; defaults to last
+     * @returns {boolean} False if the task didn't move
+     */
+    moveTask(id, { parent, index } = {}) {
+        const task = this.tasks.get(id);
+        if (!task) return false;
+
+        const before = this.tasks.snapshot([id]);
+        const ancestors = this.tasks.getAncestorIds(id);
+        if (!this.tasks.move(id, parent === undefined ? task.parent : parent, index)) {
+            return false;
+        }
+
+        this.recordHistory('move', before);
+        this.chart.update([id, ...ancestors, ...this.tasks.getAncestorIds(id)]);
+        this.triggerEvent('order_change', [this.tasks.map((other) => other.uid), task]);
+        return true;
+    }
+
+    /**
+     * Make a task depend on another. Links that would create a dependency
+     * cycle are rejected. Fires 'dependency_add' with the task and the link.
+     * @param {string} id - ID of the dependent task
+     * @param {string} depId - ID of the predecessor
+     * @param {string} [type='FS'] - Link type: FS, SS, FF or SF
+     * @param {string} [lag] - Lag duration, e.g. '2d'
+     * @returns {{id: string, type: string, lag: string|null}|null} The added link, or null if rejected
+     */
+    addDependency(id, depId, type = 'FS', lag = null) {
+        const before = this.tasks.snapshot([id]);
+        const link = this.tasks.addDependency(id, { id: depId, type, lag });
+        if (!link) return null;
+
+        this.recordHistory('dependency_add', before);
+        this.validateTasks();
+        this.chart.update([id]);
+        this.triggerEvent('dependency_add', [this.tasks.get(id), link]);
+        return link;
+    }
+
+    /**
+     * Remove a dependency. Fires 'dependency_remove' with the task and the
+     * removed link.
+     * @param {string} id - ID of the dependent task
+     * @param {string} depId - ID of the predecessor
+     * @returns {boolean} True if the dependency was removed
+     */
+    removeDependency(id, depId) {
+        const before = this.tasks.snapshot([id]);
+        const link = this.tasks.removeDependency(id, depId);
+        if (!link) return false;
+
+        this.recordHistory('dependency_remove', before);
+        this.validateTasks();
+        this.chart.update([id]);
+        this.triggerEvent('dependency_remove', [this.tasks.get(id), link]);
+        return true;
+    }
+
     /**
     * Load a new task list
     * @param {Array} taskList - List of task specifications
+    * @param {Object} [options] - See Tasks.load
     */
-    loadTaskList(taskList) {
-        this.tasks.load(taskList);
+    loadTaskList(taskList, options) {
+        this.tasks.load(taskList, options);
+        this.history.clear();
+        this.validateTasks();
+    }
+
+    /**
+     * Validate the dependency graph and fire 'validation_error' for each
+     * problem (dependency cycle or missing dependency). Problems are logged
+     * to the console when nobody listens for the event.
+     * @returns {{valid: boolean, errors: Array<{task: string, kind: string, ids: string[]}>}}
+     */
+    validateTasks() {
+        const result = this.tasks.validate();
+        const listening = this.options.on_validation_error ||
+            this.events.listenerCount('validation_error') > 0;
+
+        for (const error of result.errors) {
+            if (!listening) {
+                console.warn(
+                    error.kind === 'cycle'
+                        ? `task "${error.task}" is part of a dependency cycle: ${error.ids.join(' → ')}`
+                        : `task "${error.task}" depends on missing task(s): ${error.ids.join(', ')}`,
+                );
+            }
+            this.triggerEvent('validation_error', [error]);
+        }
+        return result;
     }
 
     /**
@@ -176,6 +335,119 @@ export default class Gantt {
         return this.tasks.export();
     }
 
+    /**
+     * Load tasks from CSV, one task per row (see csv). Rows that can't be
+     * read or loaded are left out and returned, not logged.
+     * @param {string} text - CSV document with a header record
+     * @param {Object} [options] - Column mapping, delimiter and date format, see parseCSV
+     * @returns {Array<{row: number, message: string}>} Rejected rows by line
+     *   number (the header is line 1)
+     */
+    importCSV(text, options) {
+        const { tasks, rows, errors } = parseCSV(text, {
+            timezone: this.config.timezone,
+            ...options,
+        });
+
+        this.loadTaskList(tasks, { quiet: true });
+        this.changeViewMode();
+        for (const { index, message } of this.tasks.rejected) {
+            errors.push({ row: rows[index], message });
+        }
+        return errors.sort((a, b) => a.row - b.row);
+    }
+
+    /**
+     * Get all tasks as CSV, one task per row (see csv)
+     * @param {Object} [options] - Column mapping, delimiter and date format, see parseCSV
+     * @returns {string} CSV document
+     */
+    exportCSV(options) {
+        return serializeCSV(this.getTasks(), {
+            timezone: this.config.timezone,
+            ...options,
+        });
+    }
+
+    /**
+     * Get all tasks as an iCalendar (.ics) document, one event per task
+     * (see ics)
+     * @param {Object} [options]
+     * @param {string} [options.name] - Calendar name
+     * @param {string} [options.domain] - Domain making event UIDs unique (`id@domain`)
+     * @param {function(Task): string} [options.description] - Event description
+     *   of a task; defaults to its `description` field
+     * @returns {string} iCalendar document
+     */
+    exportICS(options) {
+        return serializeICS(this.tasks, {
+            timezone: this.config.timezone,
+            ...options,
+        });
+    }
+
+    /**
+     * Load tasks from a Mermaid gantt diagram, with its excluded days as
+     * the `calendar` option (see mermaid). What can't be read or loaded
+     * is left out and returned, not logged.
+     * @param {string} text - Mermaid gantt diagram
+     * @returns {string[]} Warnings about what couldn't be read or loaded
+     */
+    importMermaid(text) {
+        const { tasks, calendar, warnings } = parseMermaid(text);
+        if (calendar) this.updateOptions({ calendar });
+        this.loadTaskList(tasks, { quiet: true });
+        this.changeViewMode();
+        return [...warnings, ...this.tasks.rejected.map(({ message }) => message)];
+    }
+
+    /**
+     * Get all tasks as a Mermaid gantt diagram
+     * @param {Object} [options]
+     * @param {string} [options.title] - Diagram title
+     * @param {string} [options.dateFormat] - Mermaid date format, e.g. 'DD-MM-YYYY'
+     * @returns {{text: string, warnings: string[]}} Mermaid gantt diagram and
+     *   what couldn't be written
+     */
+    exportMermaid({ title, dateFormat } = {}) {
+        return serializeMermaid(this.getTasks(), {
+            title,
+            dateFormat,
+            calendar: this.options.calendar,
+            timezone: this.config.timezone,
+        });
+    }
+
+    /**
+     * Load tasks from a Microsoft Project XML (MSPDI) document, along with
+     * the project calendar as the `calendar` option (see ms_project).
+     * What can't be imported is left out and returned, not logged.
+     * @param {string} xml - MSPDI document
+     * @returns {string[]} Warnings about what couldn't be imported
+     */
+    importMSProject(xml) {
+        const { tasks, calendar, warnings } = parseMSProject(xml);
+        if (calendar) this.updateOptions({ calendar });
+        this.loadTaskList(tasks, { quiet: true });
+        this.changeViewMode();
+        return [...warnings, ...this.tasks.rejected.map(({ message }) => message)];
+    }
+
+    /**
+     * Get all tasks as a Microsoft Project XML (MSPDI) document
+     * @param {Object} [options]
+     * @param {string} [options.name] - Project name
+     * @returns {{xml: string, warnings: string[]}} MSPDI document and what
+     *   couldn't be exported
+     */
+    exportMSProject({ name } = {}) {
+        return serializeMSProject(this.tasks, {
+            calendar: this.config.calendar,
+            timezone: this.config.timezone,
+            name,
+        });
+    }
+
     changeViewMode(mode = this.options.view_mode, maintainScrollPosition = false) {
         if (typeof mode === 'string') {
             mode = this.options.view_modes.find((d) => d.name === mode);
@@ -258,6 +530,28 @@ export default class Gantt {
         chart.bars.bindDragEvents(chart.$svg);
         chart.bars.bindProgressEvents(chart.$svg);
 
+        // Drawing new tasks on empty rows
+        chart.bars.bindCreateEvents(chart.$svg);
+
+        // Dragging bars to other rows
+        chart.bars.bindReorderEvents(chart.$svg);
+
+        // Selecting bars by clicking and with a lasso
+        chart.selection.bindEvents(chart.$svg);
+
+        // Linking tasks from bar connectors, selecting and deleting arrows
+        chart.bars.bindLinkEvents(chart.$svg);
+        chart.arrows.bindSelectEvents(chart.$svg);
+
+        // Keyboard navigation and editing of bars
+        chart.bars.bindKeyboardEvents(chart.$svg);
+
+        // Undo/redo shortcuts
+        chart.bindHistoryKeys({
+            undo: () => this.undo(),
+            redo: () => this.redo(),
+        });
+
         // Scroll behavior
         if (chart.isInfinite()) {
             chart.bindInfiniteScroll((skipScrollReset) => this.render(skipScrollReset));
@@ -362,6 +656,97 @@ export default class Gantt {
         return this.chart.getBar(id);
     }
 
+    /**
+     * Compute the critical path (see Scheduler.getCriticalPath)
+     * @returns {Object} Critical tasks, driving links, project finish and per-task floats
+     */
+    getCriticalPath() {
+        return this.scheduler.getCriticalPath();
+    }
+
+    /**
+     * Export the chart as a standalone SVG document (see SVGExporter)
+     * @param {Object} [options]
+     * @param {{start, end}} [options.range] - Time range; defaults to the extent of all tasks
+     * @param {boolean} [options.includeHeader=true] - Draw the date header
+     * @returns {string} SVG markup
+     */
+    exportSVG(options) {
+        return new SVGExporter(this).export(options);
+    }
+
+    /**
+     * Print the chart across as many pages as it takes (see Printer)
+     * @param {Object} [options]
+     * @param {string|{width: number, height: number}} [options.pageSize='A4'] - Paper size
+     * @param {string} [options.orientation='landscape'] - 'landscape' or 'portrait'
+     * @param {number} [options.margin=10] - Page margin in millimetres
+     * @param {boolean} [options.fitToWidth=false] - Fit the time range to the page width
+     * @param {{start, end}} [options.range] - Time range; defaults to the extent of all tasks
+     */
+    print(options) {
+        new Printer(this).print(options);
+    }
+
+    /**
+     * Check whether a summary task is collapsed
+     * @param {string} id - Task ID
+     * @returns {boolean}
+     */
+    isCollapsed(id) {
+        return this.tasks.isCollapsed(id);
+    }
+
+    /**
+     * Get IDs of all collapsed summary tasks
+     * @returns {string[]}
+     */
+    getCollapsed() {
+        return this.tasks.getCollapsed();
+    }
+
+    /**
+     * Collapse or expand a summary task, hiding or showing its descendants.
+     * Fires 'collapse' or 'expand' with the task.
+     * @param {string} id - Task ID
+     * @param {boolean} [collapsed=true]
+     */
+    setCollapsed(id, collapsed = true) {
+        if (!this.tasks.setCollapsed(id, collapsed)) return;
+
+        this.chart.update([id]);
+        this.triggerEvent(collapsed ? 'collapse' : 'expand', [this.tasks.get(id)]);
+    }
+
+    collapseTask(id) {
+        this.setCollapsed(id, true);
+    }
+
+    expandTask(id) {
+        this.setCollapsed(id, false);
+    }
+
+    toggleTask(id) {
+        this.setCollapsed(id, !this.isCollapsed(id));
+    }
+
+    /**
+     * Get the IDs of the selected tasks
+     * @returns {string[]}
+     */
+    getSelection() {
+        return this.chart.selection.get();
+    }
+
+    /**
+     * Select tasks, replacing the current selection. Fires 'selection_change'
+     * with the selected IDs if the selection changed.
+     * @param {string[]} ids - Task IDs; hidden and unknown tasks are left out
+     */
+    setSelection(ids) {
+        this.chart.selection.set(ids);
+    }
+
     showPopup(opts) {
         this.chart.showPopup(opts);
     }
@@ -370,27 +755,115 @@ export default class Gantt {
         this.chart.hidePopup();
     }
 
+    // =========================================================================
+    // HISTORY
+    // =========================================================================
+
+    /**
+     * Record a mutation as one undoable step. Fires 'history_change'.
+     * @param {string} label - Kind of mutation (date_change, progress_change, update, add, remove,
+     *   move, dependency_add, dependency_remove)
+     * @param {Map} before - tasks.snapshot() of the changed tasks, taken
+     *   before the mutation. Summaries needn't be included: they roll up.
+     */
+    recordHistory(label, before) {
+        this.history.push({ label, before, after: this.tasks.snapshot(before.keys()) });
+        this.triggerEvent('history_change', [this.canUndo(), this.canRedo()]);
+    }
+
+    /**
+     * Revert the most recent change. Fires 'undo' and 'history_change'.
+     * @returns {boolean} False if there was nothing to undo
+     */
+    undo() {
+        const step = this.history.undo();
+        if (!step) return false;
+
+        this._applyHistoryStep(step.before);
+        this.triggerEvent('undo', [step.label]);
+        this.triggerEvent('history_change', [this.canUndo(), this.canRedo()]);
+        return true;
+    }
+
+    /**
+     * Re-apply the most recently undone change. Fires 'redo' and 'history_change'.
+     * @returns {boolean} False if there was nothing to redo
+     */
+    redo() {
+        const step = this.history.redo();
+        if (!step) return false;
+
+        this._applyHistoryStep(step.after);
+        this.triggerEvent('redo', [step.label]);
+        this.triggerEvent('history_change', [this.canUndo(), this.canRedo()]);
+        return true;
+    }
+
+    canUndo() {
+        return this.history.canUndo();
+    }
+
+    canRedo() {
+        return this.history.canRedo();
+    }
+
+    _applyHistoryStep(snapshot) {
+        this.tasks.restore(snapshot);
+        this.validateTasks();
+        this.render(true);
+    }
+
     /**
      * Subscribe to an event
+     *
+     * Handlers of `before_*` events (before_date_change, before_progress_change)
+     * can return false to cancel the change.
+     *
      * @param {string} event - Event name (click, date_change, progress_change, view_change, etc.)
      * @param {Function} callback - Event handler
      */
     on(event, callback) {
-        this.options['on_' + event] = callback;
+        this.events.on(event, callback);
+    }
+
+    /**
+     * Subscribe to an event for a single invocation
+     * @param {string} event - Event name
+     * @param {Function} callback - Event handler
+     */
+    once(event, callback) {
+        this.events.once(event, callback);
     }
 
     /**
      * Unsubscribe from an event
      * @param {string} event - Event name
+     * @param {Function} [callback] - Handler to remove; removes all handlers of the event if omitted
      */
-    off(event) {
-        delete this.options['on_' + event];
+    off(event, callback) {
+        if (!callback || this.options['on_' + event] === callback) {
+            delete this.options['on_' + event];
+        }
+        this.events.off(event, callback);
     }
 
+    /**
+     * Call the `on_<event>` option handler and all subscribed listeners
+     * @param {string} event - Event name
+     * @param {Array} args - Arguments passed to the handlers
+     * @returns {boolean} False if any handler returned false (vetoed the event)
+     */
     triggerEvent(event, args) {
+        let allowed = true;
         if (this.options['on_' + event]) {
-            this.options['on_' + event].apply(this, args);
+            if (this.options['on_' + event].apply(this, args) === false) {
+                allowed = false;
+            }
+        }
+        if (!this.events.emit(event, args, this)) {
+            allowed = false;
         }
+        return allowed;
     }
 
 }
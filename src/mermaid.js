@@ -0,0 +1,538 @@
+/**
+ * Mermaid gantt syntax import and export
+ *
+ * Reads `gantt` blocks into task specs for Gantt.setTasks and writes task
+ * specs (e.g. from Gantt.getTasks) back. Sections become summary tasks,
+ * `after` becomes finish-to-start dependencies and `excludes` becomes a
+ * working-time calendar, so durations skip the excluded days as they do
+ * in Mermaid. The done, active and crit tags are kept as custom classes.
+ *
+ * Purely data - no visual/DOM awareness.
+ */
+import Calendar from './calendar';
+import {
+    DEFAULT_TIMEZONE,
+    Temporal,
+    add,
+    ensureInstant,
+    format,
+    isMidnight,
+    parseDurationString,
+    toPlainDateTime,
+    toSpecDate,
+    toSpecEndDate,
+} from './temporal_utils';
+
+// Mermaid duration units and their task spec equivalents ("m" is minutes
+// in Mermaid but months in task specs)
+const DURATION_UNITS = { ms: 'ms', s: 's', m: 'min', h: 'h', d: 'd', w: 'w' };
+const DURATION_REGEX = /^(\d+(?:\.\d+)?)(ms|s|m|h|d|w)$/;
+
+// Milliseconds per spec duration unit, for fractional Mermaid durations
+const UNIT_MS = { ms: 1, s: 1000, min: 60000, h: 3600000, d: 86400000, w: 604800000 };
+
+// Mermaid unit of each duration unit (as named by parseDurationString),
+// smallest first, and their length; months and years have none
+const MERMAID_UNITS = { millisecond: 'ms', second: 's', minute: 'm', hour: 'h', day: 'd', week: 'w' };
+const SPEC_UNIT_MS = {
+    millisecond: 1,
+    second: 1000,
+    minute: 60000,
+    hour: 3600000,
+    day: 86400000,
+    week: 604800000,
+    month: 30 * 86400000,
+    year: 365 * 86400000,
+};
+
+// Tags a task's metadata may start with
+const TAGS = ['done', 'active', 'crit', 'milestone'];
+
+// Weekday names `excludes` accepts, by ISO weekday
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+// Date format tokens understood in `dateFormat` and the regex of each
+const DATE_TOKENS = {
+    YYYY: '(\\d{4})', YY: '(\\d{2})', MM: '(\\d{2})', M: '(\\d{1,2})',
+    DD: '(\\d{2})', D: '(\\d{1,2})', HH: '(\\d{2})', H: '(\\d{1,2})',
+    mm: '(\\d{2})', ss: '(\\d{2})', SSS: '(\\d{3})',
+};
+const DATE_TOKEN_REGEX = /YYYY|YY|MM|M|DD|D|HH|H|mm|ss|SSS/g;
+
+const DEFAULT_DATE_FORMAT = 'YYYY-MM-DD';
+
+// =========================================================================
+// PARSE
+// =========================================================================
+
+/**
+ * Read a Mermaid gantt diagram into task specs
+ * @param {string} text - Diagram, with or without the `gantt` line
+ * @returns {{tasks: Object[], calendar: Object|null, title: string|null, warnings: string[]}}
+ *   Task specs (each section right before its tasks), a `calendar` option for
+ *   the excluded days (null if there are none), the title and what couldn't
+ *   be read
+ */
+export function parseMermaid(text) {
+    const warnings = [];
+    const settings = {
+        dateFormat: DEFAULT_DATE_FORMAT,
+        inclusiveEndDates: false,
+        weekdays: new Set([1, 2, 3, 4, 5, 6, 7]),
+        holidays: [],
+    };
+    let title = null;
+    let section = null;
+    const entries = [];
+
+    text.split(/\r?\n/).forEach((rawLine, i) => {
+        const line = rawLine.replace(/%%.*$/, '').trim();
+        if (!line || (line === 'gantt' && !entries.length)) return;
+
+        const [, keyword, rest = ''] = /^(\w+)(?:[\s:]+(.*))?$/.exec(line) ?? [];
+        switch (keyword) {
+            case 'title':
+                title = rest.trim();
+                return;
+            case 'dateFormat':
+                settings.dateFormat = rest.trim();
+                return;
+            case 'inclusiveEndDates':
+                settings.inclusiveEndDates = true;
+                return;
+            case 'excludes':
+                readExcludes(rest, settings, warnings);
+                return;
+            case 'section':
+                // The id is given once the task ids are known (see readEntries)
+                section = { id: null, name: decode(rest.trim()) };
+                return;
+            case 'axisFormat':
+            case 'tickInterval':
+            case 'todayMarker':
+            case 'topAxis':
+            case 'weekday':
+            case 'displayMode':
+            case 'accTitle':
+            case 'accDescr':
+            case 'click':
+                return;
+        }
+
+        const colon = line.indexOf(':');
+        if (colon === -1) {
+            warnings.push(`line ${i + 1} is not a task: "${line}"`);
+            return;
+        }
+        entries.push({
+            line: i + 1,
+            name: decode(line.slice(0, colon).trim()),
+            meta: line.slice(colon + 1).split(',').map((item) => item.trim()),
+            section,
+        });
+    });
+
+    // Durations skip excluded days, as the calendar will in the chart
+    const calendarSpec = settings.weekdays.size < 7 || settings.holidays.length
+        ? { weekdays: [...settings.weekdays], holidays: settings.holidays }
+        : null;
+    settings.calendar = calendarSpec ? new Calendar(calendarSpec) : null;
+
+    const tasks = readEntries(entries, settings, warnings);
+    return { tasks, calendar: calendarSpec, title, warnings };
+}
+
+/**
+ * Apply an `excludes` line: weekends, weekday names and dates
+ * @private
+ */
+function readExcludes(list, settings, warnings) {
+    for (const item of list.split(',').map((part) => part.trim().toLowerCase()).filter(Boolean)) {
+        if (item === 'weekends') {
+            settings.weekdays.delete(6);
+            settings.weekdays.delete(7);
+        } else if (WEEKDAYS.includes(item)) {
+            settings.weekdays.delete(WEEKDAYS.indexOf(item) + 1);
+        } else {
+            const date = parseDate(item, settings.dateFormat) ?? parseDate(item, DEFAULT_DATE_FORMAT);
+            if (date) settings.holidays.push(date.toPlainDate().toString());
+            else warnings.push(`can't exclude "${item}"; ignoring it`);
+        }
+    }
+}
+
+/**
+ * Task specs from the task lines. Start and end dates are worked out as
+ * Mermaid does, so tasks can start `after` others or where the previous
+ * task ends; lines that refer to tasks further down wait for them.
+ * @private
+ */
+function readEntries(entries, settings, warnings) {
+    const byId = new Map();
+    const pending = entries.map((entry, index) => {
+        const tags = [];
+        const meta = [...entry.meta];
+        while (meta.length && TAGS.includes(meta[0])) tags.push(meta.shift());
+
+        // Metadata is [end], [start, end] or [id, start, end]
+        const id = meta.length >= 3 ? meta.shift() : `task${index + 1}`;
+        const [start, end] = meta.length >= 2 ? meta : [null, meta[0]];
+        const task = { ...entry, index, id, tags, start, end, spec: undefined };
+        byId.set(id, task);
+        return task;
+    });
+
+    // Number the sections, passing over ids that tasks already have
+    let number = 0;
+    for (const section of new Set(entries.map((entry) => entry.section).filter(Boolean))) {
+        do {
+            section.id = `section-${++number}`;
+        } while (byId.has(section.id));
+    }
+
+    // Resolve in order, passing over tasks waiting on tasks below them
+    let changed = true;
+    while (changed) {
+        changed = false;
+        pending.forEach((task, i) => {
+            if (task.spec !== undefined) return;
+
+            task.spec = resolveTask(task, pending[i - 1], byId, settings);
+            if (task.spec === null) {
+                warnings.push(`task "${task.name}" on line ${task.line} has an invalid start or end; skipping it`);
+            }
+            changed ||= task.spec !== undefined;
+        });
+    }
+
+    const specs = [];
+    for (const task of pending) {
+        if (task.spec === undefined) {
+            warnings.push(`task "${task.name}" on line ${task.line} refers to missing tasks; skipping it`);
+        }
+        if (!task.spec) continue;
+
+        // Sections come right before their first task
+        const section = task.section;
+        if (section && !specs.includes(section)) specs.push(section);
+        specs.push(task.spec);
+    }
+    return specs;
+}
+
+/**
+ * The task spec of a task line, null if its dates are invalid or
+ * undefined if it refers to tasks that aren't resolved yet
+ * @private
+ */
+function resolveTask(task, previous, byId, settings) {
+    const spec = { id: task.id, name: task.name };
+    if (task.section) spec.parent = task.section.id;
+
+    // Start: a date, `after` some tasks, or the end of the previous task
+    let start;
+    if (task.start && /^after\s/i.test(task.start)) {
+        const ids = task.start.split(/\s+/).slice(1);
+        const predecessors = ids.map((id) => byId.get(id));
+        if (predecessors.some((p) => !p?.spec)) return undefined;
+
+        start = predecessors.map((p) => p._end).reduce((a, b) => (Temporal.PlainDateTime.compare(a, b) >= 0 ? a : b));
+        spec.dependencies = ids.join(', ');
+    } else if (task.start) {
+        start = parseDate(task.start, settings.dateFormat);
+        if (!start) return null;
+    } else {
+        // The first task has nothing to follow
+        if (!previous || previous.spec === null) return null;
+        if (previous.spec === undefined) return undefined;
+        start = previous._end;
+    }
+    spec.start = toSpecDate(start);
+
+    // End: a date, a duration, or `until` the start of some tasks
+    let end;
+    const durationMatch = DURATION_REGEX.exec(task.end ?? '');
+    if (durationMatch) {
+        spec.duration = toSpecDuration(+durationMatch[1], DURATION_UNITS[durationMatch[2]]);
+        end = addDuration(start, spec.duration, settings.calendar);
+    } else if (task.end && /^until\s/i.test(task.end)) {
+        const successors = task.end.split(/\s+/).slice(1).map((id) => byId.get(id));
+        if (successors.some((s) => !s?.spec)) return undefined;
+        end = successors.map((s) => s._start).reduce((a, b) => (Temporal.PlainDateTime.compare(a, b) <= 0 ? a : b));
+        spec.end = toSpecEndDate(end);
+    } else {
+        end = parseDate(task.end ?? '', settings.dateFormat);
+        if (!end) return null;
+        if (settings.inclusiveEndDates && isMidnight(end)) end = end.add({ days: 1 });
+        spec.end = toSpecEndDate(end);
+    }
+    if (Temporal.PlainDateTime.compare(end, start) < 0) return null;
+
+    if (task.tags.includes('milestone')) {
+        spec.type = 'milestone';
+        delete spec.duration;
+        delete spec.end;
+        end = start;
+    }
+    if (task.tags.includes('done')) spec.progress = 100;
+    const classes = task.tags.filter((tag) => tag !== 'milestone');
+    if (classes.length) spec.custom_class = classes.join(' ');
+
+    task._start = start;
+    task._end = end;
+    return spec;
+}
+
+/**
+ * A Mermaid duration as a spec duration; fractions go down to a smaller
+ * unit ("1.5d" is "36h")
+ * @private
+ */
+function toSpecDuration(value, unit) {
+    if (Number.isInteger(value)) return `${value}${unit}`;
+
+    const ms = value * UNIT_MS[unit];
+    const smaller = ['h', 'min', 's', 'ms'].find((u) => Number.isInteger(ms / UNIT_MS[u]));
+    return `${Math.round(ms / UNIT_MS[smaller ?? 'ms'])}${smaller ?? 'ms'}`;
+}
+
+/**
+ * Wall-clock end of a duration from a start, in working time with a calendar
+ * @private
+ */
+function addDuration(start, duration, calendar) {
+    // The calendar works on instants; UTC keeps them on the wall clock
+    const instant = start.toZonedDateTime('UTC').toInstant();
+    const { value, unit } = parseDurationString(duration);
+    const end = calendar
+        ? calendar.addWorkingTime(instant, calendar.toWorkingMs(value, unit))
+        : add(instant, value, unit);
+    return toPlainDateTime(end);
+}
+
+/**
+ * Parse a date in a Mermaid (day.js) date format
+ * @private
+ */
+function parseDate(text, dateFormat) {
+    const tokens = dateFormat.match(DATE_TOKEN_REGEX) ?? [];
+    const pattern = dateFormat
+        .split(DATE_TOKEN_REGEX)
+        .map((literal, i) => (i ? DATE_TOKENS[tokens[i - 1]] : '') + literal.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .join('');
+    const match = new RegExp(`^${pattern}$`).exec(text.trim());
+    if (!match) return null;
+
+    const fields = { year: 0, month: 1, day: 1, hour: 0, minute: 0, second: 0, millisecond: 0 };
+    tokens.forEach((token, i) => {
+        const value = +match[i + 1];
+        if (token === 'YYYY') fields.year = value;
+        else if (token === 'YY') fields.year = 2000 + value;
+        else if (token[0] === 'M') fields.month = value;
+        else if (token[0] === 'D') fields.day = value;
+        else if (token[0] === 'H') fields.hour = value;
+        else if (token === 'mm') fields.minute = value;
+        else if (token === 'ss') fields.second = value;
+        else fields.millisecond = value;
+    });
+    try {
+        return Temporal.PlainDateTime.from(fields, { overflow: 'reject' });
+    } catch {
+        return null;
+    }
+}
+
+// Mermaid entity codes: "#35;" or "#colon;"
+function decode(text) {
+    return text
+        .replace(/#(\d+);/g, (_, code) => String.fromCharCode(+code))
+        .replace(/#colon;/g, ':')
+        .replace(/#semi;/g, ';');
+}
+
+// =========================================================================
+// SERIALIZE
+// =========================================================================
+
+/**
+ * Write task specs as a Mermaid gantt diagram. Top-level tasks with
+ * subtasks become sections; deeper nesting is flattened into them.
+ * @param {Object[]} specs - Task specs, e.g. from Gantt.getTasks
+ * @param {Object} [options]
+ * @param {string} [options.title] - Diagram title
+ * @param {string} [options.dateFormat] - Mermaid date format; defaults to
+ *   'YYYY-MM-DD', with the time of day if any task needs it
+ * @param {Object} [options.calendar] - The chart's `calendar` option, written
+ *   as `excludes`
+ * @param {string} [options.timezone='UTC'] - Timezone of the chart's dates
+ * @returns {{text: string, warnings: string[]}} The diagram and what couldn't be written
+ */
+export function serializeMermaid(specs, { title, dateFormat, calendar, timezone = DEFAULT_TIMEZONE } = {}) {
+    const warnings = [];
+    const parents = new Set(specs.map((spec) => spec.parent).filter(Boolean).map(String));
+    const byId = new Map(specs.map((spec) => [`${spec.id}`, spec]));
+
+    // The section (top-level ancestor) of each task
+    const sectionOf = (spec) => {
+        let top = spec;
+        while (top.parent && byId.has(`${top.parent}`)) top = byId.get(`${top.parent}`);
+        return top === spec ? null : top;
+    };
+
+    const date = (value) => toPlainDateTime(ensureInstant(value, timezone), timezone);
+    const timed = specs.some((spec) =>
+        ['start', 'end'].some((key) => spec[key] && !isMidnight(date(spec[key]))),
+    );
+    dateFormat ??= timed ? `${DEFAULT_DATE_FORMAT} HH:mm` : DEFAULT_DATE_FORMAT;
+    const writeMermaidDate = (pdt) => format(pdt.toZonedDateTime('UTC').toInstant(), dateFormat);
+
+    const lines = ['gantt'];
+    if (title) lines.push(`    title ${title}`);
+    lines.push(`    dateFormat ${dateFormat}`);
+    if (calendar) lines.push(...writeExcludes(calendar, writeMermaidDate, warnings));
+
+    // Start and end of each task as Mermaid reads them back, with the days
+    // the `excludes` line skips
+    const excluded = calendar ? new Calendar({ weekdays: calendar.weekdays, holidays: calendar.holidays }) : null;
+    const readBack = new Map();
+    const datesOf = (spec) => {
+        if (!readBack.has(spec)) readBack.set(spec, mermaidDates(spec, date, excluded));
+        return readBack.get(spec);
+    };
+
+    // Tasks outside sections come first, as Mermaid can't return to them
+    const groups = new Map([[null, []]]);
+    for (const spec of specs) {
+        const id = `${spec.id}`;
+        const section = sectionOf(spec);
+        if (!section && parents.has(id)) {
+            groups.set(spec, groups.get(spec) ?? []);
+            continue;
+        }
+        if (parents.has(id)) {
+            warnings.push(`task "${spec.name}" (ID: "${id}") is nested too deep for a section; its subtasks are listed in "${section.name}"`);
+            continue;
+        }
+        if (!groups.has(section)) groups.set(section, []);
+        groups.get(section).push(spec);
+    }
+
+    for (const [section, members] of groups) {
+        if (section) lines.push(`    section ${encode(section.name ?? '')}`);
+        for (const spec of members) {
+            lines.push(`    ${writeTask(spec, byId, datesOf, writeMermaidDate, warnings)}`);
+        }
+    }
+    return { text: lines.join('\n') + '\n', warnings };
+}
+
+/**
+ * A task line: name, tags, id, start and end
+ * @private
+ */
+function writeTask(spec, byId, datesOf, writeMermaidDate, warnings) {
+    const id = `${spec.id}`;
+    const label = `task "${spec.name}" (ID: "${id}")`;
+    const tags = new Set(`${spec.custom_class ?? ''}`.split(/\s+/).filter((tag) => TAGS.includes(tag)));
+    if (spec.progress >= 100) tags.add('done');
+    else if (spec.progress > 0) tags.add('active');
+    if (spec.type === 'milestone') tags.add('milestone');
+
+    // Mermaid ids are single words
+    const meta = [...TAGS.filter((tag) => tags.has(tag)), id.replace(/\s+/g, '_')];
+
+    // Only plain finish-to-start links are `after`, and only when the task
+    // starts where its predecessors end, as Mermaid would start it
+    let links = [];
+    if (typeof spec.dependencies === 'string') links = spec.dependencies.split(',').map((dep) => ({ id: dep.trim() }));
+    else if (Array.isArray(spec.dependencies)) links = spec.dependencies.map((dep) => (typeof dep === 'object' ? dep : { id: dep }));
+    let after = links.filter((link) => (link.type ?? 'FS').toUpperCase() === 'FS' && !link.lag && byId.has(`${link.id}`));
+    if (after.length < links.length) {
+        warnings.push(`${label} has dependencies other than finish-to-start without lag; they are left out`);
+    }
+
+    const { start, end } = datesOf(spec);
+    if (after.length) {
+        const follows = after
+            .map((link) => datesOf(byId.get(`${link.id}`)).end)
+            .reduce((a, b) => (Temporal.PlainDateTime.compare(a, b) >= 0 ? a : b));
+        if (!follows.equals(start)) {
+            warnings.push(`${label} doesn't start where its predecessors end; its dependencies are left out to keep its start`);
+            after = [];
+        }
+    }
+    meta.push(after.length
+        ? `after ${after.map((link) => `${link.id}`.replace(/\s+/g, '_')).join(' ')}`
+        : writeMermaidDate(start));
+
+    if (spec.type === 'milestone') meta.push('0d');
+    else if (spec.duration) meta.push(toMermaidDuration(spec.duration, label, warnings));
+    else meta.push(writeMermaidDate(end));
+    return `${encode(spec.name ?? '')} :${meta.join(', ')}`;
+}
+
+/**
+ * Start and (exclusive) end of a task as Mermaid reads its line back
+ * @private
+ */
+function mermaidDates(spec, date, calendar) {
+    const start = date(spec.start);
+    if (spec.type === 'milestone') return { start, end: start };
+
+    if (spec.duration) {
+        const [, value, unit] = DURATION_REGEX.exec(toMermaidDuration(spec.duration));
+        return { start, end: addDuration(start, toSpecDuration(+value, DURATION_UNITS[unit]), calendar) };
+    }
+
+    // Bare end dates last the whole day; Mermaid's end is exclusive
+    let end = date(spec.end);
+    if (isMidnight(end) && /^\d+\D\d+\D\d+$/.test(`${spec.end}`.trim())) end = end.add({ days: 1 });
+    return { start, end };
+}
+
+/**
+ * A spec duration in Mermaid's single-unit form ("1d 4h" is "28h").
+ * Months and years have no Mermaid unit and count as 30 and 365 days.
+ * @private
+ */
+function toMermaidDuration(duration, label, warnings) {
+    const parts = duration.trim().split(/\s+/).map((part) => parseDurationString(part));
+    if (parts.some(({ unit }) => !MERMAID_UNITS[unit])) {
+        warnings?.push(`${label} has a duration in months or years; it is written in days`);
+    }
+
+    const ms = parts.reduce((sum, { value, unit }) => sum + value * SPEC_UNIT_MS[unit], 0);
+    const unit = Object.keys(MERMAID_UNITS).reverse().find((u) => ms % SPEC_UNIT_MS[u] === 0);
+    return `${ms / SPEC_UNIT_MS[unit]}${MERMAID_UNITS[unit]}`;
+}
+
+/**
+ * The `excludes` line (if any) of a calendar option. Mermaid reads the
+ * dates in the diagram's date format and splits the line at spaces.
+ * @private
+ */
+function writeExcludes(calendar, writeMermaidDate, warnings) {
+    const weekdays = new Set(calendar.weekdays ?? [1, 2, 3, 4, 5]);
+    const excluded = [];
+    if (!weekdays.has(6) && !weekdays.has(7)) excluded.push('weekends');
+    WEEKDAYS.forEach((name, i) => {
+        const day = i + 1;
+        if (!weekdays.has(day) && !((day === 6 || day === 7) && excluded.includes('weekends'))) excluded.push(name);
+    });
+    for (const holiday of calendar.holidays ?? []) {
+        const text = writeMermaidDate(toPlainDateTime(ensureInstant(holiday)).toPlainDate().toPlainDateTime());
+        if (/[\s,]/.test(text)) warnings.push(`can't exclude ${text} in a date format with spaces or commas; it is left out`);
+        else excluded.push(text);
+    }
+
+    const [start, end] = calendar.hours ?? ['00:00', '24:00'];
+    if (start !== '00:00' || end !== '24:00') {
+        warnings.push('Mermaid has no working hours; the calendar\'s hours are left out');
+    }
+    return excluded.length ? [`    excludes ${excluded.join(', ')}`] : [];
+}
+
+// Characters that end or split a Mermaid task name, as entity codes
+function encode(text) {
+    return text.replace(/[:;#]/g, (char) => `#${char.charCodeAt(0)};`);
+}
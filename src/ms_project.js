@@ -0,0 +1,523 @@
+/**
+ * Microsoft Project XML (MSPDI) import and export
+ *
+ * Converts between MSPDI documents and task specs: tasks with their
+ * outline levels, predecessor links (type and lag), percent complete,
+ * milestones and the project's base calendar. Anything either side can't
+ * represent is reported as a warning rather than dropped silently.
+ *
+ * Tasks keep the dates Project scheduled them at; lags are carried in the
+ * units they were entered in ("2d" both ways), although the chart measures
+ * them in calendar time where Project counts working time.
+ *
+ * Purely data - no visual/DOM awareness besides XML parsing.
+ */
+import Calendar from './calendar';
+import { Temporal, toPlainDateTime, toSpecDate, toSpecEndDate } from './temporal_utils';
+
+const NAMESPACE = 'http://schemas.microsoft.com/project';
+
+// PredecessorLink Type codes
+const LINK_TYPES = { 0: 'FF', 1: 'FS', 2: 'SF', 3: 'SS' };
+
+// LagFormat codes (elapsed variants are one higher, estimated ones 32
+// higher) and the lag unit each maps to
+const LAG_FORMATS = { 3: 'min', 5: 'h', 7: 'd', 9: 'w', 11: 'mo' };
+const PERCENT_LAG_FORMATS = [19, 20];
+
+// Minutes per lag unit in elapsed (24/7) time
+const ELAPSED_MINUTES = { min: 1, h: 60, d: 1440, w: 10080, mo: 43200 };
+
+// Task constraints the imported dates already satisfy: As Soon As
+// Possible and Start No Earlier Than (which exported tasks use)
+const KEPT_CONSTRAINTS = ['0', '4'];
+
+// Upper bound on days a single calendar exception may cover
+const MAX_EXCEPTION_DAYS = 3660;
+
+// Defaults of Project's Standard calendar
+const DEFAULT_MINUTES_PER_DAY = 480;
+const DEFAULT_DAYS_PER_MONTH = 20;
+
+// =========================================================================
+// IMPORT
+// =========================================================================
+
+/**
+ * Read an MSPDI document into task specs
+ * @param {string} xml - MSPDI document
+ * @returns {{tasks: Object[], calendar: Object|null, warnings: string[]}} Task
+ *   specs in outline order, the project calendar as a `calendar` option
+ *   (null if the document has none) and what couldn't be imported
+ */
+export function parseMSProject(xml) {
+    const warnings = [];
+    const doc = new DOMParser().parseFromString(xml, 'application/xml');
+    const $project = doc.documentElement;
+    if (doc.getElementsByTagName('parsererror').length || $project.localName !== 'Project') {
+        return { tasks: [], calendar: null, warnings: ['not a Microsoft Project XML document'] };
+    }
+
+    const minutesPerDay = +text($project, 'MinutesPerDay') || DEFAULT_MINUTES_PER_DAY;
+    const units = {
+        min: 1,
+        h: 60,
+        d: minutesPerDay,
+        w: +text($project, 'MinutesPerWeek') || minutesPerDay * 5,
+        mo: minutesPerDay * (+text($project, 'DaysPerMonth') || DEFAULT_DAYS_PER_MONTH),
+    };
+
+    const calendar = readCalendar($project, warnings);
+    const tasks = readTasks($project, units, warnings);
+
+    if (children(child($project, 'Resources'), 'Resource').some(($r) => text($r, 'UID') !== '0')) {
+        warnings.push('resources and their assignments are not imported');
+    }
+    return { tasks, calendar, warnings: [...new Set(warnings)] };
+}
+
+/**
+ * Task specs from the Tasks element, parents before their children
+ * @private
+ */
+function readTasks($project, units, warnings) {
+    const tasks = [];
+    const links = new Map();
+    // Innermost task spec at each outline level
+    const outline = [];
+
+    for (const $task of children(child($project, 'Tasks'), 'Task')) {
+        const uid = text($task, 'UID');
+        const level = +(text($task, 'OutlineLevel') ?? 1);
+        // Level 0 is the project summary task, null tasks are blank rows
+        if (!uid || level === 0 || text($task, 'IsNull') === '1') continue;
+
+        const name = text($task, 'Name') ?? '';
+        const label = `task "${name}" (ID: "${uid}")`;
+        const start = readDate(text($task, 'Start'));
+        const finish = readDate(text($task, 'Finish'));
+        if (!start || !finish) {
+            warnings.push(`${label} has no valid start and finish; skipping it`);
+            continue;
+        }
+
+        const spec = { id: uid, name, start: toSpecDate(start) };
+        const milestone = text($task, 'Milestone') === '1';
+        if (milestone) spec.type = 'milestone';
+        else spec.end = toSpecEndDate(finish);
+        spec.progress = +(text($task, 'PercentComplete') ?? 0);
+
+        outline.length = level - 1;
+        const parent = outline.findLast(Boolean);
+        if (parent) spec.parent = parent.id;
+        outline[level - 1] = spec;
+
+        const constraint = text($task, 'ConstraintType');
+        if (constraint && !KEPT_CONSTRAINTS.includes(constraint)) {
+            warnings.push(`${label} has a date constraint; it keeps its scheduled dates instead`);
+        }
+        const taskCalendar = text($task, 'CalendarUID');
+        if (taskCalendar && taskCalendar !== '-1') {
+            warnings.push(`${label} has a calendar of its own; the project calendar is used`);
+        }
+
+        links.set(spec, children($task, 'PredecessorLink'));
+        tasks.push(spec);
+    }
+
+    const ids = new Set(tasks.map((spec) => spec.id));
+    const parents = new Set(tasks.map((spec) => spec.parent).filter(Boolean));
+    for (const spec of tasks) {
+        // Summary dates roll up from the children
+        if (parents.has(spec.id)) {
+            delete spec.start;
+            delete spec.end;
+        }
+
+        const dependencies = [];
+        for (const $link of links.get(spec)) {
+            const id = text($link, 'PredecessorUID');
+            const label = `dependency "${id}" of task "${spec.name}" (ID: "${spec.id}")`;
+            if (text($link, 'CrossProject') === '1') {
+                warnings.push(`${label} links to another project; skipping it`);
+                continue;
+            }
+            if (!ids.has(id)) {
+                warnings.push(`${label} links to a missing task; skipping it`);
+                continue;
+            }
+
+            const dependency = { id, type: LINK_TYPES[text($link, 'Type') ?? '1'] ?? 'FS' };
+            const lag = readLag($link, units, () => warnings.push(`${label} has a percentage lag; ignoring it`));
+            if (lag) dependency.lag = lag;
+            dependencies.push(dependency);
+        }
+        if (dependencies.length) spec.dependencies = dependencies;
+    }
+    return tasks;
+}
+
+/**
+ * A link's lag as a duration string ("2d", "-1d -4h"), or null
+ * @private
+ */
+function readLag($link, units, onPercent) {
+    const tenths = +(text($link, 'LinkLag') ?? 0);
+    if (!tenths) return null;
+
+    let format = +(text($link, 'LagFormat') ?? 7);
+    if (format >= 35) format -= 32;
+    if (PERCENT_LAG_FORMATS.includes(format)) {
+        onPercent();
+        return null;
+    }
+
+    const elapsed = format % 2 === 0;
+    const unit = LAG_FORMATS[elapsed ? format - 1 : format] ?? 'd';
+    const size = elapsed ? ELAPSED_MINUTES[unit] : units[unit];
+
+    // Whole units, and what is left over in hours and minutes
+    const minutes = Math.abs(Math.round(tenths / 10));
+    const sign = tenths < 0 ? '-' : '';
+    const parts = [];
+    const count = Math.floor(minutes / size);
+    if (count) parts.push(`${sign}${count}${unit}`);
+    let rest = minutes - count * size;
+    if (rest >= 60) parts.push(`${sign}${Math.floor(rest / 60)}h`);
+    rest %= 60;
+    if (rest) parts.push(`${sign}${rest}min`);
+    return parts.join(' ') || null;
+}
+
+/**
+ * The project calendar as a `calendar` option, following base calendars
+ * for the weekdays a derived calendar doesn't define
+ * @private
+ */
+function readCalendar($project, warnings) {
+    const calendars = children(child($project, 'Calendars'), 'Calendar');
+    if (!calendars.length) return null;
+
+    const byUid = new Map(calendars.map(($calendar) => [text($calendar, 'UID'), $calendar]));
+    const $calendar = byUid.get(text($project, 'CalendarUID')) ??
+        calendars.find(($c) => text($c, 'IsBaseCalendar') === '1') ??
+        calendars[0];
+    const name = text($calendar, 'Name') ?? text($calendar, 'UID');
+
+    // Working windows per ISO weekday, from the calendar and its bases
+    const days = new Map();
+    const holidays = new Set();
+    const seen = new Set();
+    for (let $c = $calendar; $c && !seen.has($c); $c = byUid.get(text($c, 'BaseCalendarUID'))) {
+        seen.add($c);
+        for (const $day of children(child($c, 'WeekDays'), 'WeekDay')) {
+            const type = +text($day, 'DayType');
+            if (type === 0) {
+                readException($day, holidays, warnings, name);
+                continue;
+            }
+            // DayType counts from Sunday
+            const weekday = type === 1 ? 7 : type - 1;
+            if (!days.has(weekday)) days.set(weekday, readWindows($day));
+        }
+        for (const $exception of children(child($c, 'Exceptions'), 'Exception')) {
+            readException($exception, holidays, warnings, name);
+        }
+    }
+    if (!days.size) {
+        warnings.push(`calendar "${name}" defines no weekdays; using Monday to Friday, 08:00 to 17:00`);
+        return { weekdays: [1, 2, 3, 4, 5], hours: ['08:00', '17:00'], holidays: [] };
+    }
+
+    const weekdays = [...days.keys()].filter((day) => days.get(day).length).sort();
+
+    // The chart has one working window a day: the most common one wins,
+    // and breaks within it are worked through
+    const counts = new Map();
+    for (const day of weekdays) {
+        const windows = days.get(day);
+        const hours = `${windows[0][0]}-${windows.at(-1)[1]}`;
+        counts.set(hours, (counts.get(hours) ?? 0) + 1);
+        if (windows.length > 1) {
+            warnings.push(`calendar "${name}" has breaks in its working hours; they count as working time`);
+        }
+    }
+    const [hours] = [...counts].sort((a, b) => b[1] - a[1])[0] ?? ['00:00-24:00'];
+    if (counts.size > 1) {
+        warnings.push(`calendar "${name}" has different hours on different weekdays; using ${hours} on all of them`);
+    }
+
+    return {
+        weekdays,
+        hours: hours.split('-'),
+        holidays: [...holidays].sort(),
+    };
+}
+
+/**
+ * Working windows of a WeekDay as [from, to] wall-clock times
+ * @private
+ */
+function readWindows($day) {
+    if (text($day, 'DayWorking') !== '1') return [];
+
+    const windows = children(child($day, 'WorkingTimes'), 'WorkingTime')
+        .map(($time) => [readTime(text($time, 'FromTime')), readTime(text($time, 'ToTime'))])
+        .filter(([from, to]) => from && to)
+        .map(([from, to]) => [from, to === '00:00' ? '24:00' : to]);
+    // A working day without times works Project's default hours
+    return windows.length ? windows : [['08:00', '12:00'], ['13:00', '17:00']];
+}
+
+/**
+ * Add the dates of a non-working exception to the holidays
+ * @private
+ */
+function readException($exception, holidays, warnings, name) {
+    const $period = child($exception, 'TimePeriod');
+    const from = readDate(text($period, 'FromDate'))?.toPlainDate();
+    const to = readDate(text($period, 'ToDate'))?.toPlainDate();
+    if (!from || !to) return;
+
+    if (text($exception, 'DayWorking') === '1') {
+        warnings.push(`calendar "${name}" has working exceptions on non-working days; ignoring them`);
+        return;
+    }
+    // Type 1 repeats daily; other types recur on a pattern
+    const type = text($exception, 'Type');
+    if (type && type !== '1') {
+        warnings.push(`calendar "${name}" has recurring exceptions; ignoring them`);
+        return;
+    }
+
+    let date = from;
+    for (let i = 0; i < MAX_EXCEPTION_DAYS && Temporal.PlainDate.compare(date, to) <= 0; i++) {
+        holidays.add(date.toString());
+        date = date.add({ days: 1 });
+    }
+}
+
+// =========================================================================
+// EXPORT
+// =========================================================================
+
+/**
+ * Write tasks as an MSPDI document. Tasks are numbered in outline order
+ * unless all their IDs are whole numbers, and get a Start No Earlier Than
+ * constraint so Project keeps their dates.
+ * @param {Tasks} tasks - Task collection
+ * @param {Object} [options]
+ * @param {Calendar} [options.calendar] - Working-time calendar; defaults to
+ *   every day around the clock
+ * @param {string} [options.timezone='UTC'] - Timezone whose wall clock the dates are written in
+ * @param {string} [options.name] - Project name
+ * @returns {{xml: string, warnings: string[]}} The document and what couldn't be exported
+ */
+export function serializeMSProject(tasks, { calendar = null, timezone = 'UTC', name } = {}) {
+    const warnings = [];
+    calendar ??= new Calendar({ weekdays: [1, 2, 3, 4, 5, 6, 7] }, timezone);
+    const minutesPerDay = calendar.msPerDay / 60000;
+    const units = {
+        min: 1,
+        h: 60,
+        d: minutesPerDay,
+        w: minutesPerDay * calendar.weekdays.size,
+        mo: minutesPerDay * DEFAULT_DAYS_PER_MONTH,
+        y: minutesPerDay * DEFAULT_DAYS_PER_MONTH * 12,
+    };
+
+    const doc = document.implementation.createDocument(NAMESPACE, 'Project', null);
+    const $project = doc.documentElement;
+    const add = (parent, tag, value) => {
+        const $el = doc.createElementNS(NAMESPACE, tag);
+        if (value !== undefined) $el.textContent = value;
+        parent.appendChild($el);
+        return $el;
+    };
+    const date = (instant) => toPlainDateTime(instant, timezone).toString({ smallestUnit: 'second' });
+
+    add($project, 'SaveVersion', 14);
+    if (name) add($project, 'Name', name);
+    add($project, 'ScheduleFromStart', 1);
+    if (!tasks.isEmpty()) {
+        const { earliestStart, latestEnd } = tasks.getExtent();
+        add($project, 'StartDate', date(earliestStart));
+        add($project, 'FinishDate', date(latestEnd));
+    }
+    add($project, 'CalendarUID', 1);
+    add($project, 'MinutesPerDay', minutesPerDay);
+    add($project, 'MinutesPerWeek', units.w);
+    add($project, 'DaysPerMonth', DEFAULT_DAYS_PER_MONTH);
+
+    writeCalendar(add($project, 'Calendars'), calendar, add);
+
+    // Project needs numeric UIDs
+    const numeric = tasks.getAll().every((task) => /^[1-9]\d*$/.test(task.uid));
+    const uids = new Map(tasks.map((task, i) => [task.uid, numeric ? task.uid : `${i + 1}`]));
+    if (!numeric) warnings.push('task IDs are not all numbers; tasks are numbered in outline order');
+
+    const $tasks = add($project, 'Tasks');
+    const outline = [];
+    const unsupported = new Set();
+    tasks.forEach((task, i) => {
+        const level = tasks.getDepth(task.uid) + 1;
+        outline.length = level;
+        outline[level - 1] = (outline[level - 1] ?? 0) + 1;
+
+        const $task = add($tasks, 'Task');
+        add($task, 'UID', uids.get(task.uid));
+        add($task, 'ID', i + 1);
+        add($task, 'Name', task.name);
+        add($task, 'Active', 1);
+        add($task, 'Manual', 0);
+        add($task, 'OutlineNumber', outline.join('.'));
+        add($task, 'OutlineLevel', level);
+        add($task, 'Start', date(task.start));
+        add($task, 'Finish', date(task.end));
+        add($task, 'Duration', formatWork(calendar.workingTimeBetween(task.start, task.end)));
+        add($task, 'DurationFormat', 7);
+        add($task, 'Milestone', task.isMilestone() ? 1 : 0);
+        add($task, 'Summary', task.isSummary() ? 1 : 0);
+        add($task, 'PercentComplete', Math.round(task.progress));
+        if (!task.isSummary()) {
+            add($task, 'ConstraintType', 4);
+            add($task, 'ConstraintDate', date(task.start));
+        }
+
+        for (const link of task.links) {
+            if (!uids.has(link.id)) continue;
+
+            const $link = add($task, 'PredecessorLink');
+            add($link, 'PredecessorUID', uids.get(link.id));
+            add($link, 'Type', Object.keys(LINK_TYPES).find((code) => LINK_TYPES[code] === link.type));
+            add($link, 'CrossProject', 0);
+            const lag = writeLag(link.lag, units);
+            if (lag.rounded) {
+                warnings.push(`lag "${link.lag}" of task "${task.name}" (ID: "${task.uid}") is rounded to minutes`);
+            }
+            add($link, 'LinkLag', lag.tenths);
+            add($link, 'LagFormat', lag.format);
+        }
+
+        for (const key of ['custom_class', 'color', 'color_progress', 'thumbnail', 'collapsed']) {
+            if (task[key]) unsupported.add(key);
+        }
+        Object.keys(task.fields).forEach((key) => unsupported.add(key));
+    });
+    if (unsupported.size) {
+        warnings.push(`fields ${[...unsupported].map((key) => `"${key}"`).join(', ')} have no Project equivalent and are not exported`);
+    }
+
+    const xml = new XMLSerializer().serializeToString(doc);
+    return {
+        xml: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' + xml,
+        warnings: [...new Set(warnings)],
+    };
+}
+
+/**
+ * The calendar as the project's base calendar
+ * @private
+ */
+function writeCalendar($calendars, calendar, add) {
+    const $calendar = add($calendars, 'Calendar');
+    add($calendar, 'UID', 1);
+    add($calendar, 'Name', 'Standard');
+    add($calendar, 'IsBaseCalendar', 1);
+    add($calendar, 'BaseCalendarUID', -1);
+
+    const time = (minute) => {
+        const hh = `${Math.floor(minute / 60) % 24}`.padStart(2, '0');
+        return `${hh}:${`${minute % 60}`.padStart(2, '0')}:00`;
+    };
+
+    const $days = add($calendar, 'WeekDays');
+    for (let type = 1; type <= 7; type++) {
+        const working = calendar.weekdays.has(type === 1 ? 7 : type - 1);
+        const $day = add($days, 'WeekDay');
+        add($day, 'DayType', type);
+        add($day, 'DayWorking', working ? 1 : 0);
+        if (!working) continue;
+
+        const $time = add(add($day, 'WorkingTimes'), 'WorkingTime');
+        add($time, 'FromTime', time(calendar.startMinute));
+        add($time, 'ToTime', time(calendar.endMinute));
+    }
+
+    for (const holiday of [...calendar.holidays].sort()) {
+        const $day = add($days, 'WeekDay');
+        add($day, 'DayType', 0);
+        add($day, 'DayWorking', 0);
+        const $period = add($day, 'TimePeriod');
+        add($period, 'FromDate', `${holiday}T00:00:00`);
+        add($period, 'ToDate', `${holiday}T23:59:00`);
+    }
+}
+
+/**
+ * A lag string in tenths of minutes, with the format of its largest unit
+ * @private
+ */
+function writeLag(lag, units) {
+    let minutes = 0;
+    let format = 7;
+    let largest = -1;
+    const order = ['min', 'h', 'd', 'w', 'mo'];
+
+    for (const part of lag ? lag.split(/\s+/) : []) {
+        const [, value, unit] = /^(-?\d+)(\D+)$/.exec(part) ?? [];
+        if (!unit) continue;
+
+        if (unit === 's' || unit === 'ms') {
+            minutes += +value / (unit === 's' ? 60 : 60000);
+            continue;
+        }
+        // "m" is months, as in task specs; years are written as months
+        const key = unit === 'm' || unit === 'y' ? 'mo' : unit;
+        minutes += +value * units[unit === 'm' ? 'mo' : unit];
+        if (order.indexOf(key) > largest) {
+            largest = order.indexOf(key);
+            format = +Object.keys(LAG_FORMATS).find((code) => LAG_FORMATS[code] === key);
+        }
+    }
+
+    // Project keeps tenths of minutes but shows (and imports as) minutes
+    const rounded = Math.round(minutes);
+    return { tenths: rounded * 10, format, rounded: rounded !== minutes };
+}
+
+// =========================================================================
+// HELPERS
+// =========================================================================
+
+function children(parent, tag) {
+    return parent ? [...parent.children].filter(($el) => $el.localName === tag) : [];
+}
+
+function child(parent, tag) {
+    return children(parent, tag)[0] ?? null;
+}
+
+function text(parent, tag) {
+    return child(parent, tag)?.textContent.trim() ?? null;
+}
+
+function readDate(value) {
+    if (!value) return null;
+    try {
+        return Temporal.PlainDateTime.from(value);
+    } catch {
+        return null;
+    }
+}
+
+function readTime(value) {
+    const match = /^(\d{2}):(\d{2})/.exec(value ?? '');
+    return match ? `${match[1]}:${match[2]}` : null;
+}
+
+// Working milliseconds as an xsd:duration ("PT16H0M0S")
+function formatWork(ms) {
+    const minutes = Math.round(ms / 60000);
+    return `PT${Math.floor(minutes / 60)}H${minutes % 60}M0S`;
+}
@@ -44,10 +44,19 @@ export default class Popup {
     show({ x, y, task, target }) {
         this.actions.innerHTML = '';
 
+        // Reuse the chart's analysis; floats are undefined for tasks outside
+        // it (summaries) or with the `critical_path` option off
+        const analysis = this.gantt.options.critical_path
+            ? this.gantt.chart.criticalPath?.schedule.get(task.uid)
+            : undefined;
+
         const html = this.popupFunc({
             task,
             target,
             chart: this.gantt,
+            critical: analysis?.critical ?? false,
+            total_float: analysis?.totalFloat,
+            free_float: analysis?.freeFloat,
             get_title: () => this.title,
             set_title: (title) => (this.title.innerHTML = title),
             get_subtitle: () => this.subtitle,
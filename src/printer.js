@@ -0,0 +1,240 @@
+import { createSVG } from './svg_utils';
+import SVGExporter from './svg_exporter';
+
+// Paper sizes in millimetres, portrait
+const PAGE_SIZES = {
+    A3: [297, 420],
+    A4: [210, 297],
+    A5: [148, 210],
+    Letter: [215.9, 279.4],
+    Legal: [215.9, 355.6],
+    Tabloid: [279.4, 431.8],
+};
+// CSS pixels per millimetre
+const PX_PER_MM = 96 / 25.4;
+// Indent (px) of task names per level of nesting, as in the task table
+const NAME_INDENT = 16;
+const NAME_PADDING = 8;
+// Element the pages show the chart from (see render)
+const CHART_ID = 'gantt-print-chart';
+
+/**
+ * Printer - Paginated print layout (Gantt.print)
+ *
+ * Lays the exported chart (see SVGExporter) out on pages of a given paper
+ * size: split by time range across pages and by rows down pages, each
+ * page repeating the date header and a column of task names. The chart is
+ * drawn once and every page shows its part of it through <use>. While
+ * printing, styles/print.css hides the rest of the document.
+ *
+ * Visual layer - reads tasks and the exported chart.
+ */
+export default class Printer {
+    /**
+     * @param {Gantt} gantt - Reference to the Gantt instance
+     */
+    constructor(gantt) {
+        this.gantt = gantt;
+    }
+
+    /**
+     * Open the browser's print dialog with the chart laid out on pages
+     * @param {Object} [options] - See render
+     */
+    print(options) {
+        const $root = this.render(options);
+        const $html = document.documentElement;
+
+        document.body.appendChild($root);
+        $html.classList.add('gantt-printing');
+        window.addEventListener('afterprint', () => {
+            $root.remove();
+            $html.classList.remove('gantt-printing');
+        }, { once: true });
+        window.print();
+    }
+
+    /**
+     * Build the print pages without printing them (e.g. for a preview)
+     * @param {Object} [options]
+     * @param {string|{width: number, height: number}} [options.pageSize='A4'] - A3, A4, A5,
+     *   Letter, Legal, Tabloid, or a size in millimetres
+     * @param {string} [options.orientation='landscape'] - 'landscape' or 'portrait'
+     * @param {number} [options.margin=10] - Page margin in millimetres
+     * @param {boolean} [options.fitToWidth=false] - Shrink the chart so each page holds its whole
+     *   time range; rows still continue on further pages
+     * @param {{start, end}} [options.range] - Time range; defaults to the extent of all tasks
+     * @returns {HTMLElement} Detached element holding the pages and their @page rule
+     */
+    render({
+        pageSize = 'A4',
+        orientation = 'landscape',
+        margin = 10,
+        fitToWidth = false,
+        range,
+    } = {}) {
+        const gantt = this.gantt;
+        let size = typeof pageSize === 'string'
+            ? PAGE_SIZES[pageSize]
+            : [pageSize?.width, pageSize?.height];
+        if (!size || !(size[0] > 0 && size[1] > 0)) {
+            console.warn(`unknown page size ${JSON.stringify(pageSize)}; using A4`);
+            size = PAGE_SIZES.A4;
+        }
+        const [short, long] = [Math.min(...size), Math.max(...size)];
+        const [paperWidth, paperHeight] = orientation === 'portrait' ? [short, long] : [long, short];
+
+        const $chart = new SVGExporter(gantt).render({ range });
+        const chartWidth = +$chart.getAttribute('width');
+        const nameColumn = gantt.options.table_columns?.find((column) => column.field === 'name');
+
+        // Page layout in chart pixels
+        const contentWidth = (paperWidth - 2 * margin) * PX_PER_MM;
+        const contentHeight = (paperHeight - 2 * margin) * PX_PER_MM;
+        let nameWidth = nameColumn?.width ?? 160;
+        const scale = fitToWidth ? Math.min(1, contentWidth / (nameWidth + chartWidth)) : 1;
+        const pageWidth = contentWidth / scale;
+        const pageHeight = contentHeight / scale;
+        // Leave at least half of a page to the chart
+        nameWidth = Math.min(nameWidth, pageWidth / 2);
+
+        const layout = {
+            width: `${paperWidth - 2 * margin}mm`,
+            height: `${paperHeight - 2 * margin}mm`,
+            pageWidth,
+            pageHeight,
+            nameWidth,
+            nameHeader: nameColumn?.header ?? 'Task',
+            sliceWidth: pageWidth - nameWidth,
+            headerHeight: gantt.config.header_height,
+            rowHeight: gantt.options.bar_height + gantt.options.padding,
+        };
+        const rowsPerPage = Math.max(
+            1,
+            Math.floor((pageHeight - layout.headerHeight) / layout.rowHeight),
+        );
+
+        const $root = document.createElement('div');
+        $root.classList.add('gantt-print');
+        const $pageRule = document.createElement('style');
+        $pageRule.textContent = `@page { size: ${paperWidth}mm ${paperHeight}mm; margin: ${margin}mm; }`;
+        $root.appendChild($pageRule);
+
+        // The chart, drawn once for all pages
+        const $source = createSVG('svg', { class: 'gantt-print-source', width: 0, height: 0, append_to: $root });
+        const $defs = createSVG('defs', { append_to: $source });
+        const $content = createSVG('g', { id: CHART_ID, append_to: $defs });
+        if ($chart.hasAttribute('style')) $content.setAttribute('style', $chart.getAttribute('style'));
+        $content.append(...$chart.childNodes);
+
+        // Across the time range first, then down the rows
+        const rows = gantt.tasks.getVisible();
+        for (let first = 0; first < Math.max(rows.length, 1); first += rowsPerPage) {
+            const pageRows = rows.slice(first, first + rowsPerPage);
+            for (let x = 0; x < chartWidth; x += layout.sliceWidth) {
+                $root.appendChild(this._renderPage(layout, {
+                    x,
+                    width: Math.min(layout.sliceWidth, chartWidth - x),
+                    first,
+                    rows: pageRows,
+                }));
+            }
+        }
+        return $root;
+    }
+
+    /**
+     * One page: the name column, and the header and rows of a time slice
+     * @private
+     */
+    _renderPage(layout, { x, width, first, rows }) {
+        const { headerHeight, rowHeight, nameWidth } = layout;
+        const $page = document.createElement('div');
+        $page.classList.add('gantt-print-page');
+
+        const $svg = createSVG('svg', {
+            width: layout.width,
+            height: layout.height,
+            viewBox: `0 0 ${layout.pageWidth} ${layout.pageHeight}`,
+            append_to: $page,
+        });
+
+        const bodyHeight = rows.length * rowHeight;
+        const views = [
+            [0, 0, headerHeight],
+            [headerHeight, headerHeight + first * rowHeight, bodyHeight],
+        ];
+        for (const [y, top, height] of views) {
+            const $view = createSVG('svg', {
+                x: nameWidth,
+                y,
+                width,
+                height,
+                viewBox: `${x} ${top} ${width} ${height}`,
+                append_to: $svg,
+            });
+            createSVG('use', { href: '#' + CHART_ID, append_to: $view });
+        }
+
+        this._renderNames($svg, layout, rows);
+        return $page;
+    }
+
+    /**
+     * The task name column, repeated on every page
+     * @private
+     */
+    _renderNames($svg, layout, rows) {
+        const { headerHeight, rowHeight, nameWidth } = layout;
+        const options = this.gantt.options;
+        const tasks = this.gantt.tasks;
+
+        // A nested svg clips names that don't fit
+        const $names = createSVG('svg', {
+            class: 'print-names',
+            width: nameWidth,
+            height: headerHeight + rows.length * rowHeight,
+            append_to: $svg,
+        });
+
+        createSVG('rect', {
+            x: 0,
+            y: 0,
+            width: nameWidth,
+            height: headerHeight,
+            class: 'print-names-header',
+            append_to: $names,
+        });
+        createSVG('text', {
+            x: NAME_PADDING,
+            // In line with the lower header's labels
+            y: options.upper_header_height + 5 + options.lower_header_height * 0.4,
+            class: 'print-names-header-text',
+            append_to: $names,
+        }).textContent = layout.nameHeader;
+
+        rows.forEach((task, i) => {
+            const y = headerHeight + i * rowHeight;
+            createSVG('rect', {
+                x: 0,
+                y,
+                width: nameWidth,
+                height: rowHeight,
+                class: 'print-name-row' + (task.isSummary() ? ' print-name-row-summary' : ''),
+                append_to: $names,
+            });
+            createSVG('text', {
+                x: NAME_PADDING + tasks.getDepth(task.uid) * NAME_INDENT,
+                y: y + rowHeight / 2,
+                class: 'print-name' + (task.isSummary() ? ' print-name-summary' : ''),
+                append_to: $names,
+            }).textContent = task.name;
+        });
+
+        createSVG('path', {
+            d: `M ${nameWidth - 0.5} 0 v ${headerHeight + rows.length * rowHeight}`,
+            class: 'print-names-border',
+            append_to: $svg,
+        });
+    }
+}
@@ -1,4 +1,4 @@
-import { Temporal, parseDuration, add } from './temporal_utils';
+import { Temporal, parseDuration, parseLagString, add } from './temporal_utils';
 
 /**
  * Scheduler - Temporal computation layer
@@ -32,6 +32,15 @@ export default class Scheduler {
      * @returns {number} Snapped pixel delta
      */
     getSnapPosition(dx) {
+        const snap_pixels = this.getSnapWidth();
+        return Math.round(dx / snap_pixels) * snap_pixels;
+    }
+
+    /**
+     * Width of one snap unit in pixels (the smallest step a drag moves by)
+     * @returns {number}
+     */
+    getSnapWidth() {
         const gantt = this.gantt;
         const step_duration = parseDuration(gantt.config.view_mode.step);
         const default_snap =
@@ -52,16 +61,35 @@ export default class Scheduler {
             relativeTo,
         });
 
-        const snap_pixels =
-            (snap_ms / step_ms) * gantt.config.step.column_width;
-
-        return Math.round(dx / snap_pixels) * snap_pixels;
+        return (snap_ms / step_ms) * gantt.config.step.column_width;
     }
 
     // =========================================================================
     // TASK MUTATION
     // =========================================================================
 
+    /**
+     * Dates of a task moved to a new start.
+     *
+     * With a working-time calendar the start is pushed out of non-working
+     * time and the task keeps its working duration, stretching across
+     * weekends and holidays. Otherwise it keeps its exact duration.
+     *
+     * @param {Task} task - The task being moved
+     * @param {Temporal.Instant} newStart - Proposed start
+     * @returns {{ newStart: Temporal.Instant, newEnd: Temporal.Instant }}
+     */
+    getMovedDates(task, newStart) {
+        const calendar = this.gantt.config.calendar;
+        if (!calendar || task.isMilestone()) {
+            return { newStart, newEnd: newStart.add(task.start.until(task.end)) };
+        }
+
+        const start = calendar.nextWorkingTime(newStart);
+        const workingMs = calendar.workingTimeBetween(task.start, task.end);
+        return { newStart: start, newEnd: calendar.addWorkingTime(start, workingMs) };
+    }
+
     /**
      * Commit a date change to a task after drag/resize.
      *
@@ -72,32 +100,124 @@ export default class Scheduler {
      * @param {Task} task - The task to update
      * @param {Temporal.Instant} newStart - New start instant
      * @param {Temporal.Instant} newEnd - New end instant
+     * @returns {boolean} False if the change was vetoed
      */
     commitDateChange(task, newStart, newEnd) {
-        const changed =
-            Temporal.Instant.compare(task.start, newStart) !== 0 ||
-            Temporal.Instant.compare(task.end, newEnd) !== 0;
+        return this.commitDateChanges([{ task, newStart, newEnd }]);
+    }
 
-        if (changed) {
-            task.start = newStart;
-            task.end = newEnd;
-            this.gantt.triggerEvent('date_change', [
+    /**
+     * Commit several date changes as one all-or-nothing operation.
+     *
+     * Fires 'before_date_change' for every changed task first; if any
+     * handler returns false, no task is modified. Otherwise all tasks
+     * are updated, summary tasks rolled up, and 'date_change' fires once
+     * with the first changed task and the list of all changes.
+     *
+     * @param {Array<{task: Task, newStart: Temporal.Instant, newEnd: Temporal.Instant}>} changes
+     * @returns {boolean} False if the changes were vetoed
+     */
+    commitDateChanges(changes) {
+        const changed = changes.filter(
+            ({ task, newStart, newEnd }) =>
+                Temporal.Instant.compare(task.start, newStart) !== 0 ||
+                Temporal.Instant.compare(task.end, newEnd) !== 0,
+        );
+
+        for (const { task, newStart, newEnd } of changed) {
+            const allowed = this.gantt.triggerEvent('before_date_change', [
                 task,
                 newStart,
                 add(newEnd, -1, 'second'),
             ]);
+            if (!allowed) return false;
         }
+
+        if (!changed.length) return true;
+
+        const before = this.gantt.tasks.snapshot(changed.map(({ task }) => task.uid));
+        for (const { task, newStart, newEnd } of changed) {
+            task.start = newStart;
+            task.end = newEnd;
+        }
+        this.gantt.tasks.rollUpSummaries();
+        this.gantt.recordHistory('date_change', before);
+
+        // One notification per commit; the first change keeps the
+        // (task, start, end) signature, the list carries all of them
+        const list = changed.map(({ task, newStart, newEnd }) => ({
+            task,
+            start: newStart,
+            end: add(newEnd, -1, 'second'),
+        }));
+        const [first] = list;
+        this.gantt.triggerEvent('date_change', [first.task, first.start, first.end, list]);
+        return true;
     }
 
     /**
      * Commit a progress change to a task after progress-handle drag.
      *
+     * Fires 'before_progress_change' first; a handler returning false
+     * leaves the task unchanged.
+     *
      * @param {Task} task - The task to update
      * @param {number} newProgress - New progress percentage (0-100)
+     * @returns {boolean} False if the change was vetoed
      */
     commitProgressChange(task, newProgress) {
+        if (!this.gantt.triggerEvent('before_progress_change', [task, newProgress])) {
+            return false;
+        }
+        const before = this.gantt.tasks.snapshot([task.uid]);
         task.progress = newProgress;
+        this.gantt.tasks.rollUpSummaries();
+        this.gantt.recordHistory('progress_change', before);
         this.gantt.triggerEvent('progress_change', [task, newProgress]);
+        return true;
+    }
+
+    // =========================================================================
+    // DEPENDENCY CONSTRAINTS
+    // =========================================================================
+
+    /**
+     * Shift an instant by a dependency lag (negative lags are leads).
+     *
+     * @param {Temporal.Instant} instant
+     * @param {string|null} lag - Duration string like "2d" or "-1d 4h"
+     * @param {number} [direction=1] - -1 to shift backwards by the lag
+     * @returns {Temporal.Instant}
+     */
+    applyLag(instant, lag, direction = 1) {
+        if (!lag) return instant;
+
+        let result = instant;
+        for (const part of lag.split(/\s+/)) {
+            const { value, unit } = parseLagString(part);
+            result = add(result, direction * value, unit, this.gantt.config.timezone);
+        }
+        return result;
+    }
+
+    /**
+     * Get the constraint a dependency link puts on its successor.
+     *
+     * FS/SS constrain the successor's start, FF/SF its end; FS/FF are
+     * measured from the predecessor's end, SS/SF from its start.
+     *
+     * @param {{type: string, lag: string|null}} link - Dependency link
+     * @param {Temporal.Instant} predecessorStart
+     * @param {Temporal.Instant} predecessorEnd
+     * @returns {{edge: 'start'|'end', min: Temporal.Instant}} The successor
+     *   edge and the earliest instant it may be at
+     */
+    getLinkConstraint(link, predecessorStart, predecessorEnd) {
+        const from = link.type[0] === 'S' ? predecessorStart : predecessorEnd;
+        return {
+            edge: link.type[1] === 'S' ? 'start' : 'end',
+            min: this.applyLag(from, link.lag),
+        };
     }
 
     // =========================================================================
@@ -107,18 +227,219 @@ export default class Scheduler {
     /**
      * Get all task IDs affected by modifying the given task.
      *
-     * Encapsulates the move_dependencies policy: when enabled, returns the
-     * task itself plus all transitively dependent tasks. Otherwise returns
-     * only the given task.
+     * Encapsulates the move_dependencies and auto_schedule policies: when
+     * either is enabled, returns the task itself plus all transitively
+     * dependent tasks. Otherwise returns only the given task.
      *
      * @param {string} taskId - The task being modified
      * @returns {string[]} Affected task IDs (always includes taskId)
      */
     getAffectedTaskIds(taskId) {
         const ids = [taskId];
-        if (this.gantt.options.move_dependencies) {
+        if (this.gantt.options.move_dependencies || this.gantt.options.auto_schedule) {
             ids.push(...this.gantt.tasks.getAllDependentIds(taskId));
         }
         return ids;
     }
+
+    // =========================================================================
+    // AUTO SCHEDULING
+    // =========================================================================
+
+    /**
+     * Forward-schedule the successors of changed tasks.
+     *
+     * Walks the transitive dependents in dependency order and moves each
+     * one (keeping its duration) just far enough to satisfy all of its
+     * links. With `auto_schedule: 'tight'` successors are also pulled back
+     * to the earliest start their links allow. Summary tasks are skipped,
+     * their dates roll up from their children.
+     *
+     * @param {Map<string, {start: Temporal.Instant, end: Temporal.Instant}>} changes -
+     *   Proposed dates of the tasks being edited
+     * @returns {Map<string, {start: Temporal.Instant, end: Temporal.Instant}>}
+     *   New dates of the successors that have to move
+     */
+    scheduleForward(changes) {
+        const tasks = this.gantt.tasks;
+        const tight = this.gantt.options.auto_schedule === 'tight';
+        const planned = new Map();
+
+        const datesOf = (id) => {
+            const task = tasks.get(id);
+            return changes.get(id) ?? planned.get(id) ?? { start: task.start, end: task.end };
+        };
+
+        for (const id of this._dependentsInOrder([...changes.keys()])) {
+            const task = tasks.get(id);
+            if (!task || changes.has(id) || task.isSummary()) continue;
+
+            const duration = task.start.until(task.end);
+            let earliest = null;
+
+            for (const link of task.links) {
+                if (!tasks.get(link.id)) continue;
+
+                const predecessor = datesOf(link.id);
+                const { edge, min } = this.getLinkConstraint(link, predecessor.start, predecessor.end);
+                const start = edge === 'start' ? min : min.subtract(duration);
+
+                if (!earliest || Temporal.Instant.compare(start, earliest) > 0) {
+                    earliest = start;
+                }
+            }
+            if (!earliest) continue;
+
+            if (!tight && Temporal.Instant.compare(earliest, task.start) < 0) {
+                earliest = task.start;
+            }
+            const { newStart, newEnd } = this.getMovedDates(task, earliest);
+            if (Temporal.Instant.compare(newStart, task.start) === 0) continue;
+
+            planned.set(id, { start: newStart, end: newEnd });
+        }
+
+        return planned;
+    }
+
+    // =========================================================================
+    // CRITICAL PATH
+    // =========================================================================
+
+    /**
+     * Critical path analysis over the dependency graph.
+     *
+     * The forward pass computes early start/finish, treating each task's
+     * current start as a start-no-earlier-than date; the backward pass
+     * computes late start/finish from the project finish (latest early
+     * finish). Floats are Temporal.Durations. Summary and invalid tasks,
+     * and links to them, are left out.
+     *
+     * @returns {{
+     *   tasks: Task[],
+     *   links: Array<{from: string, to: string}>,
+     *   finish: Temporal.Instant|null,
+     *   schedule: Map<string, {
+     *     earlyStart: Temporal.Instant, earlyFinish: Temporal.Instant,
+     *     lateStart: Temporal.Instant, lateFinish: Temporal.Instant,
+     *     totalFloat: Temporal.Duration, freeFloat: Temporal.Duration,
+     *     critical: boolean
+     *   }>
+     * }} Critical tasks in dependency order, driving links between them,
+     *   the project finish and the per-task schedule
+     */
+    getCriticalPath() {
+        const tasks = this.gantt.tasks;
+        const ids = tasks.getAll()
+            .filter((task) => !task.isSummary() && !task.invalid)
+            .map((task) => task.uid);
+        const inGraph = new Set(ids);
+        const order = this._dependentsInOrder(ids).filter((id) => inGraph.has(id));
+
+        const later = (a, b) => (Temporal.Instant.compare(a, b) >= 0 ? a : b);
+        const earlier = (a, b) => (Temporal.Instant.compare(a, b) <= 0 ? a : b);
+        const durationOf = (task) => task.start.until(task.end);
+        const span = (from, to) => from.until(to, { largestUnit: 'hour' });
+
+        // Forward pass
+        const early = new Map();
+        let finish = null;
+        for (const id of order) {
+            const task = tasks.get(id);
+            const duration = durationOf(task);
+            let start = task.start;
+
+            for (const link of task.links) {
+                const predecessor = early.get(link.id);
+                if (!predecessor) continue;
+
+                const { edge, min } = this.getLinkConstraint(link, predecessor.start, predecessor.end);
+                start = later(start, edge === 'start' ? min : min.subtract(duration));
+            }
+
+            const end = start.add(duration);
+            early.set(id, { start, end });
+            finish = finish ? later(finish, end) : end;
+        }
+
+        // Backward pass
+        const late = new Map();
+        for (const id of [...order].reverse()) {
+            const duration = durationOf(tasks.get(id));
+            let end = finish;
+
+            for (const successorId of tasks.getDependentIds(id)) {
+                const successor = late.get(successorId);
+                if (!successor) continue;
+
+                const link = tasks.get(successorId).getLink(id);
+                const successorEdge = link.type[1] === 'S' ? successor.start : successor.end;
+                const anchor = this.applyLag(successorEdge, link.lag, -1);
+                end = earlier(end, link.type[0] === 'S' ? anchor.add(duration) : anchor);
+            }
+
+            late.set(id, { start: end.subtract(duration), end });
+        }
+
+        // Floats and driving links
+        const schedule = new Map();
+        const links = [];
+        for (const id of order) {
+            const { start, end } = early.get(id);
+            const totalFloat = span(start, late.get(id).start);
+            let freeFloat = span(end, finish);
+
+            for (const successorId of tasks.getDependentIds(id)) {
+                const successor = early.get(successorId);
+                if (!successor) continue;
+
+                const link = tasks.get(successorId).getLink(id);
+                const { edge, min } = this.getLinkConstraint(link, start, end);
+                const slack = span(min, edge === 'start' ? successor.start : successor.end);
+                if (Temporal.Duration.compare(slack, freeFloat) < 0) freeFloat = slack;
+                if (slack.sign <= 0) links.push({ from: id, to: successorId });
+            }
+
+            schedule.set(id, {
+                earlyStart: start,
+                earlyFinish: end,
+                lateStart: late.get(id).start,
+                lateFinish: late.get(id).end,
+                totalFloat,
+                freeFloat,
+                critical: totalFloat.sign <= 0,
+            });
+        }
+
+        const isCritical = (id) => schedule.get(id)?.critical;
+        return {
+            tasks: order.filter(isCritical).map((id) => tasks.get(id)),
+            links: links.filter(({ from, to }) => isCritical(from) && isCritical(to)),
+            finish,
+            schedule,
+        };
+    }
+
+    /**
+     * Transitive dependents of the given tasks, predecessors first.
+     * Tasks on a dependency cycle are visited once, in arbitrary order.
+     * @private
+     */
+    _dependentsInOrder(ids) {
+        const tasks = this.gantt.tasks;
+        const order = [];
+        const visited = new Set();
+
+        const visit = (id) => {
+            if (visited.has(id)) return;
+            visited.add(id);
+            for (const dependentId of tasks.getDependentIds(id)) {
+                visit(dependentId);
+            }
+            order.push(id);
+        };
+        ids.forEach(visit);
+
+        return order.reverse();
+    }
 }
@@ -0,0 +1,211 @@
+import { $, createSVG } from './svg_utils';
+
+// Distance (px) the pointer must move before a press on the grid draws a lasso
+const LASSO_THRESHOLD = 5;
+
+/**
+ * Selection - The set of selected tasks
+ *
+ * Tasks are selected by clicking their bars (Ctrl/Cmd or Shift adds and
+ * removes single bars) or by dragging a lasso over the grid. Selected bars
+ * are marked with the `selected` class; dragging one of them moves them
+ * all (see Bars).
+ *
+ * Visual layer - fires 'selection_change' through Gantt.
+ */
+export default class Selection {
+    /**
+     * @param {Gantt} gantt - Reference to the Gantt instance
+     */
+    constructor(gantt) {
+        this.gantt = gantt;
+        this._ids = new Set();
+        this._lasso = null;
+    }
+
+    /**
+     * Get the selected task UIDs, in the order they were selected
+     * @returns {string[]}
+     */
+    get() {
+        return [...this._ids];
+    }
+
+    /**
+     * Check whether a task is selected
+     * @param {string} id - Task UID
+     * @returns {boolean}
+     */
+    has(id) {
+        return this._ids.has(id);
+    }
+
+    /**
+     * Replace the selection. Unknown and hidden tasks are left out.
+     * Fires 'selection_change' if the selection changed.
+     * @param {Iterable<string>} ids - Task UIDs
+     */
+    set(ids) {
+        const tasks = this.gantt.tasks;
+        const next = new Set([...ids].filter((id) => tasks.isVisible(id)));
+
+        const same = next.size === this._ids.size && [...next].every((id) => this._ids.has(id));
+        if (same) return;
+
+        this._ids = next;
+        this.mark();
+        this.gantt.triggerEvent('selection_change', [this.get()]);
+    }
+
+    /**
+     * Add a task to the selection, or remove it if it is selected
+     * @param {string} id - Task UID
+     */
+    toggle(id) {
+        const ids = new Set(this._ids);
+        if (!ids.delete(id)) ids.add(id);
+        this.set(ids);
+    }
+
+    clear() {
+        this.set([]);
+    }
+
+    /**
+     * Drop tasks that were removed or hidden, and mark the selected bars
+     * (after bars were created or redrawn)
+     */
+    sync() {
+        this.set(this._ids);
+        this.mark();
+    }
+
+    /**
+     * Mark the bars in the DOM that are selected
+     */
+    mark() {
+        for (const bar of this.gantt.chart.bars.getAll()) {
+            bar.group.classList.toggle('selected', this._ids.has(bar.task.uid));
+        }
+    }
+
+    // =========================================================================
+    // INTERACTION
+    // =========================================================================
+
+    /**
+     * Bind selecting by clicking bars and by dragging a lasso over the
+     * grid. The lasso is drawn with Ctrl/Cmd or Shift held, or by any drag
+     * on the grid when `drag_to_create` is off.
+     * @param {SVGElement} svg - The SVG element to bind events to
+     */
+    bindEvents(svg) {
+        this.$svg = svg;
+
+        $.on(svg, 'click', '.bar-wrapper', (e, wrapper) => {
+            const id = wrapper.getAttribute('data-id');
+            // The click that ends a drag keeps the dragged selection
+            if (this.gantt.chart.bars.get(id)?.action_completed) return;
+            if (e.ctrlKey || e.metaKey || e.shiftKey) {
+                this.toggle(id);
+            } else {
+                this.set([id]);
+            }
+        });
+
+        $.on(svg, 'pointerdown', '.grid-row, .holiday-highlight, .ignored-bar', (e) => {
+            // Touch drags on the grid scroll the chart
+            if (!e.isPrimary || e.button > 0 || e.pointerType === 'touch') return;
+
+            const additive = e.ctrlKey || e.metaKey || e.shiftKey;
+            if (!additive && this.gantt.options.drag_to_create) return;
+
+            const { x, y } = this.gantt.chart.getSVGPoint(e);
+            this._lasso = { x, y, additive, $rect: null };
+        });
+
+        $.on(svg, 'pointermove', (e) => {
+            this._onLassoMove(e);
+        });
+
+        $.on(svg, 'pointerup', () => {
+            this._endLasso();
+        });
+
+        $.on(svg, 'pointercancel', () => {
+            this._endLasso(false);
+        });
+    }
+
+    /**
+     * Stretch the lasso to the pointer
+     * @private
+     */
+    _onLassoMove(e) {
+        const lasso = this._lasso;
+        if (!lasso) return;
+
+        const { x, y } = this.gantt.chart.getSVGPoint(e);
+        if (!lasso.$rect) {
+            if (Math.hypot(x - lasso.x, y - lasso.y) <= LASSO_THRESHOLD) return;
+
+            this.$svg.setPointerCapture(e.pointerId);
+            lasso.$rect = createSVG('rect', {
+                class: 'selection-lasso',
+                append_to: this.$svg,
+            });
+        }
+
+        lasso.box = {
+            left: Math.min(lasso.x, x),
+            right: Math.max(lasso.x, x),
+            top: Math.min(lasso.y, y),
+            bottom: Math.max(lasso.y, y),
+        };
+        $.attr(lasso.$rect, {
+            x: lasso.box.left,
+            y: lasso.box.top,
+            width: lasso.box.right - lasso.box.left,
+            height: lasso.box.bottom - lasso.box.top,
+        });
+    }
+
+    /**
+     * Select the bars inside the lasso and remove it
+     * @private
+     */
+    _endLasso(commit = true) {
+        const lasso = this._lasso;
+        if (!lasso) return;
+        this._lasso = null;
+
+        if (!lasso.$rect) return;
+        lasso.$rect.remove();
+        if (!commit) return;
+
+        const ids = this._tasksInBox(lasso.box).map((task) => task.uid);
+        this.set(lasso.additive ? [...this._ids, ...ids] : ids);
+    }
+
+    /**
+     * Visible tasks whose bars intersect a box in SVG coordinates. Works
+     * from the task dates, so bars outside a virtualized render window
+     * count too.
+     * @private
+     */
+    _tasksInBox(box) {
+        const chart = this.gantt.chart;
+        const [from, to] = chart.getRowRange(box);
+        const milestoneHalf = this.gantt.options.bar_height / 2;
+
+        return this.gantt.tasks.getVisible().slice(from, to).filter((task) => {
+            let x1 = chart.viewport.dateToX(task.start);
+            let x2 = chart.viewport.dateToX(task.end);
+            if (task.isMilestone()) {
+                x1 -= milestoneHalf;
+                x2 += milestoneHalf;
+            }
+            return x2 >= box.left && x1 <= box.right;
+        });
+    }
+}
@@ -0,0 +1,280 @@
+import { $, createSVG } from './svg_utils';
+import { add, ensureInstant, floor } from './temporal_utils';
+
+// Parts of the chart that are only there to be interacted with
+const INTERACTIVE_SELECTOR = '.handle, .connector, .arrow-hit, animate';
+
+// Presentation properties resolved from the stylesheet (and its CSS
+// variables) onto each exported element. All of them inherit, so an
+// element only gets the ones that differ from its parent's.
+const STYLE_PROPERTIES = [
+    'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity',
+    'stroke-dasharray', 'stroke-linecap', 'stroke-linejoin',
+    'font-family', 'font-size', 'font-weight', 'text-anchor', 'dominant-baseline',
+];
+
+/**
+ * SVGExporter - The chart as a standalone SVG document
+ *
+ * Renders the chart once more with every row and the whole requested time
+ * range (ignoring virtualization and scrolling), copies the SVG with its
+ * computed styles written inline, and adds what the live chart draws in
+ * HTML: the date header, the today marker and holiday names. The live
+ * chart is rendered back afterwards, keeping its scroll position.
+ *
+ * Visual layer - reads the rendered Chart.
+ */
+export default class SVGExporter {
+    /**
+     * @param {Gantt} gantt - Reference to the Gantt instance
+     */
+    constructor(gantt) {
+        this.gantt = gantt;
+    }
+
+    /**
+     * Export the chart
+     * @param {Object} [options]
+     * @param {{start: string|Date|Temporal.Instant, end: string|Date|Temporal.Instant}} [options.range]
+     *   Time range to export; defaults to the extent of all tasks
+     * @param {boolean} [options.includeHeader=true] - Draw the date header
+     * @returns {string} SVG document
+     */
+    export(options) {
+        return new XMLSerializer().serializeToString(this.render(options));
+    }
+
+    /**
+     * Build the standalone SVG element (see export)
+     * @param {Object} [options] - As for export
+     * @returns {SVGElement} Detached SVG element
+     */
+    render({ range, includeHeader = true } = {}) {
+        const gantt = this.gantt;
+        const chart = gantt.chart;
+        const saved = { ...chart.renderedRange };
+        const { scrollLeft, scrollTop } = chart.$container;
+
+        const { start, end } = this._resolveRange(range) ?? saved;
+        chart.fullRender = true;
+        chart.setRenderedRange(start, end);
+        chart.viewport.setOrigin(chart.renderedRange.start);
+        try {
+            gantt.render(true);
+            // The selection is interaction state, not part of the picture
+            for (const $selected of chart.$svg.querySelectorAll('.selected')) {
+                $selected.classList.remove('selected');
+            }
+            return this._build(includeHeader);
+        } finally {
+            chart.fullRender = false;
+            chart.setRenderedRange(saved.start, saved.end);
+            chart.viewport.setOrigin(saved.start);
+            gantt.render(true);
+            chart.$container.scrollLeft = scrollLeft;
+            chart.$container.scrollTop = scrollTop;
+        }
+    }
+
+    /**
+     * The range to render: the given one, or the tasks' extent with a step
+     * to spare on either side. Null if there is nothing to go by.
+     * @private
+     */
+    _resolveRange(range) {
+        const { timezone, step } = this.gantt.config;
+        if (range) {
+            return {
+                start: ensureInstant(range.start, timezone),
+                end: ensureInstant(range.end, timezone),
+            };
+        }
+
+        if (this.gantt.tasks.isEmpty()) return null;
+        const { earliestStart, latestEnd } = this.gantt.tasks.getExtent();
+        return {
+            start: add(floor(earliestStart, step.unit, timezone), -step.interval, step.unit, timezone),
+            end: add(latestEnd, step.interval, step.unit, timezone),
+        };
+    }
+
+    /**
+     * Assemble the standalone SVG from the freshly rendered chart
+     * @private
+     */
+    _build(includeHeader) {
+        const chart = this.gantt.chart;
+        const headerHeight = this.gantt.config.header_height;
+        const width = +chart.$svg.querySelector('.grid-background').getAttribute('width');
+        const height = +chart.$svg.getAttribute('height');
+        const top = includeHeader ? 0 : headerHeight;
+
+        const $export = chart.$svg.cloneNode(true);
+        this._labelHolidays($export);
+        this._inlineStyles(chart.$svg, $export, {});
+        $.attr($export, {
+            width,
+            height: height - top,
+            viewBox: `0 ${top} ${width} ${height - top}`,
+        });
+
+        if (includeHeader) $export.appendChild(this._drawHeader(width));
+        const $today = this._drawToday(includeHeader);
+        if ($today) $export.appendChild($today);
+        return $export;
+    }
+
+    /**
+     * Write the computed styles of the live elements onto their copies and
+     * drop the copies that don't show (or only serve interaction)
+     * @private
+     */
+    _inlineStyles(live, copy, parentValues) {
+        const style = getComputedStyle(live);
+        if (
+            style.display === 'none' ||
+            style.visibility === 'hidden' ||
+            style.opacity === '0' ||
+            copy.matches(INTERACTIVE_SELECTOR)
+        ) {
+            copy.remove();
+            return;
+        }
+
+        const values = {};
+        let css = '';
+        for (const property of STYLE_PROPERTIES) {
+            values[property] = style.getPropertyValue(property);
+            if (values[property] && values[property] !== parentValues[property]) {
+                css += `${property}: ${values[property]}; `;
+            }
+        }
+        if (style.opacity && style.opacity !== '1') css += `opacity: ${style.opacity}; `;
+
+        if (css) copy.setAttribute('style', css.trim());
+        else copy.removeAttribute('style');
+        copy.removeAttribute('tabindex');
+
+        // Walk a snapshot of the children: hidden copies remove themselves.
+        // Copies may have extra children at the end (see _labelHolidays).
+        const copies = [...copy.children];
+        [...live.children].forEach((child, i) => {
+            this._inlineStyles(child, copies[i], values);
+        });
+    }
+
+    /**
+     * Give holiday highlights their name as a tooltip (the live chart
+     * shows it in HTML on hover)
+     * @private
+     */
+    _labelHolidays($export) {
+        const $extras = this.gantt.chart.$extras;
+        for (const $highlight of $export.querySelectorAll('.holiday-highlight')) {
+            const $label = $extras?.querySelector('.label_' + $highlight.classList[1]);
+            if (!$label) continue;
+
+            createSVG('title', { append_to: $highlight }).textContent = $label.textContent;
+        }
+    }
+
+    /**
+     * The today line (and its dot in the header), drawn in HTML by Grid
+     * @private
+     */
+    _drawToday(includeHeader) {
+        const $line = this.gantt.chart.$current_highlight;
+        if (!$line) return null;
+
+        const color = getComputedStyle($line).backgroundColor;
+        const x = parseFloat($line.style.left) + 0.5;
+        const y = parseFloat($line.style.top);
+        const $group = createSVG('g', { class: 'current-highlight' });
+
+        createSVG('path', {
+            d: `M ${x} ${y} v ${parseFloat($line.style.height)}`,
+            stroke: color,
+            append_to: $group,
+        });
+        if (includeHeader) {
+            createSVG('circle', { cx: x, cy: y - 3, r: 3, fill: color, append_to: $group });
+        }
+        return $group;
+    }
+
+    /**
+     * The date header, drawn in HTML by Grid, as SVG text. Labels are placed
+     * the way the stylesheet places them: upper labels from their left
+     * edge, lower labels centred in their column.
+     * @private
+     */
+    _drawHeader(width) {
+        const gantt = this.gantt;
+        const chart = gantt.chart;
+        const headerHeight = gantt.config.header_height;
+        const columnWidth = gantt.config.step.column_width;
+        const lowerHeight = gantt.options.lower_header_height * 0.8;
+        const headerStyle = getComputedStyle(chart.$header);
+
+        const $group = createSVG('g', { class: 'grid-header' });
+        createSVG('rect', {
+            x: 0,
+            y: 0,
+            width,
+            height: headerHeight,
+            fill: headerStyle.backgroundColor,
+            append_to: $group,
+        });
+        createSVG('path', {
+            d: `M 0 ${headerHeight - 0.5} h ${width}`,
+            stroke: headerStyle.borderBottomColor,
+            append_to: $group,
+        });
+
+        const text = ($label, attrs) => {
+            const style = getComputedStyle($label);
+            createSVG('text', {
+                ...attrs,
+                class: $label.classList[0],
+                fill: style.color,
+                'font-family': style.fontFamily,
+                'font-size': style.fontSize,
+                'font-weight': style.fontWeight,
+                append_to: $group,
+            }).textContent = $label.textContent;
+        };
+
+        for (const $label of chart.$header.querySelectorAll('.upper-text')) {
+            text($label, {
+                x: parseFloat($label.style.left),
+                y: parseFloat($label.style.top),
+                'dominant-baseline': 'hanging',
+            });
+        }
+
+        for (const $label of chart.$header.querySelectorAll('.lower-text')) {
+            const left = parseFloat($label.style.left);
+            const top = parseFloat($label.style.top);
+
+            // Today's label sits on a pill
+            if ($label.classList.contains('current-date-highlight')) {
+                createSVG('rect', {
+                    x: left + columnWidth * 0.1,
+                    y: top,
+                    width: columnWidth * 0.8,
+                    height: lowerHeight,
+                    rx: 5,
+                    fill: getComputedStyle($label).backgroundColor,
+                    append_to: $group,
+                });
+            }
+            text($label, {
+                x: left + columnWidth / 2,
+                y: top + lowerHeight / 2,
+                'text-anchor': 'middle',
+                'dominant-baseline': 'central',
+            });
+        }
+        return $group;
+    }
+}
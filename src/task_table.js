@@ -0,0 +1,283 @@
+import { $ } from './svg_utils';
+
+const MIN_COLUMN_WIDTH = 30;
+const MIN_PANE_WIDTH = 50;
+const INDENT = 16;
+
+/**
+ * TaskTable - Task list pane left of the timeline (`table` option)
+ *
+ * One HTML row per visible task, aligned with the SVG rows and scrolled
+ * vertically together with the chart. Columns and the pane itself can be
+ * resized by dragging; widths survive re-renders.
+ *
+ * Visual layer - reads tasks, delegates collapsing to Gantt.
+ */
+export default class TaskTable {
+    /**
+     * @param {Gantt} gantt - Reference to the Gantt instance
+     * @param {HTMLElement} $container - The scrolling chart container
+     */
+    constructor(gantt, $container) {
+        this.gantt = gantt;
+        this.$container = $container;
+
+        // Layout: [table | splitter | chart container]
+        this.$layout = document.createElement('div');
+        this.$layout.classList.add('gantt-layout');
+        $container.before(this.$layout);
+
+        this.$table = document.createElement('div');
+        this.$table.classList.add('gantt-table');
+        this.$splitter = document.createElement('div');
+        this.$splitter.classList.add('gantt-splitter');
+        this.$layout.append(this.$table, this.$splitter, $container);
+
+        // Resized widths, kept until the options they came from change
+        this._columns = null;
+        this._tableWidth = null;
+        this.columnWidths = [];
+        this.width = 0;
+
+        this._onScroll = () => this.syncScroll();
+        $.on($container, 'scroll', this._onScroll);
+        this._bindEvents();
+    }
+
+    /**
+     * Render the header and one row per visible task
+     */
+    render() {
+        const gantt = this.gantt;
+        const columns = gantt.options.table_columns;
+        if (columns !== this._columns) {
+            this._columns = columns;
+            this.columnWidths = columns.map((column) => column.width ?? 100);
+        }
+        if (gantt.options.table_width !== this._tableWidth) {
+            this._tableWidth = gantt.options.table_width;
+            this.width = this._tableWidth;
+        }
+
+        this.$table.innerHTML = '';
+        this.$table.style.width = this.width + 'px';
+        this.$table.style.setProperty(
+            '--gv-table-row-height',
+            gantt.options.bar_height + gantt.options.padding + 'px',
+        );
+        this.$table.style.setProperty(
+            '--gv-lower-header-height',
+            gantt.options.lower_header_height + 'px',
+        );
+        this._applyColumnWidths();
+
+        const $header = document.createElement('div');
+        $header.classList.add('table-header');
+        $header.style.height = gantt.config.header_height + 'px';
+        columns.forEach((column, index) => {
+            const $cell = document.createElement('div');
+            $cell.classList.add('table-cell');
+            $cell.textContent = column.header ?? column.field;
+
+            const $resizer = document.createElement('div');
+            $resizer.classList.add('column-resizer');
+            $resizer.dataset.index = index;
+            $cell.appendChild($resizer);
+            $header.appendChild($cell);
+        });
+
+        this.$body = document.createElement('div');
+        this.$body.classList.add('table-body');
+        for (const task of gantt.tasks.getVisible()) {
+            this.$body.appendChild(this._renderRow(task, columns));
+        }
+
+        this.$table.append($header, this.$body);
+        this.syncScroll();
+    }
+
+    /**
+     * Bring the rows in line with the visible tasks, keeping the rows of
+     * tasks that didn't change
+     * @param {Iterable<string>} [changedIds] - Tasks whose rows to redraw
+     */
+    update(changedIds = []) {
+        if (!this.$body || this.gantt.options.table_columns !== this._columns) {
+            this.render();
+            return;
+        }
+
+        const changed = new Set(changedIds);
+        const rows = new Map();
+        for (const $row of this.$body.children) {
+            rows.set($row.dataset.id, $row);
+        }
+
+        let $next = this.$body.firstElementChild;
+        for (const task of this.gantt.tasks.getVisible()) {
+            let $row = rows.get(task.uid);
+            rows.delete(task.uid);
+
+            if (!$row || changed.has(task.uid) || $row.dataset.state !== this._rowState(task)) {
+                const $fresh = this._renderRow(task, this._columns);
+                if ($row === $next) $next = $next.nextElementSibling;
+                $row?.remove();
+                $row = $fresh;
+            }
+
+            if ($row === $next) {
+                $next = $next.nextElementSibling;
+            } else {
+                this.$body.insertBefore($row, $next);
+            }
+        }
+
+        // Rows of removed or hidden tasks
+        for (const $row of rows.values()) {
+            $row.remove();
+        }
+        this.syncScroll();
+    }
+
+    /**
+     * What a row's layout depends on besides the cell values
+     * @private
+     */
+    _rowState(task) {
+        return `${this.gantt.tasks.getDepth(task.uid)}:${task.isSummary()}:${!!task.collapsed}`;
+    }
+
+    _renderRow(task, columns) {
+        const $row = document.createElement('div');
+        $row.classList.add('table-row');
+        if (task.isSummary()) $row.classList.add('table-row-summary');
+        $row.dataset.id = task.uid;
+        $row.dataset.state = this._rowState(task);
+
+        columns.forEach((column, index) => {
+            const $cell = document.createElement('div');
+            $cell.classList.add('table-cell');
+            $cell.dataset.field = column.field;
+
+            // The first column shows the hierarchy
+            if (index === 0) {
+                const depth = this.gantt.tasks.getDepth(task.uid);
+                $cell.style.paddingLeft = `calc(var(--gv-table-cell-padding) + ${depth * INDENT}px)`;
+                if (task.isSummary()) {
+                    const $toggle = document.createElement('span');
+                    $toggle.classList.add('table-toggle');
+                    $toggle.textContent = task.collapsed ? '▸' : '▾';
+                    $cell.appendChild($toggle);
+                }
+            }
+
+            const content = this._formatCell(column, task);
+            if (content instanceof Node) {
+                $cell.appendChild(content);
+            } else {
+                const $text = document.createElement('span');
+                $text.classList.add('table-text');
+                $text.textContent = content;
+                $cell.appendChild($text);
+            }
+            $row.appendChild($cell);
+        });
+        return $row;
+    }
+
+    /**
+     * Cell content: the column formatter's result (a string or a DOM node),
+     * or the raw field value
+     * @private
+     */
+    _formatCell(column, task) {
+        const value = task.getField(column.field);
+        if (column.formatter) {
+            return column.formatter(value, task, this.gantt) ?? '';
+        }
+        return value === undefined || value === null ? '' : String(value);
+    }
+
+    _applyColumnWidths() {
+        this.$table.style.setProperty(
+            '--gv-table-columns',
+            this.columnWidths.map((width) => width + 'px').join(' '),
+        );
+    }
+
+    /**
+     * Match the table's vertical scroll to the chart's
+     */
+    syncScroll() {
+        if (!this.$body) return;
+
+        // Room for the chart's horizontal scrollbar so both can reach the last row
+        const scrollbar = this.$container.offsetHeight - this.$container.clientHeight;
+        this.$body.style.paddingBottom = Math.max(0, scrollbar) + 'px';
+        this.$table.scrollTop = this.$container.scrollTop;
+    }
+
+    // ─── Interaction ─────────────────────────────────────────────────────
+
+    _bindEvents() {
+        // The table doesn't scroll itself; the wheel scrolls the chart rows
+        $.on(this.$table, 'wheel', (e) => {
+            if (!e.deltaY) return;
+            e.preventDefault();
+            this.$container.scrollTop += e.deltaY;
+        });
+
+        $.on(this.$table, 'click', '.table-toggle', (e, $toggle) => {
+            const id = $toggle.closest('.table-row').dataset.id;
+            this.gantt.toggleTask(id);
+        });
+
+        $.on(this.$table, 'mousedown', '.column-resizer', (e, $resizer) => {
+            e.preventDefault();
+            const index = Number($resizer.dataset.index);
+            const startWidth = this.columnWidths[index];
+            this._trackDrag(e, (dx) => {
+                this.columnWidths[index] = Math.max(MIN_COLUMN_WIDTH, startWidth + dx);
+                this._applyColumnWidths();
+            });
+        });
+
+        $.on(this.$splitter, 'mousedown', (e) => {
+            e.preventDefault();
+            const startWidth = this.width;
+            const maxWidth = this.$layout.clientWidth - MIN_PANE_WIDTH;
+            this._trackDrag(e, (dx) => {
+                this.width = Math.max(MIN_PANE_WIDTH, Math.min(maxWidth, startWidth + dx));
+                this.$table.style.width = this.width + 'px';
+            });
+        });
+    }
+
+    /**
+     * Call onMove with the horizontal distance from the mousedown until
+     * the mouse is released
+     * @private
+     */
+    _trackDrag(startEvent, onMove) {
+        const startX = startEvent.clientX;
+        this.$layout.classList.add('resizing');
+
+        const move = (e) => onMove(e.clientX - startX);
+        const up = () => {
+            this.$layout.classList.remove('resizing');
+            document.removeEventListener('mousemove', move);
+            document.removeEventListener('mouseup', up);
+        };
+        document.addEventListener('mousemove', move);
+        document.addEventListener('mouseup', up);
+    }
+
+    /**
+     * Remove the pane, putting the chart container back in its place
+     */
+    destroy() {
+        $.off(this.$container, 'scroll', this._onScroll);
+        this.$layout.before(this.$container);
+        this.$layout.remove();
+    }
+}
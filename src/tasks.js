@@ -1,13 +1,34 @@
 import {
+    DEFAULT_TIMEZONE,
     ensureInstant,
     parseInstant,
     parseDurationString,
     add,
     diff,
+    isDurationString,
+    isLagString,
+    isMidnight,
     toPlainDateTime,
+    toSpecDate,
+    toSpecEndDate,
     Temporal,
 } from './temporal_utils';
 
+/**
+ * Dependency types: finish-to-start, start-to-start, finish-to-finish and
+ * start-to-finish. The first letter names the predecessor's edge, the
+ * second the successor's edge it constrains.
+ */
+export const DEPENDENCY_TYPES = ['FS', 'SS', 'FF', 'SF'];
+
+// Task spec keys with a meaning of their own; any other key of a raw task
+// is kept as a custom field (e.g. `assignee`)
+const SPEC_KEYS = new Set([
+    'id', 'name', 'type', 'start', 'end', 'duration', 'progress',
+    'dependencies', 'parent', 'collapsed',
+    'custom_class', 'color', 'color_progress', 'thumbnail', 'invalid',
+]);
+
 /**
  * Task - Represents a single task in the Gantt chart
  *
@@ -23,6 +44,9 @@ export class Task {
         this.name = data.name;
         this._index = data._index;
 
+        // Task kind: 'task' or 'milestone' (zero duration, drawn as a diamond)
+        this.type = data.type ?? 'task';
+
         // Temporal values
         this.start = data.start;
         this.end = data.end;
@@ -31,8 +55,14 @@ export class Task {
         // Progress (0-100)
         this.progress = data.progress ?? 0;
 
-        // Dependencies (array of task UIDs)
+        // Dependencies (array of task UIDs) and their links
+        // ({ id, type, lag }, same order as dependencies)
         this.dependencies = data.dependencies ?? [];
+        this.links = data.links ?? this.dependencies.map((id) => ({ id, type: 'FS', lag: null }));
+
+        // Hierarchy: UID of the parent task, and whether children are hidden
+        this.parent = data.parent ?? null;
+        this.collapsed = data.collapsed ?? false;
 
         // Visual properties
         this.custom_class = data.custom_class;
@@ -41,6 +71,9 @@ export class Task {
         this.thumbnail = data.thumbnail;
         this.invalid = data.invalid;
 
+        // Custom fields from the task spec, exported unchanged
+        this.fields = data.fields ?? {};
+
         // Original constraints as provided by user (for export)
         this._original = data._original ?? {};
 
@@ -51,13 +84,16 @@ export class Task {
     /**
      * Update task properties
      * @param {Object} changes - Properties to update
+     * @param {string} [timezone] - Timezone for date strings without an offset
      */
-    update(changes) {
+    update(changes, timezone = DEFAULT_TIMEZONE) {
         for (const [key, value] of Object.entries(changes)) {
-            if (key === 'uid' || key === '_index') continue;
+            if (key === 'uid' || key === '_index' || key === '_row') continue;
 
             if (key === 'start' || key === 'end') {
-                this[key] = ensureInstant(value);
+                this[key] = ensureInstant(value, timezone);
+            } else if (!SPEC_KEYS.has(key) && !(key in this)) {
+                this.fields[key] = value;
             } else {
                 this[key] = value;
             }
@@ -65,24 +101,109 @@ export class Task {
     }
 
     /**
-     * Export task to minimal constraint format
+     * Copy of the task's state (see Tasks.snapshot)
+     * @returns {Task}
+     */
+    clone() {
+        const copy = Object.assign(Object.create(Task.prototype), this);
+        copy.dependencies = [...this.dependencies];
+        copy.links = this.links.map((link) => ({ ...link }));
+        copy.fields = { ...this.fields };
+        copy._original = { ...this._original };
+        copy._derived = { ...this._derived };
+        return copy;
+    }
+
+    /**
+     * Check whether this task is a milestone
+     * @returns {boolean}
+     */
+    isMilestone() {
+        return this.type === 'milestone';
+    }
+
+    /**
+     * Get the link to a predecessor
+     * @param {string} id - Predecessor task UID
+     * @returns {{id: string, type: string, lag: string|null}}
+     */
+    getLink(id) {
+        return this.links.find((link) => link.id === id) ?? { id, type: 'FS', lag: null };
+    }
+
+    /**
+     * Get a task property or custom field by name
+     * @param {string} field - e.g. 'name', 'start' or 'assignee'
+     * @returns {*}
+     */
+    getField(field) {
+        if (field === 'id') return this.uid;
+        return SPEC_KEYS.has(field) ? this[field] : this.fields[field];
+    }
+
+    /**
+     * Check whether this task is a summary (has child tasks)
+     * @returns {boolean}
+     */
+    isSummary() {
+        return !!this._derived.summary;
+    }
+
+    /**
+     * Export task to minimal constraint format. Dates are exported as given
+     * until the task is moved or resized, then as they are now.
+     * @param {Calendar} [calendar] - Working-time calendar; durations are
+     *   exported as the working time between start and end
+     * @param {string} [timezone] - Timezone changed dates are written in
      */
-    toSpec() {
+    toSpec(calendar = null, timezone = DEFAULT_TIMEZONE) {
         const spec = {
+            ...this.fields,
             id: this.uid,
             name: this.name,
             progress: this.progress,
         };
 
-        if (this._original.start) spec.start = this._original.start;
-        else spec.start = this.start.toString();
-
-        if (this._original.end) spec.end = this._original.end;
-        else if (this._original.duration) spec.duration = this._original.duration;
-        else spec.end = this.end.toString();
-
-        if (this.dependencies.length > 0) {
-            spec.dependencies = this.dependencies.join(', ');
+        if (this.isMilestone()) spec.type = 'milestone';
+        if (this.parent) spec.parent = this.parent;
+        if (this.collapsed) spec.collapsed = true;
+
+        // Summary dates roll up from children unless given explicitly
+        const derivedDates = this.isSummary() && !this._original.start;
+
+        // Dates the spec resolved to when loaded (see Tasks._parseTask)
+        const loaded = this._original.loaded;
+        const moved = !!loaded && (
+            Temporal.Instant.compare(loaded.start, this.start) !== 0 ||
+            Temporal.Instant.compare(loaded.end, this.end) !== 0
+        );
+        const resized = !!loaded &&
+            loaded.end.epochMilliseconds - loaded.start.epochMilliseconds !==
+            this.end.epochMilliseconds - this.start.epochMilliseconds;
+
+        if (this._original.start && !moved) spec.start = this._original.start;
+        else if (!derivedDates) spec.start = toSpecDate(toPlainDateTime(this.start, timezone));
+
+        // Milestones are fully described by their start
+        if (this._original.end && !moved) spec.end = this._original.end;
+        else if (this._original.duration && (calendar || !resized)) {
+            spec.duration = calendar
+                ? calendar.formatWorkingMs(calendar.workingTimeBetween(this.start, this.end))
+                : this._original.duration;
+        }
+        else if (!this.isMilestone() && !derivedDates) spec.end = toSpecEndDate(toPlainDateTime(this.end, timezone));
+
+        // Plain finish-to-start links keep the compact string form
+        if (this.links.length > 0) {
+            const deps = this.links.map((link) => {
+                if (link.type === 'FS' && !link.lag) return link.id;
+                const dep = { id: link.id, type: link.type };
+                if (link.lag) dep.lag = link.lag;
+                return dep;
+            });
+            spec.dependencies = deps.every((dep) => typeof dep === 'string')
+                ? deps.join(', ')
+                : deps;
         }
 
         if (this.custom_class) spec.custom_class = this.custom_class;
@@ -101,20 +222,45 @@ export class Task {
  * Pure data layer - no visual or scheduling logic.
  */
 export default class Tasks {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.timezone] - Timezone for parsing dates without an offset
+     */
+    constructor(options = {}) {
+        this.timezone = options.timezone ?? DEFAULT_TIMEZONE;
+        // Working-time calendar for durations (null = calendar time)
+        this.calendar = options.calendar ?? null;
         this._tasks = [];
         this._byId = new Map();
         // Map<taskId, Set<dependentTaskId>> - tasks that depend on the key
         this._dependents = new Map();
+        // Map<taskId, taskId[]> - direct children of the key, in display order
+        this._children = new Map();
+        // Visible tasks in display order (descendants of collapsed tasks are hidden)
+        this._rows = [];
+        // IDs referenced as parent (when loading, adding, updating or
+        // moving tasks), allowed to omit dates
+        this._parentIds = new Set();
+        // Raw tasks rejected since the last load: { index, task, message }
+        this.rejected = [];
+        this._quiet = false;
     }
 
     /**
      * Load tasks from raw input array
      * @param {Array} rawTasks - Array of raw task objects
+     * @param {Object} [options]
+     * @param {boolean} [options.quiet=false] - Don't log rejected tasks, the
+     *   caller reports `rejected`
      * @returns {Tasks} this instance for chaining
      */
-    load(rawTasks) {
+    load(rawTasks, { quiet = false } = {}) {
         this.clear();
+        this.rejected = [];
+        this._quiet = quiet;
+
+        this._parentIds = new Set();
+        rawTasks.forEach((rawTask) => this._noteParent(rawTask.parent));
 
         rawTasks.forEach((rawTask, index) => {
             const task = this._parseTask(rawTask, index);
@@ -123,10 +269,28 @@ export default class Tasks {
             }
         });
 
+        this._quiet = false;
+
+        this._buildHierarchy();
         this._buildDependencyGraph();
+        this.validate();
         return this;
     }
 
+    _normalizeId(id) {
+        return typeof id === 'string' ? id.replaceAll(' ', '_') : `${id}`;
+    }
+
+    /**
+     * Note an ID referenced as parent, which may then be loaded without dates
+     * @private
+     */
+    _noteParent(parent) {
+        if (parent !== undefined && parent !== null && parent !== '') {
+            this._parentIds.add(this._normalizeId(parent));
+        }
+    }
+
     _parseTask(rawTask, index) {
         const data = {
             _original: {
@@ -139,15 +303,20 @@ export default class Tasks {
 
         data.name = rawTask.name;
         data.progress = rawTask.progress ?? 0;
+        data.type = rawTask.type === 'milestone' ? 'milestone' : 'task';
 
         // Generate or normalize ID
         if (!rawTask.id) {
             data.uid = this._generateUid(rawTask);
-        } else if (typeof rawTask.id === 'string') {
-            data.uid = rawTask.id.replaceAll(' ', '_');
         } else {
-            data.uid = `${rawTask.id}`;
+            data.uid = this._normalizeId(rawTask.id);
+        }
+
+        // Hierarchy
+        if (rawTask.parent !== undefined && rawTask.parent !== null && rawTask.parent !== '') {
+            data.parent = this._normalizeId(rawTask.parent);
         }
+        if (rawTask.collapsed) data.collapsed = true;
 
         // Copy optional visual properties
         if (rawTask.custom_class) data.custom_class = rawTask.custom_class;
@@ -156,45 +325,72 @@ export default class Tasks {
         if (rawTask.thumbnail) data.thumbnail = rawTask.thumbnail;
         if (rawTask.invalid !== undefined) data.invalid = rawTask.invalid;
 
+        data.fields = {};
+        for (const [key, value] of Object.entries(rawTask)) {
+            if (!SPEC_KEYS.has(key)) data.fields[key] = value;
+        }
+
         // Parse dependencies
-        let deps = [];
-        if (typeof rawTask.dependencies === 'string') {
-            deps = rawTask.dependencies
-                .split(',')
-                .map((d) => d.trim().replaceAll(' ', '_'))
-                .filter((d) => d);
-        } else if (Array.isArray(rawTask.dependencies)) {
-            deps = rawTask.dependencies
-                .map((d) => (typeof d === 'string' ? d.trim().replaceAll(' ', '_') : `${d}`))
-                .filter((d) => d);
-        }
-        data.dependencies = deps;
+        data.links = this._parseDependencies(rawTask.dependencies, rawTask);
+        data.dependencies = data.links.map((link) => link.id);
+
+        // Summary tasks may omit dates: they roll up from their children
+        // when the hierarchy is built
+        if (!rawTask.start && !rawTask.end && !rawTask.duration && this._parentIds.has(data.uid)) {
+            data.start = data.end = Temporal.Now.instant();
+            data._index = index;
+            return new Task(data);
+        }
 
         // Validate and parse start
         if (!rawTask.start) {
-            console.error(`task "${rawTask.name}" (ID: "${rawTask.id}") doesn't have a start date`);
-            return null;
+            return this._reject(rawTask, index, `task "${rawTask.name}" (ID: "${rawTask.id}") doesn't have a start date`);
+        }
+        const timezone = this.timezone;
+        data.start = this._parseDate(rawTask.start);
+        if (!data.start) {
+            return this._reject(rawTask, index, `task "${rawTask.name}" (ID: "${rawTask.id}") has an invalid start date "${rawTask.start}"`);
         }
-        data.start = parseInstant(rawTask.start);
 
         // Parse duration if defined
-        if (rawTask.duration !== undefined) {
+        if (rawTask.duration !== undefined && !isDurationString(rawTask.duration)) {
+            return this._reject(rawTask, index, `task "${rawTask.name}" (ID: "${rawTask.id}") has an invalid duration "${rawTask.duration}"`);
+        }
+        const calendar = this.calendar;
+        if (rawTask.duration !== undefined && calendar) {
+            // Working durations: months and years stay calendar time, the
+            // rest is counted in working time from there
+            let end = data.start;
+            let workingMs = 0;
+            rawTask.duration.split(' ').filter((ds) => ds).forEach((ds) => {
+                const { value, unit } = parseDurationString(ds);
+                const ms = calendar.toWorkingMs(value, unit);
+                if (ms === null) end = add(end, value, unit, timezone);
+                else workingMs += ms;
+            });
+            data.end = calendar.addWorkingTime(end, workingMs);
+            data.duration = diff(data.end, data.start, 'day', timezone);
+        } else if (rawTask.duration !== undefined) {
             rawTask.duration.split(' ').forEach((ds) => {
                 const { value, unit } = parseDurationString(ds);
-                data.end = add(data.start, value, unit);
-                data.duration = diff(data.end, data.start);
+                data.end = add(data.start, value, unit, timezone);
+                data.duration = diff(data.end, data.start, 'day', timezone);
             });
         }
 
         // Parse end if defined
         if (rawTask.end !== undefined) {
-            const descEnd = parseInstant(rawTask.end);
+            const descEnd = this._parseDate(rawTask.end);
+            if (!descEnd) {
+                return this._reject(rawTask, index, `task "${rawTask.name}" (ID: "${rawTask.id}") has an invalid end date "${rawTask.end}"`);
+            }
             if (data.end !== undefined) {
                 if (Temporal.Instant.compare(data.end, descEnd) !== 0) {
-                    console.error(
+                    return this._reject(
+                        rawTask,
+                        index,
                         `end date of task "${rawTask.name}" (ID: "${rawTask.id}") contradicts its start and duration`,
                     );
-                    return null;
                 } else {
                     console.warn(
                         `end of task "${rawTask.name}" (ID: "${rawTask.id}") is redundantly defined by duration`,
@@ -205,45 +401,242 @@ export default class Tasks {
             }
         }
 
+        // Milestones mark an instant: no end means end == start, and any
+        // end or duration given is dropped
+        if (data.type === 'milestone') {
+            if (data.end && Temporal.Instant.compare(data.end, data.start) !== 0) {
+                console.warn(
+                    `milestone "${rawTask.name}" (ID: "${rawTask.id}") has a duration; its end is ignored`,
+                );
+            }
+            data.end = data.start;
+            data.duration = undefined;
+            data._original.end = undefined;
+            data._original.duration = undefined;
+        }
+
         // Validate end exists
         if (!data.end) {
-            console.error(`task "${rawTask.name}" (ID: "${rawTask.id}") has neither end date nor duration`);
-            return null;
+            return this._reject(rawTask, index, `task "${rawTask.name}" (ID: "${rawTask.id}") has neither end date nor duration`);
         }
 
         // Validate start/end order
         if (Temporal.Instant.compare(data.end, data.start) < 0) {
-            console.error(`start of task can't be after end of task: in task "${rawTask.name}" (ID: "${rawTask.id}")`);
-            return null;
+            return this._reject(rawTask, index, `start of task can't be after end of task: in task "${rawTask.name}" (ID: "${rawTask.id}")`);
         }
 
         // Validate duration limit
-        if (diff(data.end, data.start, 'year') > 10) {
-            console.error(`the duration of task "${rawTask.name}" (ID: "${rawTask.id}") is too long (above ten years)`);
-            return null;
+        if (diff(data.end, data.start, 'year', timezone) > 10) {
+            return this._reject(rawTask, index, `the duration of task "${rawTask.name}" (ID: "${rawTask.id}") is too long (above ten years)`);
         }
 
         data._index = index;
 
-        // If end has no time component, assume full day
-        const taskEndPdt = toPlainDateTime(data.end);
-        if (taskEndPdt.hour === 0 && taskEndPdt.minute === 0 &&
-            taskEndPdt.second === 0 && taskEndPdt.millisecond === 0) {
-            data.end = add(data.end, 24, 'hour');
+        // If end has no time component, assume full day (which may be 23 or
+        // 25 hours long on DST transition days). Working durations already
+        // end exactly where the working time runs out.
+        const workingEnd = calendar && rawTask.end === undefined;
+        if (data.type !== 'milestone' && !workingEnd && isMidnight(toPlainDateTime(data.end, timezone))) {
+            data.end = add(data.end, 1, 'day', timezone);
         }
 
+        data._original.loaded = { start: data.start, end: data.end };
         return new Task(data);
     }
 
+    /**
+     * Parse a task date, or null if it isn't one
+     * @private
+     */
+    _parseDate(value) {
+        try {
+            return parseInstant(value, '-', /[.:]/, this.timezone);
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Log why a raw task can't be loaded and note it in `rejected`
+     * @private
+     * @returns {null}
+     */
+    _reject(rawTask, index, message) {
+        if (!this._quiet) console.error(message);
+        this.rejected.push({ index, task: rawTask, message });
+        return null;
+    }
+
     _generateUid(task) {
         return task.name + '_' + Math.random().toString(36).slice(2, 12);
     }
 
+    /**
+     * Parse dependencies given as a comma-separated string of UIDs or an
+     * array of UIDs and `{ id, type, lag }` objects
+     * @private
+     * @returns {Array<{id: string, type: string, lag: string|null}>}
+     */
+    _parseDependencies(dependencies, rawTask) {
+        let entries = [];
+        if (typeof dependencies === 'string') {
+            entries = dependencies.split(',');
+        } else if (Array.isArray(dependencies)) {
+            entries = dependencies;
+        }
+
+        const links = [];
+        for (const entry of entries) {
+            const dep = entry !== null && typeof entry === 'object' ? entry : { id: entry };
+            if (dep.id === undefined || dep.id === null) continue;
+
+            const id = typeof dep.id === 'string' ? dep.id.trim().replaceAll(' ', '_') : `${dep.id}`;
+            if (!id) continue;
+
+            let type = typeof dep.type === 'string' ? dep.type.toUpperCase() : 'FS';
+            if (!DEPENDENCY_TYPES.includes(type)) {
+                console.warn(
+                    `dependency "${id}" of task "${rawTask.name}" (ID: "${rawTask.id}") has unknown type "${dep.type}"; using FS`,
+                );
+                type = 'FS';
+            }
+
+            let lag = null;
+            if (dep.lag !== undefined && dep.lag !== null && dep.lag !== '') {
+                if (isLagString(dep.lag)) {
+                    lag = dep.lag.trim();
+                } else {
+                    console.warn(
+                        `dependency "${id}" of task "${rawTask.name}" (ID: "${rawTask.id}") has invalid lag "${dep.lag}"; ignoring it`,
+                    );
+                }
+            }
+
+            links.push({ id, type, lag });
+        }
+        return links;
+    }
+
     _addInternal(task) {
         this._tasks.push(task);
         this._byId.set(task.uid, task);
     }
 
+    /**
+     * Arrange tasks into tree order (each parent followed by its
+     * descendants, siblings in input order), roll up summary values and
+     * compute visible rows. Unknown or cyclic parents are treated as roots.
+     * @private
+     */
+    _buildHierarchy() {
+        this._children.clear();
+
+        for (const task of this._tasks) {
+            if (!task.parent) continue;
+
+            if (!this._byId.has(task.parent)) {
+                console.warn(`parent "${task.parent}" of task "${task.name}" (ID: "${task.uid}") doesn't exist`);
+                task.parent = null;
+                continue;
+            }
+
+            // Walk up the ancestor chain to detect cycles
+            let ancestorId = task.parent;
+            const seen = new Set([task.uid]);
+            while (ancestorId && !seen.has(ancestorId)) {
+                seen.add(ancestorId);
+                ancestorId = this._byId.get(ancestorId)?.parent;
+            }
+            if (ancestorId) {
+                console.warn(`task "${task.name}" (ID: "${task.uid}") is its own ancestor; ignoring its parent`);
+                task.parent = null;
+            }
+        }
+
+        for (const task of this._tasks) {
+            if (!task.parent) continue;
+            if (!this._children.has(task.parent)) {
+                this._children.set(task.parent, []);
+            }
+            this._children.get(task.parent).push(task.uid);
+        }
+
+        const ordered = [];
+        const visit = (task) => {
+            ordered.push(task);
+            for (const childId of this.getChildIds(task.uid)) {
+                visit(this.get(childId));
+            }
+        };
+        this._tasks.filter((task) => !task.parent).forEach(visit);
+
+        this._tasks = ordered;
+        this._tasks.forEach((task, i) => {
+            task._index = i;
+            task._derived.summary = this._children.has(task.uid);
+        });
+
+        this.rollUpSummaries();
+        this._updateRows();
+    }
+
+    /**
+     * Recompute start, end and progress of summary tasks from their
+     * children (deepest summaries first). Progress is weighted by duration.
+     */
+    rollUpSummaries() {
+        for (let i = this._tasks.length - 1; i >= 0; i--) {
+            const task = this._tasks[i];
+            if (!task.isSummary()) continue;
+
+            const children = this.getChildren(task.uid);
+            let start = children[0].start;
+            let end = children[0].end;
+            let weighted = 0;
+            let totalMs = 0;
+
+            for (const child of children) {
+                if (Temporal.Instant.compare(child.start, start) < 0) start = child.start;
+                if (Temporal.Instant.compare(child.end, end) > 0) end = child.end;
+
+                const ms = child.end.epochMilliseconds - child.start.epochMilliseconds;
+                weighted += ms * (child.progress || 0);
+                totalMs += ms;
+            }
+
+            task.start = start;
+            task.end = end;
+            task.progress = totalMs > 0
+                ? weighted / totalMs
+                : children.reduce((sum, c) => sum + (c.progress || 0), 0) / children.length;
+        }
+    }
+
+    /**
+     * Assign visible row indices; tasks below a collapsed ancestor get null
+     * @private
+     */
+    _updateRows() {
+        this._rows = [];
+        for (const task of this._tasks) {
+            if (this._hasCollapsedAncestor(task)) {
+                task._row = null;
+            } else {
+                task._row = this._rows.length;
+                this._rows.push(task);
+            }
+        }
+    }
+
+    _hasCollapsedAncestor(task) {
+        let parent = task.parent ? this.get(task.parent) : null;
+        while (parent) {
+            if (parent.collapsed) return true;
+            parent = parent.parent ? this.get(parent.parent) : null;
+        }
+        return false;
+    }
+
     _buildDependencyGraph() {
         this._dependents.clear();
 
@@ -261,6 +654,171 @@ export default class Tasks {
         }
     }
 
+    /**
+     * Check the dependency graph for cycles and references to missing
+     * tasks. Each problem is also attached to its task
+     * (`task._derived.errors`) so it can be marked in the chart.
+     * @returns {{valid: boolean, errors: Array<{task: string, kind: 'cycle'|'missing_dependency', ids: string[]}>}}
+     *   One error per affected task; `ids` are the missing dependencies or
+     *   the tasks forming the cycle
+     */
+    validate() {
+        const errors = [];
+
+        for (const task of this._tasks) {
+            const missing = task.dependencies.filter((id) => !this._byId.has(id));
+            if (missing.length) {
+                errors.push({ task: task.uid, kind: 'missing_dependency', ids: missing });
+            }
+        }
+
+        for (const cycle of this._findCycles()) {
+            for (const id of cycle) {
+                errors.push({ task: id, kind: 'cycle', ids: cycle });
+            }
+        }
+
+        for (const task of this._tasks) {
+            task._derived.errors = errors.filter((error) => error.task === task.uid);
+        }
+
+        return { valid: errors.length === 0, errors };
+    }
+
+    /**
+     * Find dependency cycles (strongly connected components with more
+     * than one task, or a task depending on itself), Tarjan's algorithm
+     * @private
+     * @returns {string[][]} Task UIDs of each cycle, in display order
+     */
+    _findCycles() {
+        const indices = new Map();
+        const lowlinks = new Map();
+        const stack = [];
+        const onStack = new Set();
+        const cycles = [];
+        let counter = 0;
+
+        const connect = (id) => {
+            indices.set(id, counter);
+            lowlinks.set(id, counter);
+            counter++;
+            stack.push(id);
+            onStack.add(id);
+
+            for (const depId of this.get(id).dependencies) {
+                if (!this._byId.has(depId)) continue;
+                if (!indices.has(depId)) {
+                    connect(depId);
+                    lowlinks.set(id, Math.min(lowlinks.get(id), lowlinks.get(depId)));
+                } else if (onStack.has(depId)) {
+                    lowlinks.set(id, Math.min(lowlinks.get(id), indices.get(depId)));
+                }
+            }
+
+            if (lowlinks.get(id) !== indices.get(id)) return;
+
+            const component = [];
+            let member;
+            do {
+                member = stack.pop();
+                onStack.delete(member);
+                component.push(member);
+            } while (member !== id);
+
+            if (component.length > 1 || this.get(id).dependencies.includes(id)) {
+                cycles.push(component.sort((a, b) => this.get(a)._index - this.get(b)._index));
+            }
+        };
+
+        for (const task of this._tasks) {
+            if (!indices.has(task.uid)) connect(task.uid);
+        }
+        return cycles;
+    }
+
+    // History
+
+    /**
+     * Copy the state of some tasks, with their positions among their
+     * siblings, e.g. to undo a change to them later
+     * @param {Iterable<string>} ids - Task UIDs; missing tasks are saved as null
+     * @returns {Map<string, {task: Task, index: number}|null>}
+     */
+    snapshot(ids) {
+        ids = [...ids];
+        const positions = this._siblingIndices(ids);
+        const snapshot = new Map();
+        for (const uid of ids) {
+            const task = this.get(uid);
+            snapshot.set(uid, task ? { task: task.clone(), index: positions.get(uid) } : null);
+        }
+        return snapshot;
+    }
+
+    /**
+     * Restore the tasks of a snapshot: tasks saved as null are removed,
+     * the others get their saved state and position back. Tasks that
+     * still exist keep their identity and their collapsed state (which
+     * isn't part of the history); removed tasks are recreated.
+     * @param {Map<string, {task: Task, index: number}|null>} snapshot - Result of snapshot()
+     */
+    restore(snapshot) {
+        const positions = this._siblingIndices(snapshot.keys());
+        const reinserted = [];
+
+        for (const [uid, saved] of snapshot) {
+            const task = this.get(uid);
+            const copy = saved?.task.clone();
+            if (task && copy) {
+                copy.collapsed = task.collapsed;
+                const inPlace = (task.parent || null) === (copy.parent || null) &&
+                    positions.get(uid) === saved.index;
+                Object.assign(task, copy);
+                if (inPlace) continue;
+            }
+
+            if (task) {
+                this._tasks.splice(this._tasks.indexOf(task), 1);
+                this._byId.delete(uid);
+            }
+            if (copy) reinserted.push({ task: task ?? copy, index: saved.index });
+        }
+
+        // Siblings keep their order in the flat list (see _buildHierarchy);
+        // children whose parent isn't back yet are ordered among themselves
+        reinserted.sort((a, b) => a.index - b.index);
+        for (const { task, index } of reinserted) {
+            const siblings = this._tasks.filter((other) => (other.parent || null) === (task.parent || null));
+            const next = siblings[index];
+            this._tasks.splice(next ? this._tasks.indexOf(next) : this._tasks.length, 0, task);
+            this._byId.set(task.uid, task);
+        }
+
+        this._buildHierarchy();
+        this._buildDependencyGraph();
+        this.validate();
+    }
+
+    /**
+     * Positions of tasks among their siblings
+     * @private
+     * @param {Iterable<string>} ids - Task UIDs
+     * @returns {Map<string, number>}
+     */
+    _siblingIndices(ids) {
+        const wanted = new Set(ids);
+        const counts = new Map();
+        const positions = new Map();
+        for (const task of this._tasks) {
+            const parent = task.parent || null;
+            const index = counts.get(parent) ?? 0;
+            counts.set(parent, index + 1);
+            if (wanted.has(task.uid)) positions.set(task.uid, index);
+        }
+        return positions;
+    }
+
     // CRUD Operations
 
     get(id) {
@@ -312,13 +870,124 @@ export default class Tasks {
         return task.dependencies.map((depId) => this.get(depId)).filter(Boolean);
     }
 
-    add(rawTask) {
-        const index = this._tasks.length;
-        const task = this._parseTask(rawTask, index);
+    // Hierarchy
+
+    getParent(id) {
+        const parentId = this.get(id)?.parent;
+        return parentId ? this.get(parentId) : undefined;
+    }
+
+    getChildIds(id) {
+        return this._children.get(id) ?? [];
+    }
+
+    getChildren(id) {
+        return this.getChildIds(id).map((childId) => this.get(childId));
+    }
+
+    /**
+     * Get IDs of all ancestors, nearest first
+     * @param {string} id - Task UID
+     * @returns {string[]}
+     */
+    getAncestorIds(id) {
+        const result = [];
+        let parent = this.getParent(id);
+        while (parent) {
+            result.push(parent.uid);
+            parent = this.getParent(parent.uid);
+        }
+        return result;
+    }
+
+    /**
+     * Get IDs of all descendants in display order
+     * @param {string} id - Task UID
+     * @returns {string[]}
+     */
+    getDescendantIds(id) {
+        const result = [];
+        for (const childId of this.getChildIds(id)) {
+            result.push(childId, ...this.getDescendantIds(childId));
+        }
+        return result;
+    }
+
+    /**
+     * Get the nesting depth of a task (0 for root tasks)
+     * @param {string} id - Task UID
+     * @returns {number}
+     */
+    getDepth(id) {
+        return this.getAncestorIds(id).length;
+    }
+
+    isCollapsed(id) {
+        return !!this.get(id)?.collapsed;
+    }
+
+    /**
+     * Get IDs of all collapsed summary tasks
+     * @returns {string[]}
+     */
+    getCollapsed() {
+        return this._tasks
+            .filter((task) => task.collapsed && task.isSummary())
+            .map((task) => task.uid);
+    }
+
+    /**
+     * Collapse or expand a summary task
+     * @param {string} id - Task UID
+     * @param {boolean} collapsed
+     * @returns {boolean} True if the state changed
+     */
+    setCollapsed(id, collapsed) {
+        const task = this.get(id);
+        if (!task || !task.isSummary() || task.collapsed === !!collapsed) return false;
+
+        task.collapsed = !!collapsed;
+        this._updateRows();
+        return true;
+    }
+
+    /**
+     * Check whether a task is shown (no collapsed ancestor)
+     * @param {string} id - Task UID
+     * @returns {boolean}
+     */
+    isVisible(id) {
+        const task = this.get(id);
+        return !!task && task._row !== null && task._row !== undefined;
+    }
+
+    /**
+     * Get visible tasks in display (row) order
+     * @returns {Task[]}
+     */
+    getVisible() {
+        return this._rows;
+    }
+
+    /**
+     * Add a task
+     * @param {Object} rawTask - Raw task data
+     * @param {number} [index] - Position among the task's siblings; defaults to last
+     * @returns {Task|null} The created task or null if invalid
+     */
+    add(rawTask, index = Infinity) {
+        this._noteParent(rawTask.parent);
+        const task = this._parseTask(rawTask, this._tasks.length);
         if (!task) return null;
 
-        this._addInternal(task);
+        // Siblings keep their order in the flat list (see _buildHierarchy)
+        const siblings = this._tasks.filter((other) => (other.parent || null) === (task.parent || null));
+        const next = siblings[Math.max(0, index)];
+        this._tasks.splice(next ? this._tasks.indexOf(next) : this._tasks.length, 0, task);
+        this._byId.set(task.uid, task);
+        this._buildHierarchy();
         this._buildDependencyGraph();
+        this.validate();
         return task;
     }
 
@@ -326,15 +995,18 @@ export default class Tasks {
         const index = this._tasks.findIndex((t) => t.uid === id);
         if (index === -1) return false;
 
-        this._tasks.splice(index, 1);
+        const [removed] = this._tasks.splice(index, 1);
         this._byId.delete(id);
 
-        // Reindex
-        this._tasks.forEach((task, i) => {
-            task._index = i;
-        });
+        // Children move up to the removed task's parent
+        for (const task of this._tasks) {
+            if (task.parent === id) task.parent = removed.parent;
+        }
 
+        // Reindex
+        this._buildHierarchy();
         this._buildDependencyGraph();
+        this.validate();
         return true;
     }
 
@@ -342,19 +1014,139 @@ export default class Tasks {
         const task = this.get(id);
         if (!task) return null;
 
-        task.update(changes);
+        task.update(changes, this.timezone);
+
+        if ('parent' in changes) {
+            if (task.parent !== null && task.parent !== undefined) {
+                task.parent = this._normalizeId(task.parent);
+            }
+            this._noteParent(task.parent);
+            this._buildHierarchy();
+        } else if ('collapsed' in changes) {
+            this._updateRows();
+        } else {
+            this.rollUpSummaries();
+        }
 
         if ('dependencies' in changes) {
+            task.links = this._parseDependencies(changes.dependencies, { name: task.name, id: task.uid });
+            task.dependencies = task.links.map((link) => link.id);
             this._buildDependencyGraph();
+            this.validate();
         }
 
         return task;
     }
 
+    /**
+     * Move a task, with its descendants, to another row: under a new
+     * parent (null for the top level) at a position among that parent's
+     * children. Rows and indices are renumbered.
+     * @param {string} id - Task UID
+     * @param {string|null} [parentId=null] - UID of the new parent
+     * @param {number} [index] - Position among the new siblings; defaults to last
+     * @returns {boolean} False if the task didn't move
+     */
+    move(id, parentId = null, index = Infinity) {
+        const task = this.get(id);
+        if (!task) return false;
+
+        if (parentId !== null && !this._byId.has(parentId)) {
+            console.warn(`can't move task "${id}" under missing task "${parentId}"`);
+            return false;
+        }
+        if (parentId === id || this.getDescendantIds(id).includes(parentId)) {
+            console.warn(`can't move task "${id}" into its own subtree`);
+            return false;
+        }
+
+        const siblings = this._tasks.filter((other) => (other.parent || null) === parentId);
+        const others = siblings.filter((other) => other !== task);
+        const position = Math.max(0, Math.min(index, others.length));
+        if (siblings.indexOf(task) === position) return false;
+
+        // Siblings keep their order in the flat list (see _buildHierarchy)
+        this._tasks.splice(this._tasks.indexOf(task), 1);
+        const next = others[position];
+        this._tasks.splice(next ? this._tasks.indexOf(next) : this._tasks.length, 0, task);
+        task.parent = parentId;
+        this._noteParent(parentId);
+
+        this._buildHierarchy();
+        return true;
+    }
+
+    /**
+     * Make a task depend on another. The link is rejected (with a warning)
+     * if either task is missing, the link already exists, or it would
+     * close a dependency cycle.
+     * @param {string} id - UID of the dependent task
+     * @param {{id: string, type?: string, lag?: string}} dependency - The predecessor and link
+     * @returns {{id: string, type: string, lag: string|null}|null} The added link, or null if rejected
+     */
+    addDependency(id, dependency) {
+        const task = this.get(id);
+        if (!task) return null;
+
+        const [link] = this._parseDependencies([dependency], { name: task.name, id });
+        if (!link) return null;
+
+        if (!this._byId.has(link.id)) {
+            console.warn(`can't link task "${id}" to missing task "${link.id}"`);
+            return null;
+        }
+        if (task.dependencies.includes(link.id)) {
+            console.warn(`task "${id}" already depends on "${link.id}"`);
+            return null;
+        }
+        if (this.wouldCreateCycle(id, link.id)) {
+            console.warn(`linking task "${id}" to "${link.id}" would create a dependency cycle`);
+            return null;
+        }
+
+        task.links.push(link);
+        task.dependencies.push(link.id);
+        this._buildDependencyGraph();
+        this.validate();
+        return link;
+    }
+
+    /**
+     * Remove a dependency link from a task
+     * @param {string} id - UID of the dependent task
+     * @param {string} depId - UID of the predecessor
+     * @returns {{id: string, type: string, lag: string|null}|null} The removed link, or null if there was none
+     */
+    removeDependency(id, depId) {
+        const task = this.get(id);
+        const link = task?.links.find((other) => other.id === depId);
+        if (!link) return null;
+
+        task.links = task.links.filter((other) => other !== link);
+        task.dependencies = task.links.map((other) => other.id);
+        this._buildDependencyGraph();
+        this.validate();
+        return link;
+    }
+
+    /**
+     * Check whether making a task depend on another would close a cycle:
+     * the predecessor already (indirectly) depends on the task, or is the
+     * task itself
+     * @param {string} id - UID of the dependent task
+     * @param {string} depId - UID of the predecessor
+     * @returns {boolean}
+     */
+    wouldCreateCycle(id, depId) {
+        return id === depId || this.getAllDependentIds(id).includes(depId);
+    }
+
     clear() {
         this._tasks = [];
         this._byId.clear();
         this._dependents.clear();
+        this._children.clear();
+        this._rows = [];
     }
 
     // Properties
@@ -427,6 +1219,6 @@ export default class Tasks {
     // Export
 
     export() {
-        return this._tasks.map((task) => task.toSpec());
+        return this._tasks.map((task) => task.toSpec(this.calendar, this.timezone));
     }
 }
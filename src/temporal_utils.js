@@ -3,7 +3,7 @@
 import { Temporal } from 'temporal-polyfill';
 
 // Default timezone for converting Instant to PlainDateTime
-const DEFAULT_TIMEZONE = 'UTC';
+export const DEFAULT_TIMEZONE = 'UTC';
 
 // Unit short forms for duration formatting
 const UNIT_SHORT_FORMS = {
@@ -17,12 +17,31 @@ const UNIT_SHORT_FORMS = {
     millisecond: 'ms',
 };
 
+/**
+ * Resolve a timezone option into an IANA timezone identifier
+ * 'local' resolves to the timezone of the host environment.
+ * @param {string} [timezone] - IANA identifier, offset string or 'local'
+ * @returns {string}
+ */
+export function resolveTimezone(timezone) {
+    if (!timezone) return DEFAULT_TIMEZONE;
+    if (timezone === 'local') return Temporal.Now.timeZoneId();
+
+    try {
+        return Temporal.Now.zonedDateTimeISO(timezone).timeZoneId;
+    } catch {
+        console.warn(`Invalid timezone "${timezone}", defaulting to ${DEFAULT_TIMEZONE}`);
+        return DEFAULT_TIMEZONE;
+    }
+}
+
 /**
  * Ensure input is a Temporal.Instant
  * @param {Temporal.Instant|Date|string|number} input
+ * @param {string} [timezone] - Timezone for wall-clock inputs
  * @returns {Temporal.Instant}
  */
-export function ensureInstant(input) {
+export function ensureInstant(input, timezone = DEFAULT_TIMEZONE) {
     if (input instanceof Temporal.Instant) {
         return input;
     }
@@ -30,7 +49,7 @@ export function ensureInstant(input) {
         return input.toInstant();
     }
     if (input instanceof Temporal.PlainDateTime) {
-        return input.toZonedDateTime(DEFAULT_TIMEZONE).toInstant();
+        return input.toZonedDateTime(timezone).toInstant();
     }
     if (input instanceof Date) {
         return Temporal.Instant.fromEpochMilliseconds(input.getTime());
@@ -39,27 +58,90 @@ export function ensureInstant(input) {
         return Temporal.Instant.fromEpochMilliseconds(input);
     }
     if (typeof input === 'string') {
-        return parseInstant(input);
+        return parseInstant(input, '-', /[.:]/, timezone);
     }
     throw new Error(`Cannot convert ${typeof input} to Temporal.Instant`);
 }
 
 /**
- * Convert Instant to PlainDateTime in UTC for local operations
+ * Convert Instant to PlainDateTime in the given timezone for local operations
  * @param {Temporal.Instant} instant
+ * @param {string} [timezone] - Defaults to UTC
  * @returns {Temporal.PlainDateTime}
  */
-export function toPlainDateTime(instant) {
-    return instant.toZonedDateTimeISO(DEFAULT_TIMEZONE).toPlainDateTime();
+export function toPlainDateTime(instant, timezone = DEFAULT_TIMEZONE) {
+    return instant.toZonedDateTimeISO(timezone).toPlainDateTime();
 }
 
 /**
- * Convert PlainDateTime back to Instant (assumes UTC)
+ * Convert PlainDateTime back to Instant in the given timezone
  * @param {Temporal.PlainDateTime} pdt
+ * @param {string} [timezone] - Defaults to UTC
  * @returns {Temporal.Instant}
  */
-export function toInstant(pdt) {
-    return pdt.toZonedDateTime(DEFAULT_TIMEZONE).toInstant();
+export function toInstant(pdt, timezone = DEFAULT_TIMEZONE) {
+    return pdt.toZonedDateTime(timezone).toInstant();
+}
+
+/**
+ * Check whether a PlainDateTime is at midnight
+ * @param {Temporal.PlainDateTime} pdt
+ * @returns {boolean}
+ */
+export function isMidnight(pdt) {
+    return pdt.hour === 0 && pdt.minute === 0 && pdt.second === 0 && pdt.millisecond === 0;
+}
+
+/**
+ * Format a PlainDateTime as a task spec date: the date alone at midnight,
+ * else date and time ("2024-03-15 09:30")
+ * @param {Temporal.PlainDateTime} pdt
+ * @returns {string}
+ */
+export function toSpecDate(pdt) {
+    const date = pdt.toPlainDate().toString();
+    if (isMidnight(pdt)) return date;
+    return `${date} ${pdt.toPlainTime().toString({ smallestUnit: pdt.second ? 'second' : 'minute' })}`;
+}
+
+/**
+ * Format an exclusive end as a task spec end date. A bare end date lasts
+ * that whole day, so a midnight end is written as the day before.
+ * @param {Temporal.PlainDateTime} pdt
+ * @returns {string}
+ */
+export function toSpecEndDate(pdt) {
+    return isMidnight(pdt) ? pdt.toPlainDate().subtract({ days: 1 }).toString() : toSpecDate(pdt);
+}
+
+// Custom duration format: integer and unit ("1d", "30min")
+const DURATION_REGEX = /^(\d+)(y|mo|m|w|d|h|min|s|ms)$/;
+// Dependency lags may be negative (leads): "-2h"
+const LAG_REGEX = /^(-?\d+)(y|mo|m|w|d|h|min|s|ms)$/;
+
+/**
+ * Check whether a string is in the custom duration format. Several
+ * space-separated parts ("1d 4h") are accepted.
+ * @param {string} durationStr
+ * @returns {boolean}
+ */
+export function isDurationString(durationStr) {
+    return isMultipart(durationStr, DURATION_REGEX);
+}
+
+/**
+ * Check whether a string is a dependency lag: the custom duration format
+ * with optionally negative parts ("2d", "-1d -4h")
+ * @param {string} lagStr
+ * @returns {boolean}
+ */
+export function isLagString(lagStr) {
+    return isMultipart(lagStr, LAG_REGEX);
+}
+
+function isMultipart(str, regex) {
+    if (typeof str !== 'string' || !str.trim()) return false;
+    return str.trim().split(/\s+/).every((part) => regex.test(part));
 }
 
 /**
@@ -68,8 +150,7 @@ export function toInstant(pdt) {
  * @returns {Temporal.Duration}
  */
 export function parseDuration(durationStr) {
-    const regex = /^(\d+)(y|mo|m|w|d|h|min|s|ms)$/;
-    const matches = durationStr.match(regex);
+    const matches = durationStr.match(DURATION_REGEX);
 
     if (!matches) {
         console.warn(`Invalid duration "${durationStr}", defaulting to 1 day`);
@@ -100,7 +181,20 @@ export function parseDuration(durationStr) {
  * @returns {{value: number, unit: string}}
  */
 export function parseDurationString(durationStr) {
-    const regex = /^(\d+)(y|mo|m|w|d|h|min|s|ms)$/;
+    return parseUnitString(durationStr, DURATION_REGEX);
+}
+
+/**
+ * Parse one part of a dependency lag ("-2h") into its signed value and
+ * unit name
+ * @param {string} lagStr - Lag part like "2d" or "-4h"
+ * @returns {{value: number, unit: string}}
+ */
+export function parseLagString(lagStr) {
+    return parseUnitString(lagStr, LAG_REGEX);
+}
+
+function parseUnitString(durationStr, regex) {
     const matches = durationStr.match(regex);
 
     if (!matches) {
@@ -129,12 +223,14 @@ export function parseDurationString(durationStr) {
 /**
  * Parse input into Temporal.Instant
  * Handles: Instant, Date, string ("YYYY-MM-DD" or "YYYY-MM-DD HH:mm:ss.SSS")
+ * Strings without an offset are read as wall-clock time in `timezone`.
  * @param {Temporal.Instant|Date|string} input
  * @param {string} dateSeparator
  * @param {RegExp} timeSeparator
+ * @param {string} [timezone] - Defaults to UTC
  * @returns {Temporal.Instant}
  */
-export function parseInstant(input, dateSeparator = '-', timeSeparator = /[.:]/) {
+export function parseInstant(input, dateSeparator = '-', timeSeparator = /[.:]/, timezone = DEFAULT_TIMEZONE) {
     if (input instanceof Temporal.Instant) {
         return input;
     }
@@ -142,7 +238,7 @@ export function parseInstant(input, dateSeparator = '-', timeSeparator = /[.:]/)
         return input.toInstant();
     }
     if (input instanceof Temporal.PlainDateTime) {
-        return input.toZonedDateTime(DEFAULT_TIMEZONE).toInstant();
+        return input.toZonedDateTime(timezone).toInstant();
     }
     if (input instanceof Date) {
         return Temporal.Instant.fromEpochMilliseconds(input.getTime());
@@ -159,7 +255,7 @@ export function parseInstant(input, dateSeparator = '-', timeSeparator = /[.:]/)
                 }
                 // Otherwise parse as PlainDateTime and convert
                 const pdt = Temporal.PlainDateTime.from(normalized);
-                return pdt.toZonedDateTime(DEFAULT_TIMEZONE).toInstant();
+                return pdt.toZonedDateTime(timezone).toInstant();
             } catch {
                 // Fall through to manual parsing
             }
@@ -181,7 +277,7 @@ export function parseInstant(input, dateSeparator = '-', timeSeparator = /[.:]/)
         const pdt = Temporal.PlainDateTime.from({
             year, month, day, hour, minute, second, millisecond
         });
-        return pdt.toZonedDateTime(DEFAULT_TIMEZONE).toInstant();
+        return pdt.toZonedDateTime(timezone).toInstant();
     }
 
     throw new Error(`Cannot parse instant from ${typeof input}`);
@@ -192,28 +288,30 @@ export function parseInstant(input, dateSeparator = '-', timeSeparator = /[.:]/)
  * @param {Temporal.Instant|Date|string} instantA
  * @param {Temporal.Instant|Date|string} instantB
  * @param {string} scale - 'millisecond'|'second'|'minute'|'hour'|'day'|'month'|'year'
+ * @param {string} [timezone] - Timezone for calendar-aware units, defaults to UTC
  * @returns {number}
  */
-export function diff(instantA, instantB, scale = 'day') {
-    const a = ensureInstant(instantA);
-    const b = ensureInstant(instantB);
+export function diff(instantA, instantB, scale = 'day', timezone = DEFAULT_TIMEZONE) {
+    const a = ensureInstant(instantA, timezone);
+    const b = ensureInstant(instantB, timezone);
 
     // Normalize scale (remove trailing 's' if present)
     let unit = scale.endsWith('s') ? scale.slice(0, -1) : scale;
 
-    // Convert to PlainDateTime for calendar-aware duration calculation
-    const pdtA = toPlainDateTime(a);
-    const pdtB = toPlainDateTime(b);
+    // Convert to ZonedDateTime so days follow the calendar and hours follow
+    // exact time, even across DST transitions
+    const zdtA = a.toZonedDateTimeISO(timezone);
+    const zdtB = b.toZonedDateTimeISO(timezone);
 
     // Get duration between the two instants
-    const duration = pdtA.since(pdtB, {
+    const duration = zdtA.since(zdtB, {
         largestUnit: unit + 's',
     });
 
     // Return total in the requested unit
     const total = duration.total({
         unit,
-        relativeTo: pdtB,
+        relativeTo: zdtB,
     });
 
     return Math.round(total * 100) / 100;
@@ -224,28 +322,30 @@ export function diff(instantA, instantB, scale = 'day') {
  * @param {Temporal.Instant|Date|string} instant
  * @param {number} qty
  * @param {string} scale
+ * @param {string} [timezone] - Timezone for calendar-aware units, defaults to UTC
  * @returns {Temporal.Instant}
  */
-export function add(instant, qty, scale) {
-    const inst = ensureInstant(instant);
-    const pdt = toPlainDateTime(inst);
+export function add(instant, qty, scale, timezone = DEFAULT_TIMEZONE) {
+    const inst = ensureInstant(instant, timezone);
+    const zdt = inst.toZonedDateTimeISO(timezone);
 
     // Build duration object with pluralized key
     const pluralScale = scale.endsWith('s') ? scale : scale + 's';
     const duration = Temporal.Duration.from({ [pluralScale]: parseInt(qty, 10) });
 
-    const newPdt = pdt.add(duration);
-    return toInstant(newPdt);
+    // Days and larger keep the wall-clock time, hours and smaller are exact
+    return zdt.add(duration).toInstant();
 }
 
 /**
  * Get the start of a time unit
  * @param {Temporal.Instant|Date|string} instant
  * @param {string} scale
+ * @param {string} [timezone] - Timezone whose wall clock defines the unit, defaults to UTC
  * @returns {Temporal.Instant}
  */
-export function floor(instant, scale) {
-    const pdt = toPlainDateTime(ensureInstant(instant));
+export function floor(instant, scale, timezone = DEFAULT_TIMEZONE) {
+    const pdt = toPlainDateTime(ensureInstant(instant, timezone), timezone);
 
     let truncated;
     switch (scale) {
@@ -278,15 +378,21 @@ export function floor(instant, scale) {
             truncated = pdt;
     }
 
-    return toInstant(truncated);
+    // Midnight may not exist on DST transition days; converting the plain
+    // date resolves to the first valid instant of that day instead
+    if (scale === 'day' || scale === 'week' || scale === 'month' || scale === 'year') {
+        return truncated.toPlainDate().toZonedDateTime(timezone).toInstant();
+    }
+    return toInstant(truncated, timezone);
 }
 
 /**
- * Get today at midnight (UTC)
+ * Get today at midnight
+ * @param {string} [timezone] - Defaults to UTC
  * @returns {Temporal.Instant}
  */
-export function today() {
-    return floor(Temporal.Now.instant(), 'day');
+export function today(timezone = DEFAULT_TIMEZONE) {
+    return floor(Temporal.Now.instant(), 'day', timezone);
 }
 
 /**
@@ -302,11 +408,12 @@ export function now() {
  * @param {Temporal.Instant|Date|string} instant
  * @param {string} formatStr - Format string like 'YYYY-MM-DD HH:mm:ss.SSS'
  * @param {string} lang - Language code for month names
+ * @param {string} [timezone] - Timezone to render in, defaults to UTC
  * @returns {string}
  */
-export function format(instant, formatStr = 'YYYY-MM-DD HH:mm:ss.SSS', lang = 'en') {
-    const inst = ensureInstant(instant);
-    const pdt = toPlainDateTime(inst);
+export function format(instant, formatStr = 'YYYY-MM-DD HH:mm:ss.SSS', lang = 'en', timezone = DEFAULT_TIMEZONE) {
+    const inst = ensureInstant(instant, timezone);
+    const pdt = toPlainDateTime(inst, timezone);
 
     // Get localized month names directly from PlainDateTime
     const monthName = pdt.toLocaleString(lang, { month: 'long' });
@@ -348,20 +455,22 @@ export function format(instant, formatStr = 'YYYY-MM-DD HH:mm:ss.SSS', lang = 'e
 /**
  * Get number of days in the month of the given instant
  * @param {Temporal.Instant|Date|string} instant
+ * @param {string} [timezone] - Defaults to UTC
  * @returns {number}
  */
-export function getDaysInMonth(instant) {
-    const pdt = toPlainDateTime(ensureInstant(instant));
+export function getDaysInMonth(instant, timezone = DEFAULT_TIMEZONE) {
+    const pdt = toPlainDateTime(ensureInstant(instant, timezone), timezone);
     return pdt.daysInMonth;
 }
 
 /**
  * Get number of days in the year of the given instant
  * @param {Temporal.Instant|Date|string} instant
+ * @param {string} [timezone] - Defaults to UTC
  * @returns {number}
  */
-export function getDaysInYear(instant) {
-    const pdt = toPlainDateTime(ensureInstant(instant));
+export function getDaysInYear(instant, timezone = DEFAULT_TIMEZONE) {
+    const pdt = toPlainDateTime(ensureInstant(instant, timezone), timezone);
     return pdt.daysInYear;
 }
 
@@ -428,10 +537,11 @@ export function formatDatetime(instant, options = {}) {
         showSeconds = true,
         showDate = true,
         maxTimeUnits = null,
+        timezone = DEFAULT_TIMEZONE,
     } = options;
 
-    const pdt = toPlainDateTime(ensureInstant(instant));
-    const dateStr = format(instant, 'MMM D, YYYY', lang);
+    const pdt = toPlainDateTime(ensureInstant(instant, timezone), timezone);
+    const dateStr = format(instant, 'MMM D, YYYY', lang, timezone);
 
     const hours = pdt.hour;
     const minutes = pdt.minute;
@@ -512,18 +622,19 @@ export function isRelativeOffset(str) {
  * Apply a relative offset to a reference instant, or parse as absolute
  * @param {string} offsetOrAbsolute - Relative offset like '-2d', '+5d', or absolute date '2024-01-01'
  * @param {Temporal.Instant} reference - Reference instant (used only if offsetOrAbsolute is relative)
+ * @param {string} [timezone] - Defaults to UTC
  * @returns {Temporal.Instant}
  */
-export function applyRelativeOffset(offsetOrAbsolute, reference) {
+export function applyRelativeOffset(offsetOrAbsolute, reference, timezone = DEFAULT_TIMEZONE) {
     if (!isRelativeOffset(offsetOrAbsolute)) {
-        return ensureInstant(offsetOrAbsolute);
+        return ensureInstant(offsetOrAbsolute, timezone);
     }
 
     const sign = offsetOrAbsolute.startsWith('-') ? -1 : 1;
     const durationStr = offsetOrAbsolute.slice(1); // Remove leading +/-
     const { value, unit } = parseDurationString(durationStr);
 
-    return add(reference, sign * value, unit);
+    return add(reference, sign * value, unit, timezone);
 }
 
 // Export Temporal for direct access if needed
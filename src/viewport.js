@@ -1,4 +1,8 @@
-import { Temporal, ensureInstant, add } from './temporal_utils';
+import { DEFAULT_TIMEZONE, Temporal, ensureInstant, add } from './temporal_utils';
+
+// Step units whose length follows the calendar: days can have 23 or 25
+// hours across DST changes, months and years differ in days
+const CALENDAR_UNITS = ['day', 'week', 'month', 'year'];
 
 /**
  * Viewport - Pure coordinate calculator for time↔pixel conversion
@@ -8,6 +12,10 @@ import { Temporal, ensureInstant, add } from './temporal_utils';
  *   - origin: the instant that maps to x=0
  *   - msPerPixel: the scale factor
  *
+ * Columns of calendar units (days and up) are stepped in zoned time, like
+ * the grid header, so every column is columnWidth wide however long its
+ * day or month is; within a column time maps linearly.
+ *
  * All rendering policy (what range to render, scroll bounds, etc.) belongs
  * to Chart, not Viewport.
  */
@@ -18,6 +26,7 @@ export default class Viewport {
      * @param {number} [options.columnWidth=45] - Pixels per step
      * @param {number} [options.stepInterval=1] - Number of units per step
      * @param {string} [options.stepUnit='day'] - Unit type (day, hour, etc.)
+     * @param {string} [options.timezone='UTC'] - Timezone whose wall clock columns follow
      */
     constructor(options = {}) {
         if (!options.origin) {
@@ -28,12 +37,14 @@ export default class Viewport {
         this.columnWidth = options.columnWidth || 45;
         this.stepInterval = options.stepInterval || 1;
         this.stepUnit = options.stepUnit || 'day';
+        this.timezone = options.timezone || DEFAULT_TIMEZONE;
 
         this._updateScale();
     }
 
     /**
-     * Recalculate msPerPixel based on current scale settings
+     * Recalculate msPerPixel based on current scale settings. For calendar
+     * units it is the nominal scale (in UTC), used to estimate columns.
      * @private
      */
     _updateScale() {
@@ -41,6 +52,34 @@ export default class Viewport {
         const endInstant = add(baseInstant, this.stepInterval, this.stepUnit);
         const msPerInterval = endInstant.epochMilliseconds - baseInstant.epochMilliseconds;
         this.msPerPixel = msPerInterval / this.columnWidth;
+        this._zoned = CALENDAR_UNITS.includes(this.stepUnit);
+        // Map<column index, epoch ms of its start>
+        this._columnStarts = new Map();
+    }
+
+    /**
+     * Start of the nth column after the origin, in epoch milliseconds
+     * @private
+     */
+    _columnStart(n) {
+        let ms = this._columnStarts.get(n);
+        if (ms === undefined) {
+            ms = add(this.origin, n * this.stepInterval, this.stepUnit, this.timezone).epochMilliseconds;
+            this._columnStarts.set(n, ms);
+        }
+        return ms;
+    }
+
+    /**
+     * Index of the column containing an epoch millisecond
+     * @private
+     */
+    _columnAt(ms) {
+        const msPerColumn = this.msPerPixel * this.columnWidth;
+        let n = Math.floor((ms - this.origin.epochMilliseconds) / msPerColumn);
+        while (this._columnStart(n) > ms) n--;
+        while (this._columnStart(n + 1) <= ms) n++;
+        return n;
     }
 
     /**
@@ -50,8 +89,16 @@ export default class Viewport {
      */
     dateToX(instant) {
         const inst = ensureInstant(instant);
-        const msOffset = inst.epochMilliseconds - this.origin.epochMilliseconds;
-        return msOffset / this.msPerPixel;
+        if (!this._zoned) {
+            const msOffset = inst.epochMilliseconds - this.origin.epochMilliseconds;
+            return msOffset / this.msPerPixel;
+        }
+
+        const ms = inst.epochMilliseconds;
+        const n = this._columnAt(ms);
+        const start = this._columnStart(n);
+        const fraction = (ms - start) / (this._columnStart(n + 1) - start);
+        return (n + fraction) * this.columnWidth;
     }
 
     /**
@@ -60,9 +107,18 @@ export default class Viewport {
      * @returns {Temporal.Instant}
      */
     xToDate(x) {
-        const msOffset = x * this.msPerPixel;
+        if (!this._zoned) {
+            const msOffset = x * this.msPerPixel;
+            return Temporal.Instant.fromEpochMilliseconds(
+                Math.round(this.origin.epochMilliseconds + msOffset)
+            );
+        }
+
+        const n = Math.floor(x / this.columnWidth);
+        const start = this._columnStart(n);
+        const fraction = x / this.columnWidth - n;
         return Temporal.Instant.fromEpochMilliseconds(
-            Math.round(this.origin.epochMilliseconds + msOffset)
+            Math.round(start + fraction * (this._columnStart(n + 1) - start))
         );
     }
 
@@ -93,6 +149,7 @@ export default class Viewport {
      */
     setOrigin(instant) {
         this.origin = ensureInstant(instant);
+        this._columnStarts.clear();
     }
 
     /**
@@ -101,10 +158,7 @@ export default class Viewport {
      * @returns {Temporal.Instant} The new origin
      */
     shiftOrigin(deltaPixels) {
-        const deltaMs = deltaPixels * this.msPerPixel;
-        this.origin = Temporal.Instant.fromEpochMilliseconds(
-            Math.round(this.origin.epochMilliseconds + deltaMs)
-        );
+        this.setOrigin(this.xToDate(deltaPixels));
         return this.origin;
     }
 
@@ -113,11 +167,13 @@ export default class Viewport {
      * @param {number} columnWidth - Pixels per step
      * @param {number} [stepInterval] - Number of units per step
      * @param {string} [stepUnit] - Unit type (day, hour, etc.)
+     * @param {string} [timezone] - Timezone whose wall clock columns follow
      */
-    setScale(columnWidth, stepInterval, stepUnit) {
+    setScale(columnWidth, stepInterval, stepUnit, timezone) {
         this.columnWidth = columnWidth;
         if (stepInterval !== undefined) this.stepInterval = stepInterval;
         if (stepUnit !== undefined) this.stepUnit = stepUnit;
+        if (timezone !== undefined) this.timezone = timezone;
         this._updateScale();
     }
 
@@ -128,10 +184,7 @@ export default class Viewport {
      * @returns {number} width in pixels
      */
     rangeToPixels(start, end) {
-        const startInst = ensureInstant(start);
-        const endInst = ensureInstant(end);
-        const msSpan = endInst.epochMilliseconds - startInst.epochMilliseconds;
-        return msSpan / this.msPerPixel;
+        return this.dateToX(end) - this.dateToX(start);
     }
 
     /**
@@ -0,0 +1,56 @@
+import { describe, expect, it } from 'vitest';
+
+import Calendar from '../src/calendar';
+import { Temporal } from '../src/temporal_utils';
+
+const HOUR = 3600000;
+const at = (text) => Temporal.Instant.from(text);
+
+describe('Calendar', () => {
+    const office = new Calendar({ hours: ['09:00', '17:00'], holidays: ['2024-01-09'] });
+
+    it('measures days and weeks in working hours', () => {
+        expect(office.toWorkingMs(2, 'day')).toBe(16 * HOUR);
+        expect(office.toWorkingMs(1, 'week')).toBe(40 * HOUR);
+        expect(office.toWorkingMs(3, 'hour')).toBe(3 * HOUR);
+        expect(office.toWorkingMs(1, 'month')).toBeNull();
+        expect(office.formatWorkingMs(12 * HOUR + 30 * 60000)).toBe('1d 4h 30min');
+    });
+
+    it('adds working time across weekends and holidays', () => {
+        // Friday 15:00 + 4h: two hours on Friday, two on Monday
+        expect(`${office.addWorkingTime(at('2024-01-05T15:00Z'), 4 * HOUR)}`).toBe('2024-01-08T11:00:00Z');
+        // Monday 15:00 + 4h skips the Tuesday holiday
+        expect(`${office.addWorkingTime(at('2024-01-08T15:00Z'), 4 * HOUR)}`).toBe('2024-01-10T11:00:00Z');
+        // Before the window, time starts counting when it opens
+        expect(`${office.addWorkingTime(at('2024-01-08T06:00Z'), HOUR)}`).toBe('2024-01-08T10:00:00Z');
+        // Starting at closing time, a day of work fills the next working day
+        expect(`${office.addWorkingTime(at('2024-01-05T17:00Z'), 8 * HOUR)}`).toBe('2024-01-08T17:00:00Z');
+    });
+
+    it('counts only working time between two instants', () => {
+        expect(office.workingTimeBetween(at('2024-01-05T15:00Z'), at('2024-01-08T11:00Z'))).toBe(4 * HOUR);
+        expect(office.workingTimeBetween(at('2024-01-08T00:00Z'), at('2024-01-11T00:00Z'))).toBe(16 * HOUR);
+        expect(office.workingTimeBetween(at('2024-01-06T00:00Z'), at('2024-01-07T23:00Z'))).toBe(0);
+        expect(office.workingTimeBetween(at('2024-01-08T11:00Z'), at('2024-01-05T15:00Z'))).toBe(0);
+    });
+
+    it('finds the next working time', () => {
+        expect(`${office.nextWorkingTime(at('2024-01-06T12:00Z'))}`).toBe('2024-01-08T09:00:00Z');
+        expect(`${office.nextWorkingTime(at('2024-01-08T17:00Z'))}`).toBe('2024-01-10T09:00:00Z');
+        expect(`${office.nextWorkingTime(at('2024-01-10T10:30Z'))}`).toBe('2024-01-10T10:30:00Z');
+    });
+
+    it('keeps working hours on the local clock across DST', () => {
+        const berlin = new Calendar({ hours: ['09:00', '17:00'] }, 'Europe/Berlin');
+
+        // Friday 15:00 CET + 4h ends Monday 11:00 CEST, after the clocks went forward
+        expect(`${berlin.addWorkingTime(at('2024-03-29T14:00Z'), 4 * HOUR)}`).toBe('2024-04-01T09:00:00Z');
+        expect(berlin.workingTimeBetween(at('2024-03-29T14:00Z'), at('2024-04-01T09:00Z'))).toBe(4 * HOUR);
+
+        // The day the clocks go forward has 23 hours
+        const always = new Calendar({ weekdays: [1, 2, 3, 4, 5, 6, 7] }, 'Europe/Berlin');
+        expect(always.workingTimeBetween(at('2024-03-30T23:00Z'), at('2024-03-31T22:00Z'))).toBe(23 * HOUR);
+        expect(`${always.addWorkingTime(at('2024-03-30T11:00Z'), 24 * HOUR)}`).toBe('2024-03-31T11:00:00Z');
+    });
+});
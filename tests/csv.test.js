@@ -0,0 +1,55 @@
+import { describe, expect, it } from 'vitest';
+
+import { parseCSV, serializeCSV } from '../src/csv';
+
+describe('parseCSV', () => {
+    it('reads hyphenated IDs in dependencies whole', () => {
+        const { tasks, errors } = parseCSV(
+            'id,name,start,duration,dependencies\r\n' +
+                'task-1,One,2024-01-01,2d,\r\n' +
+                'task-2,Two,2024-01-03,1d,task-1\r\n' +
+                'task-3,Three,2024-01-04,1d,"task-1 SS+2d, task-2 -1d"\r\n',
+        );
+
+        expect(errors).toEqual([]);
+        expect(tasks[1].dependencies).toBe('task-1');
+        expect(tasks[2].dependencies).toEqual([
+            { id: 'task-1', type: 'SS', lag: '2d' },
+            { id: 'task-2', type: 'FS', lag: '-1d' },
+        ]);
+    });
+
+    it('rejects a row with an invalid lag', () => {
+        const { tasks, errors } = parseCSV('id,dependencies\r\na,b SS+2x\r\n');
+        expect(tasks).toEqual([]);
+        expect(errors).toEqual([{ row: 2, message: 'invalid lag in dependency "b SS+2x"' }]);
+    });
+});
+
+describe('serializeCSV', () => {
+    it('writes specs that parseCSV reads back', () => {
+        const specs = [
+            { id: 'task-1', name: 'Design, phase 1', start: '2024-01-01', end: '2024-01-05', progress: 50 },
+            { id: 'task-2', name: 'Build "v2"', start: '2024-01-08 09:30', duration: '2d', dependencies: 'task-1' },
+            {
+                id: 'task-3',
+                name: 'Ship',
+                start: '2024-01-12',
+                duration: '1d',
+                dependencies: [
+                    { id: 'task-1', type: 'SS', lag: '2d' },
+                    { id: 'task-2', type: 'FF', lag: '-1d -4h' },
+                ],
+            },
+        ];
+
+        const { tasks, errors } = parseCSV(serializeCSV(specs));
+        expect(errors).toEqual([]);
+        expect(tasks[0]).toMatchObject({ id: 'task-1', name: 'Design, phase 1', end: '2024-01-05' });
+        expect(tasks[1]).toMatchObject({ name: 'Build "v2"', start: '2024-01-08 09:30', dependencies: 'task-1' });
+        expect(tasks[2].dependencies).toEqual([
+            { id: 'task-1', type: 'SS', lag: '2d' },
+            { id: 'task-2', type: 'FF', lag: '-1d -4h' },
+        ]);
+    });
+});
@@ -0,0 +1,41 @@
+import { describe, expect, it, vi } from 'vitest';
+
+import EventEmitter from '../src/event_emitter';
+
+describe('EventEmitter', () => {
+    it('calls once listeners a single time, with the emit context', () => {
+        const emitter = new EventEmitter();
+        const context = {};
+        const listener = vi.fn(function () {
+            return this;
+        });
+        emitter.once('click', listener);
+
+        emitter.emit('click', [1, 2], context);
+        emitter.emit('click', [3], context);
+
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(listener).toHaveBeenCalledWith(1, 2);
+        expect(listener.mock.results[0].value).toBe(context);
+        expect(emitter.listenerCount('click')).toBe(0);
+    });
+
+    it('lets a listener veto the event', () => {
+        const emitter = new EventEmitter();
+        emitter.on('before_date_change', () => false);
+        emitter.once('before_date_change', () => true);
+
+        expect(emitter.emit('before_date_change')).toBe(false);
+        expect(emitter.emit('other')).toBe(true);
+    });
+
+    it('removes once listeners by their callback', () => {
+        const emitter = new EventEmitter();
+        const listener = vi.fn();
+        emitter.once('click', listener);
+        emitter.off('click', listener);
+
+        emitter.emit('click');
+        expect(listener).not.toHaveBeenCalled();
+    });
+});
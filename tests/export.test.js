@@ -0,0 +1,52 @@
+import { describe, expect, it } from 'vitest';
+
+import { serializeCSV } from '../src/csv';
+import { serializeMermaid } from '../src/mermaid';
+import Tasks from '../src/tasks';
+import { ensureInstant } from '../src/temporal_utils';
+
+const SPECS = [
+    { id: 'a', name: 'A', start: '2024-01-01', end: '2024-01-05' },
+    { id: 'b', name: 'B', start: '2024-01-08', duration: '2d', dependencies: 'a' },
+];
+
+// Move a task the way Scheduler.commitDateChanges does after a drag
+function move(tasks, id, start, end) {
+    const task = tasks.get(id);
+    task.start = ensureInstant(start);
+    task.end = ensureInstant(end);
+}
+
+describe('export after a date change', () => {
+    it('keeps the dates as given while unchanged', () => {
+        const specs = new Tasks().load(SPECS).export();
+        expect(specs[0]).toMatchObject({ start: '2024-01-01', end: '2024-01-05' });
+        expect(specs[1]).toMatchObject({ start: '2024-01-08', duration: '2d' });
+    });
+
+    it('writes dragged dates', () => {
+        const tasks = new Tasks().load(SPECS);
+        move(tasks, 'a', '2024-02-01', '2024-02-04');
+        const specs = tasks.export();
+
+        expect(specs[0]).toMatchObject({ start: '2024-02-01', end: '2024-02-03' });
+        expect(serializeCSV(specs)).toContain('a,A,2024-02-01,2024-02-03');
+        expect(serializeMermaid(specs).text).toContain('A :a, 2024-02-01, 2024-02-04');
+
+        // Reloading the export gives the dragged dates back
+        const reloaded = new Tasks().load(specs).get('a');
+        expect(reloaded.start.equals(tasks.get('a').start)).toBe(true);
+        expect(reloaded.end.equals(tasks.get('a').end)).toBe(true);
+    });
+
+    it('keeps a duration when only moved, and writes the end when resized', () => {
+        const tasks = new Tasks().load(SPECS);
+        move(tasks, 'b', '2024-01-09', '2024-01-12');
+        expect(tasks.export()[1]).toMatchObject({ start: '2024-01-09', duration: '2d' });
+
+        tasks.update('b', { end: '2024-01-13 12:00' });
+        const [, spec] = tasks.export();
+        expect(spec).toMatchObject({ start: '2024-01-09', end: '2024-01-13 12:00' });
+        expect(spec.duration).toBeUndefined();
+    });
+});
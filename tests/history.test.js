@@ -0,0 +1,82 @@
+// @vitest-environment jsdom
+import { beforeEach, describe, expect, it } from 'vitest';
+
+import Gantt from '../src/index';
+
+const TASKS = [
+    { id: 'p', name: 'Parent' },
+    { id: 'a', name: 'A', start: '2024-01-01', end: '2024-01-03', parent: 'p' },
+    { id: 'b', name: 'B', start: '2024-01-04', end: '2024-01-05', parent: 'p', dependencies: 'a' },
+    { id: 'c', name: 'C', start: '2024-01-08', end: '2024-01-09' },
+];
+
+// jsdom has no layout
+SVGElement.prototype.getBBox = function () {
+    return { x: 0, y: 0, width: 0, height: 0 };
+};
+Element.prototype.scrollTo = function () {};
+
+const order = (gantt) => gantt.tasks.map((task) => `${task.uid}${task.parent ? `<${task.parent}` : ''}`).join(' ');
+
+describe('undo and redo', () => {
+    let gantt;
+    beforeEach(() => {
+        document.body.innerHTML = '<div id="gantt"></div>';
+        gantt = new Gantt('#gantt', TASKS, {});
+    });
+
+    it('records only the changed tasks', () => {
+        gantt.updateTask('a', { name: 'A2' });
+        const [step] = gantt.history._undo;
+        expect([...step.before.keys()]).toEqual(['a']);
+        expect([...step.after.keys()]).toEqual(['a']);
+    });
+
+    it('restores removed tasks with their children and position', () => {
+        const before = order(gantt);
+        gantt.removeTask('p');
+        expect(order(gantt)).toBe('a b c');
+
+        gantt.undo();
+        expect(order(gantt)).toBe(before);
+        expect(gantt.tasks.get('p').start.equals(gantt.tasks.get('a').start)).toBe(true);
+
+        gantt.redo();
+        expect(order(gantt)).toBe('a b c');
+    });
+
+    it('undoes adding, moving and reparenting', () => {
+        const before = order(gantt);
+        gantt.addTask({ id: 'd', name: 'D', start: '2024-01-02', end: '2024-01-02', parent: 'p' }, 1);
+        gantt.moveTask('c', { parent: null, index: 0 });
+        gantt.updateTask('b', { parent: null });
+        expect(order(gantt)).toBe('c p a<p d<p b');
+
+        gantt.undo();
+        expect(order(gantt)).toBe('c p a<p d<p b<p');
+        gantt.undo();
+        expect(order(gantt)).toBe('p a<p d<p b<p c');
+        gantt.undo();
+        expect(order(gantt)).toBe(before);
+    });
+
+    it('undoes date changes and rolls summaries back up', () => {
+        const { task } = gantt.getBar('b');
+        gantt.scheduler.commitDateChange(task, gantt.tasks.get('c').start, gantt.tasks.get('c').end);
+        expect(gantt.tasks.get('p').end.equals(gantt.tasks.get('c').end)).toBe(true);
+
+        gantt.undo();
+        expect(gantt.getTasks()[2]).toMatchObject({ start: '2024-01-04', end: '2024-01-05' });
+        expect(gantt.tasks.get('p').end.equals(gantt.tasks.get('b').end)).toBe(true);
+    });
+
+    it("doesn't record collapsing", () => {
+        gantt.updateTask('a', { name: 'A2' });
+        gantt.updateTask('p', { collapsed: true });
+        expect(gantt.history._undo.length).toBe(1);
+
+        gantt.undo();
+        expect(gantt.tasks.get('a').name).toBe('A');
+        expect(gantt.isCollapsed('p')).toBe(true);
+    });
+});
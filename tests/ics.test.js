@@ -0,0 +1,85 @@
+import { describe, expect, it } from 'vitest';
+
+import { serializeICS } from '../src/ics';
+import Tasks from '../src/tasks';
+
+// Content lines with folded lines joined back up
+const unfold = (ics) => ics.replace(/\r\n /g, '').split('\r\n');
+
+// The content lines of the event of a task
+function event(ics, uid) {
+    const lines = unfold(ics);
+    const start = lines.indexOf(`UID:${uid}`);
+    return lines.slice(start, lines.indexOf('END:VEVENT', start));
+}
+
+describe('serializeICS', () => {
+    it('writes all-day and timed events', () => {
+        const tasks = new Tasks().load([
+            { id: 'a', name: 'A', start: '2024-03-15', end: '2024-03-16' },
+            { id: 'b', name: 'B', start: '2024-03-15 09:30', end: '2024-03-15 17:00' },
+            { id: 'm', name: 'M', type: 'milestone', start: '2024-03-18' },
+        ]);
+        const ics = serializeICS(tasks);
+
+        expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+        expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+        expect(event(ics, 'a')).toContain('DTSTART;VALUE=DATE:20240315');
+        expect(event(ics, 'a')).toContain('DTEND;VALUE=DATE:20240317');
+        expect(event(ics, 'b')).toContain('DTSTART:20240315T093000Z');
+        expect(event(ics, 'b')).toContain('DTEND:20240315T170000Z');
+        expect(event(ics, 'm').filter((line) => line.startsWith('DT'))).toEqual([
+            expect.stringMatching(/^DTSTAMP:\d{8}T\d{6}Z$/),
+            'DTSTART;VALUE=DATE:20240318',
+        ]);
+    });
+
+    it('escapes text values', () => {
+        const tasks = new Tasks().load([
+            { id: 'a', name: 'Design; phase 1, v2', start: '2024-03-15', end: '2024-03-15', description: 'C:\\docs\nsee "notes"' },
+        ]);
+        const lines = event(serializeICS(tasks, { name: 'Plan, Q1' }), 'a');
+
+        expect(lines).toContain('SUMMARY:Design\\; phase 1\\, v2');
+        expect(lines).toContain('DESCRIPTION:C:\\\\docs\\nsee "notes"');
+        expect(unfold(serializeICS(tasks, { name: 'Plan, Q1' }))).toContain('X-WR-CALNAME:Plan\\, Q1');
+    });
+
+    it('folds long lines at 75 octets without splitting characters', () => {
+        const name = 'Überprüfung der Anforderungen für das nächste Release — Phase zwei und drei';
+        const tasks = new Tasks().load([{ id: 'a', name, start: '2024-03-15', end: '2024-03-15' }]);
+        const ics = serializeICS(tasks);
+        const encoder = new TextEncoder();
+
+        const physical = ics.split('\r\n');
+        expect(physical.some((line) => line.startsWith(' '))).toBe(true);
+        for (const line of physical) {
+            expect(encoder.encode(line).length).toBeLessThanOrEqual(75);
+        }
+        expect(event(ics, 'a')).toContain(`SUMMARY:${name}`);
+    });
+
+    it('writes parents and dependencies as RELATED-TO', () => {
+        const tasks = new Tasks().load([
+            { id: 'p', name: 'P' },
+            { id: 'a', name: 'A', start: '2024-03-15', end: '2024-03-15', parent: 'p' },
+            { id: 'c', name: 'C', start: '2024-03-15', end: '2024-03-15' },
+            {
+                id: 'b',
+                name: 'B',
+                start: '2024-03-18',
+                end: '2024-03-18',
+                parent: 'p',
+                dependencies: ['a', { id: 'c', type: 'SS' }, { id: 'c', type: 'FF' }],
+            },
+        ]);
+        const lines = event(serializeICS(tasks, { domain: 'example.com' }), 'b@example.com');
+
+        expect(lines.filter((line) => line.startsWith('RELATED-TO'))).toEqual([
+            'RELATED-TO;RELTYPE=PARENT:p@example.com',
+            'RELATED-TO;RELTYPE=FINISHTOSTART:a@example.com',
+            'RELATED-TO;RELTYPE=STARTTOSTART:c@example.com',
+            'RELATED-TO;RELTYPE=FINISHTOFINISH:c@example.com',
+        ]);
+    });
+});
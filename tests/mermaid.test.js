@@ -0,0 +1,79 @@
+import { describe, expect, it } from 'vitest';
+
+import { parseMermaid, serializeMermaid } from '../src/mermaid';
+
+describe('serializeMermaid', () => {
+    const SPECS = [
+        { id: 'a', name: 'A', start: '2024-01-01', end: '2024-01-03' },
+        { id: 'b', name: 'B', start: '2024-01-10', end: '2024-01-12', dependencies: 'a' },
+        { id: 'c', name: 'C', start: '2024-01-04', duration: '2d', dependencies: 'a' },
+        { id: 'd', name: 'D', start: '2024-01-06', duration: '1d', dependencies: ['a', 'c'] },
+    ];
+
+    it('writes `after` only for tasks that start where their predecessors end', () => {
+        const { text, warnings } = serializeMermaid(SPECS);
+
+        expect(text).toContain('B :b, 2024-01-10, 2024-01-13');
+        expect(text).toContain('C :c, after a, 2d');
+        expect(text).toContain('D :d, after a c, 1d');
+        expect(warnings).toEqual([
+            'task "B" (ID: "b") doesn\'t start where its predecessors end; its dependencies are left out to keep its start',
+        ]);
+    });
+
+    it('writes diagrams that parseMermaid reads back', () => {
+        const { tasks, warnings } = parseMermaid(serializeMermaid(SPECS).text);
+
+        expect(warnings).toEqual([]);
+        expect(tasks).toEqual([
+            { id: 'a', name: 'A', start: '2024-01-01', end: '2024-01-03' },
+            { id: 'b', name: 'B', start: '2024-01-10', end: '2024-01-12' },
+            { id: 'c', name: 'C', start: '2024-01-04', duration: '2d', dependencies: 'a' },
+            { id: 'd', name: 'D', start: '2024-01-06', duration: '1d', dependencies: 'a, c' },
+        ]);
+    });
+});
+
+describe('Mermaid sections and excludes', () => {
+    it('gives sections ids that tasks don\'t have', () => {
+        const { tasks } = parseMermaid([
+            'gantt',
+            'section Design',
+            'Sketch :section-1, 2024-01-01, 2d',
+            'section Build',
+            'Code :section-2, after section-1, 3d',
+        ].join('\n'));
+
+        expect(tasks.map((task) => [task.id, task.parent])).toEqual([
+            ['section-3', undefined],
+            ['section-1', 'section-3'],
+            ['section-4', undefined],
+            ['section-2', 'section-4'],
+        ]);
+    });
+
+    it('writes excluded dates in the date format', () => {
+        const calendar = { weekdays: [1, 2, 3, 4, 5], holidays: ['2024-01-15'] };
+        const { text } = serializeMermaid(
+            [{ id: 'a', name: 'A', start: '2024-01-12', duration: '5d' }],
+            { dateFormat: 'DD.MM.YYYY', calendar },
+        );
+        expect(text).toContain('excludes weekends, 15.01.2024');
+
+        const parsed = parseMermaid(text);
+        expect(parsed.calendar).toEqual({ weekdays: [1, 2, 3, 4, 5], holidays: ['2024-01-15'] });
+        expect(parsed.tasks[0]).toMatchObject({ start: '2024-01-12', duration: '5d' });
+    });
+
+    it('leaves out excluded dates a date format with spaces would split', () => {
+        const calendar = { weekdays: [1, 2, 3, 4, 5, 6, 7], holidays: ['2024-01-15'] };
+        const { text, warnings } = serializeMermaid(
+            [{ id: 'a', name: 'A', start: '2024-01-12 09:00', duration: '4h' }],
+            { calendar },
+        );
+        expect(text).not.toContain('excludes');
+        expect(warnings).toEqual([
+            'can\'t exclude 2024-01-15 00:00 in a date format with spaces or commas; it is left out',
+        ]);
+    });
+});
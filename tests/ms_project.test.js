@@ -0,0 +1,59 @@
+// @vitest-environment jsdom
+import { readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { describe, expect, it } from 'vitest';
+
+import Calendar from '../src/calendar';
+import { parseMSProject, serializeMSProject } from '../src/ms_project';
+import Tasks from '../src/tasks';
+
+const fixture = readFileSync(resolve(__dirname, 'fixtures/project.xml'), 'utf8');
+
+// Load parsed specs the way Gantt.importMSProject does
+function load({ tasks, calendar }) {
+    const timezone = 'UTC';
+    return new Tasks({ timezone, calendar: new Calendar(calendar, timezone) }).load(tasks);
+}
+
+describe('MS Project XML', () => {
+    it('reads outline levels, links, the calendar, progress and milestones', () => {
+        const { tasks, calendar, warnings } = parseMSProject(fixture);
+
+        expect(warnings).toEqual([]);
+        expect(calendar).toEqual({
+            weekdays: [1, 2, 3, 4, 5],
+            hours: ['08:00', '16:00'],
+            holidays: ['2024-01-15'],
+        });
+        expect(tasks.map((task) => [task.id, task.parent ?? null])).toEqual([
+            ['1', null],
+            ['2', '1'],
+            ['3', '1'],
+            ['4', null],
+            ['5', null],
+        ]);
+        expect(tasks[2].dependencies).toEqual([{ id: '2', type: 'FS', lag: '1d' }]);
+        expect(tasks[3].dependencies).toEqual([{ id: '3', type: 'SS' }]);
+        expect(tasks[4]).toMatchObject({
+            type: 'milestone',
+            dependencies: [{ id: '4', type: 'FF', lag: '-4h' }],
+        });
+        expect(tasks.map((task) => task.progress)).toEqual([75, 100, 50, 20, 0]);
+    });
+
+    it('round-trips through Tasks', () => {
+        const parsed = parseMSProject(fixture);
+        const tasks = load(parsed);
+
+        const { xml, warnings } = serializeMSProject(tasks, {
+            calendar: new Calendar(parsed.calendar, 'UTC'),
+            timezone: 'UTC',
+        });
+        expect(warnings).toEqual([]);
+
+        const reparsed = parseMSProject(xml);
+        expect(reparsed.warnings).toEqual([]);
+        expect(reparsed.calendar).toEqual(parsed.calendar);
+        expect(reparsed.tasks).toEqual(parsed.tasks);
+    });
+});
@@ -0,0 +1,116 @@
+import { describe, expect, it } from 'vitest';
+
+import Calendar from '../src/calendar';
+import Scheduler from '../src/scheduler';
+import Tasks from '../src/tasks';
+import { ensureInstant } from '../src/temporal_utils';
+
+// The parts of Gantt the scheduler reads
+function setup(specs, { options = {}, calendar = null } = {}) {
+    const tasks = new Tasks({ calendar }).load(specs);
+    const scheduler = new Scheduler({ tasks, options, config: { timezone: 'UTC', calendar } });
+    return { tasks, scheduler };
+}
+
+const dates = (start, end) => ({ start: ensureInstant(start), end: ensureInstant(end) });
+const plain = (planned) =>
+    Object.fromEntries([...planned].map(([id, { start, end }]) => [id, `${start} - ${end}`]));
+
+describe('scheduleForward', () => {
+    const SPECS = [
+        { id: 'a', name: 'A', start: '2024-01-01', end: '2024-01-03' },
+        { id: 'b', name: 'B', start: '2024-01-04', end: '2024-01-05', dependencies: 'a' },
+        { id: 'c', name: 'C', start: '2024-01-08', end: '2024-01-08', dependencies: 'b' },
+        { id: 'd', name: 'D', start: '2024-01-02', end: '2024-01-02', dependencies: [{ id: 'a', type: 'SS', lag: '1d' }] },
+    ];
+
+    it('pushes successors out just far enough, keeping their durations', () => {
+        const { scheduler } = setup(SPECS, { options: { auto_schedule: true } });
+        const planned = scheduler.scheduleForward(new Map([['a', dates('2024-01-03', '2024-01-06')]]));
+
+        expect(plain(planned)).toEqual({
+            b: '2024-01-06T00:00:00Z - 2024-01-08T00:00:00Z',
+            d: '2024-01-04T00:00:00Z - 2024-01-05T00:00:00Z',
+        });
+    });
+
+    it('moves successors further down the chain when they run out of slack', () => {
+        const { scheduler } = setup(SPECS, { options: { auto_schedule: true } });
+        const planned = scheduler.scheduleForward(new Map([['a', dates('2024-01-05', '2024-01-08')]]));
+
+        expect(plain(planned)).toMatchObject({
+            b: '2024-01-08T00:00:00Z - 2024-01-10T00:00:00Z',
+            c: '2024-01-10T00:00:00Z - 2024-01-11T00:00:00Z',
+        });
+    });
+
+    it('leaves successors in place when a predecessor moves back, unless tight', () => {
+        const change = new Map([['a', dates('2023-12-29', '2024-01-01')]]);
+        expect(setup(SPECS, { options: { auto_schedule: true } }).scheduler.scheduleForward(change).size).toBe(0);
+
+        const planned = setup(SPECS, { options: { auto_schedule: 'tight' } }).scheduler.scheduleForward(change);
+        expect(plain(planned)).toEqual({
+            b: '2024-01-01T00:00:00Z - 2024-01-03T00:00:00Z',
+            c: '2024-01-03T00:00:00Z - 2024-01-04T00:00:00Z',
+            d: '2023-12-30T00:00:00Z - 2023-12-31T00:00:00Z',
+        });
+    });
+
+    it('keeps working durations and skips non-working days with a calendar', () => {
+        const calendar = new Calendar({ weekdays: [1, 2, 3, 4, 5] });
+        const { scheduler } = setup(SPECS, { options: { auto_schedule: true }, calendar });
+
+        // A now ends on Saturday: B starts on Monday and still takes two working days
+        const planned = scheduler.scheduleForward(new Map([['a', dates('2024-01-03', '2024-01-06')]]));
+        expect(plain(planned).b).toBe('2024-01-08T00:00:00Z - 2024-01-10T00:00:00Z');
+    });
+});
+
+describe('getCriticalPath', () => {
+    const SPECS = [
+        { id: 'a', name: 'A', start: '2024-01-01', end: '2024-01-02' },
+        { id: 'b', name: 'B', start: '2024-01-03', end: '2024-01-05', dependencies: 'a' },
+        { id: 'c', name: 'C', start: '2024-01-03', end: '2024-01-03', dependencies: 'a' },
+        { id: 'd', name: 'D', start: '2024-01-06', end: '2024-01-06', dependencies: 'b, c' },
+        { id: 'p', name: 'P' },
+        { id: 'e', name: 'E', start: '2024-01-01', end: '2024-01-01', parent: 'p' },
+    ];
+
+    it('finds the critical tasks and the links that drive them', () => {
+        const { tasks, links, finish } = setup(SPECS).scheduler.getCriticalPath();
+
+        expect(tasks.map((task) => task.uid)).toEqual(['a', 'b', 'd']);
+        expect(links).toEqual([
+            { from: 'a', to: 'b' },
+            { from: 'b', to: 'd' },
+        ]);
+        expect(finish.toString()).toBe('2024-01-07T00:00:00Z');
+    });
+
+    it('computes early and late dates and floats, leaving out summaries', () => {
+        const { schedule } = setup(SPECS).scheduler.getCriticalPath();
+        const row = (id) => {
+            const { earlyStart, lateStart, totalFloat, freeFloat, critical } = schedule.get(id);
+            return [`${earlyStart}`, `${lateStart}`, `${totalFloat}`, `${freeFloat}`, critical];
+        };
+
+        expect(row('a')).toEqual(['2024-01-01T00:00:00Z', '2024-01-01T00:00:00Z', 'PT0S', 'PT0S', true]);
+        expect(row('c')).toEqual(['2024-01-03T00:00:00Z', '2024-01-05T00:00:00Z', 'PT48H', 'PT48H', false]);
+        expect(row('e')).toEqual(['2024-01-01T00:00:00Z', '2024-01-06T00:00:00Z', 'PT120H', 'PT120H', false]);
+        expect(schedule.has('p')).toBe(false);
+    });
+
+    it('starts tasks no earlier than their links allow in the forward pass', () => {
+        const specs = [
+            { id: 'a', name: 'A', start: '2024-01-01', end: '2024-01-02' },
+            // Planned to start with A, but its link holds it back a day
+            { id: 'b', name: 'B', start: '2024-01-01', end: '2024-01-01', dependencies: [{ id: 'a', type: 'SS', lag: '1d' }] },
+        ];
+        const { schedule, finish } = setup(specs).scheduler.getCriticalPath();
+
+        expect(`${schedule.get('b').earlyStart}`).toBe('2024-01-02T00:00:00Z');
+        expect(`${finish}`).toBe('2024-01-03T00:00:00Z');
+        expect(schedule.get('a').critical).toBe(true);
+        expect(schedule.get('b').critical).toBe(true);
+    });
+});
@@ -0,0 +1,76 @@
+import { describe, expect, it, vi } from 'vitest';
+
+import Tasks from '../src/tasks';
+
+describe('durations and lags', () => {
+    it('accepts negative lags', () => {
+        const tasks = new Tasks().load([
+            { id: 'a', name: 'A', start: '2024-01-01', duration: '2d' },
+            { id: 'b', name: 'B', start: '2024-01-02', duration: '1d', dependencies: [{ id: 'a', type: 'FF', lag: '-1d -4h' }] },
+        ]);
+        expect(tasks.get('b').links).toEqual([{ id: 'a', type: 'FF', lag: '-1d -4h' }]);
+    });
+
+    it('rejects negative task durations', () => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        const tasks = new Tasks().load([{ id: 'a', name: 'A', start: '2024-01-01', duration: '-2d' }]);
+        expect(tasks.isEmpty()).toBe(true);
+        expect(tasks.rejected[0].message).toBe('task "A" (ID: "a") has an invalid duration "-2d"');
+    });
+});
+
+describe('summaries without dates', () => {
+    it('can be added for children added or moved later', () => {
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const tasks = new Tasks().load([{ id: 'a', name: 'A', start: '2024-01-01', duration: '2d' }]);
+
+        // The parent doesn't exist yet, so the child starts at the top level
+        tasks.add({ id: 'b', name: 'B', start: '2024-01-05', duration: '1d', parent: 'p' });
+        expect(tasks.add({ id: 'p', name: 'P' })).not.toBeNull();
+
+        tasks.move('b', 'p');
+        tasks.update('a', { parent: 'p' });
+        expect(tasks.getChildIds('p')).toEqual(['a', 'b']);
+        expect(tasks.get('p').start.equals(tasks.get('a').start)).toBe(true);
+        expect(tasks.get('p').end.equals(tasks.get('b').end)).toBe(true);
+    });
+});
+
+describe('validate', () => {
+    const task = (id, dependencies) => ({ id, name: id.toUpperCase(), start: '2024-01-01', duration: '1d', dependencies });
+
+    it('is valid without cycles or missing dependencies', () => {
+        const tasks = new Tasks().load([task('a'), task('b', 'a'), task('c', 'a, b')]);
+        expect(tasks.validate()).toEqual({ valid: true, errors: [] });
+    });
+
+    it('reports each task on a cycle, with the cycle in display order', () => {
+        const tasks = new Tasks().load([task('a', 'c'), task('b', 'a'), task('c', 'b'), task('d', 'c'), task('e', 'e')]);
+        const { valid, errors } = tasks.validate();
+
+        expect(valid).toBe(false);
+        expect(errors).toEqual([
+            { task: 'a', kind: 'cycle', ids: ['a', 'b', 'c'] },
+            { task: 'b', kind: 'cycle', ids: ['a', 'b', 'c'] },
+            { task: 'c', kind: 'cycle', ids: ['a', 'b', 'c'] },
+            { task: 'e', kind: 'cycle', ids: ['e'] },
+        ]);
+        expect(tasks.get('d')._derived.errors).toEqual([]);
+    });
+
+    it('finds separate cycles apart', () => {
+        const tasks = new Tasks().load([task('a', 'b'), task('b', 'a'), task('c', 'b, d'), task('d', 'c')]);
+        const cycles = new Set(tasks.validate().errors.map((error) => error.ids.join()));
+        expect([...cycles]).toEqual(['a,b', 'c,d']);
+    });
+
+    it('reports missing dependencies and attaches errors to their tasks', () => {
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const tasks = new Tasks().load([task('a'), task('b', 'a, x, y')]);
+        const { valid, errors } = tasks.validate();
+
+        expect(valid).toBe(false);
+        expect(errors).toEqual([{ task: 'b', kind: 'missing_dependency', ids: ['x', 'y'] }]);
+        expect(tasks.get('b')._derived.errors).toEqual(errors);
+    });
+});
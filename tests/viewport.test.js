@@ -0,0 +1,41 @@
+import { describe, expect, it } from 'vitest';
+
+import { add, ensureInstant } from '../src/temporal_utils';
+import Viewport from '../src/viewport';
+
+const timezone = 'Europe/Berlin';
+
+describe('Viewport across DST changes', () => {
+    // Day columns from 2024-03-28, spanning the switch to summer time on
+    // 2024-03-31 (a 23-hour day)
+    const origin = ensureInstant('2024-03-28', timezone);
+    const viewport = new Viewport({ origin, columnWidth: 45, stepInterval: 1, stepUnit: 'day', timezone });
+
+    it('puts every local midnight on a column boundary', () => {
+        for (let n = -3; n <= 10; n++) {
+            const midnight = add(origin, n, 'day', timezone);
+            expect(viewport.dateToX(midnight)).toBeCloseTo(n * 45);
+            expect(viewport.xToDate(n * 45).equals(midnight)).toBe(true);
+        }
+    });
+
+    it('maps time linearly within a short day', () => {
+        const noon = ensureInstant('2024-03-31 12:00', timezone);
+        // 11 of the day's 23 hours have passed by noon
+        expect(viewport.dateToX(noon)).toBeCloseTo(3 * 45 + (11 / 23) * 45);
+        expect(viewport.xToDate(viewport.dateToX(noon)).equals(noon)).toBe(true);
+    });
+
+    it('gives columns of whole months the same width', () => {
+        const months = new Viewport({
+            origin: ensureInstant('2024-01-01', timezone),
+            columnWidth: 120,
+            stepInterval: 1,
+            stepUnit: 'month',
+            timezone,
+        });
+        expect(months.dateToX(ensureInstant('2024-03-01', timezone))).toBeCloseTo(240);
+        expect(months.rangeToPixels(ensureInstant('2024-02-01', timezone), ensureInstant('2024-03-01', timezone)))
+            .toBeCloseTo(120);
+    });
+});